@@ -35,9 +35,13 @@ module.exports = function(grunt) {
                     "lib/BinaryParserBuffer.js":        "src/BinaryParserBuffer.js",
                     "lib/BinaryParser.js":              "src/BinaryParser.js",
                     "lib/ObjectId.js":                  "src/ObjectId.js",
+                    "lib/Geometry.js":                  "src/Geometry.js",
                     "lib/SelectorMatcher.js":           "src/SelectorMatcher.js",
+                    "lib/Expression.js":                "src/Expression.js",
                     "lib/Selector.js":                  "src/Selector.js",
                     "lib/Cursor.js":                    "src/Cursor.js",
+                    "lib/TextSearch.js":                "src/TextSearch.js",
+                    "lib/Index.js":                     "src/Index.js",
                     "lib/Collection.js":                "src/Collection.js",
                     "lib/Aggregation.js":               "src/Aggregation.js",
                     "lib/MongoPortable.js":             "src/MongoPortable.js"
@@ -8,11 +8,15 @@ var EventEmitter = require("./lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("./lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("./lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("./lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("./lib/SelectorMatcher")(Logger, _);
-var Selector = require("./lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("./lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("./lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("./lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("./lib/Geometry")(Logger, _);
+var SelectorMatcher = require("./lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("./lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("./lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("./lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("./lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("./lib/TextSearch")(Logger, _);
+var Index = require("./lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("./lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("./lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 module.exports = MongoPortable;
\ No newline at end of file
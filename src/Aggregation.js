@@ -9,199 +9,1468 @@
 
 var logger = null;
 
-module.exports = function(Selector, Cursor, Logger, _) {
+module.exports = function(Selector, SelectorMatcher, Cursor, Expression, Logger, _) {
     
     var stages = {
         '$project': true,
+        '$addFields': true,
+        '$set': true,
+        '$unset': true,
+        '$replaceRoot': true,
+        '$replaceWith': true,
         '$match': true,
-        '$redact': false,
-        '$limit': false,
-        '$skip': false,
-        '$unwind': false,
+        '$redact': true,
+        '$limit': true,
+        '$skip': true,
+        '$unwind': true,
         '$group': true,
-        '$sample': false,
+        '$sample': true,
         '$sort': true,
-        '$geoNear': false,
-        '$lookup': false,
-        '$out': false,
+        '$geoNear': true,
+        '$lookup': true,
+        '$graphLookup': true,
+        '$facet': true,
+        '$bucket': true,
+        '$bucketAuto': true,
+        '$sortByCount': true,
+        '$out': true,
+        '$merge': true,
         '$indexStats': false
     };
     
+    var _numbers = function(values) {
+        return _.filter(values, _.isNumber);
+    };
+    
+    var _stdDev = function(values, sample) {
+        var numbers = _numbers(values);
+        var count = sample ? numbers.length - 1 : numbers.length;
+        
+        if (count < 1) return null;
+        
+        var mean = _.mean(numbers);
+        
+        return Math.sqrt(_.sumBy(numbers, number => Math.pow(number - mean, 2)) / count);
+    };
+    
+    // Each accumulator obtains its result from the values of the documents of a group
     var group_operators = {
-        $sum: function(documents, new_id, new_field, value, isCount) {
-            var new_docs = {};
+        $sum: function(values) {
+            return _.sum(_numbers(values));
+        },
+        
+        $avg: function(values) {
+            var numbers = _numbers(values);
             
-            for (let i = 0; i < documents.length; i++) {
-                let doc = documents[i];
-                let val = value;
+            return numbers.length === 0 ? null : _.mean(numbers);
+        },
+        
+        $min: function(values) {
+            return _.reduce(values, (min, value) => {
+                if (_.isNil(value)) return min;
                 
-                if (!isCount) {
-                    val = doc[value.substr(1, value.length)] || 0;
-                }
+                return _.isNull(min) || SelectorMatcher.cmp(value, min) < 0 ? value : min;
+            }, null);
+        },
+        
+        $max: function(values) {
+            return _.reduce(values, (max, value) => {
+                if (_.isNil(value)) return max;
                 
-                if (_.hasIn(doc, new_id)) {
-                    let _id = doc[new_id];
-                    
-                    if (!_.hasIn(new_docs, _id)) {
-                        new_docs[_id] = {
-                            _id: _id,
-                            [new_field]: _.toNumber(val)
-                        };
-                    } else {
-                        new_docs[_id][new_field] += _.toNumber(val);
-                    }
-                }
-            }
+                return _.isNull(max) || SelectorMatcher.cmp(value, max) > 0 ? value : max;
+            }, null);
+        },
+        
+        $first: function(values) {
+            return _.isUndefined(values[0]) ? null : values[0];
+        },
+        
+        $last: function(values) {
+            var value = _.last(values);
             
-            return new_docs;
+            return _.isUndefined(value) ? null : value;
         },
         
-        $avg: function(documents, new_id, new_field, value, isCount) {
-            var new_docs = {};
+        $push: function(values) {
+            return _.filter(values, value => !_.isUndefined(value));
+        },
+        
+        $addToSet: function(values) {
+            var set = [];
             
-            for (let i = 0; i < documents.length; i++) {
-                let doc = documents[i];
-                let val = value;
+            _.forEach(values, value => {
+                if (_.isUndefined(value)) return;
                 
-                if (!isCount) {
-                    val = doc[value.substr(1, value.length)] || 0;
-                }
+                if (!_.some(set, element => SelectorMatcher.cmp(element, value) === 0)) set.push(value);
+            });
+            
+            return set;
+        },
+        
+        $count: function(values) {
+            return values.length;
+        },
+        
+        $stdDevPop: function(values) {
+            return _stdDev(values, false);
+        },
+        
+        $stdDevSamp: function(values) {
+            return _stdDev(values, true);
+        },
+        
+        $mergeObjects: function(values) {
+            var merged = {};
+            
+            _.forEach(values, value => {
+                if (_.isNil(value)) return;
                 
-                if (_.hasIn(doc, new_id) || _.isNull(new_id)) {
-                    let _id = doc[new_id] || null;
-                    
-                    if (!_.hasIn(new_docs, _id)) {
-                        new_docs[_id] = {
-                            _id: _id,
-                            [new_field]: _.toNumber(val),
-                            __COUNT__: 1
-                        };
-                    } else {
-                        new_docs[_id][new_field] += _.toNumber(val);
-                        new_docs[_id].__COUNT__++;
-                    }
+                if (!_.isPlainObject(value)) logger.throw("$mergeObjects requires object inputs");
+                
+                _.assign(merged, value);
+            });
+            
+            return merged;
+        }
+    };
+    
+    var do_sort = function(documents, sort_stage) {
+        // The documents may be the ones of the collection, so they are not sorted in place
+        return documents.slice().sort(new Selector(sort_stage, Selector.SORT_SELECTOR));
+    };
+    
+    var do_match = function(documents, match_stage, collection, variables) {
+        var cursor = new Cursor(documents, match_stage, null, {
+            limit: -1,
+            // The indexes are only valid over the documents of the collection (as in a first stage, needed by "$text")
+            indexes: documents === collection.docs ? _.values(collection._indexes) : [],
+            javascriptEnabled: collection.javascriptEnabled,
+            variables: variables
+        });
+        
+        return cursor.fetch();
+    };
+    
+    /**
+     * Joins each document with the documents of another collection of the same database
+     * 
+     * @method do_lookup
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} lookup_stage - The options of the stage: { from, localField, foreignField, as } for an equality match, 
+     *      and { from, let, pipeline, as } for running a pipeline with the variables of each document
+     * @param {Collection} collection - The collection being aggregated
+     * @param {Aggregation} aggregation - The aggregation running the stage
+     * 
+     * @returns {Array} The documents, with the joined documents in an array field
+     */
+    var do_lookup = function(documents, lookup_stage, collection, aggregation) {
+        if (!_.isPlainObject(lookup_stage)) logger.throw("The \"$lookup\" stage must be an object");
+        
+        var from = lookup_stage.from,
+            as = lookup_stage.as,
+            pipeline = lookup_stage.pipeline,
+            lets = lookup_stage.let || {};
+        
+        if (!_.isString(from) || from === '') logger.throw("$lookup requires a 'from' collection name");
+        
+        if (!_.isString(as) || as === '' || as.substr(0, 1) === '$') logger.throw("$lookup requires an 'as' field name");
+        
+        var equality = _.has(lookup_stage, 'localField') || _.has(lookup_stage, 'foreignField');
+        
+        if (equality && (!_.isString(lookup_stage.localField) || !_.isString(lookup_stage.foreignField))) {
+            logger.throw("$lookup requires both 'localField' and 'foreignField' to be specified as strings");
+        }
+        
+        if (!equality && _.isNil(pipeline)) logger.throw("$lookup requires either 'pipeline' or both 'localField' and 'foreignField'");
+        
+        if (!_.isNil(pipeline)) {
+            if (!_.isArray(pipeline)) logger.throw("The 'pipeline' of $lookup must be an array");
+            
+            for (let i = 0; i < pipeline.length; i++) {
+                for (let key in pipeline[i]) {
+                    aggregation.validStage(key);
+                    
+                    if (key === '$out' || key === '$merge') logger.throw(`${key} is not allowed within a $lookup pipeline`);
+                    
+                    break;
                 }
             }
+        }
+        
+        if (!_.isPlainObject(lets)) logger.throw("The 'let' of $lookup must be an object");
+        
+        _.forEach(lets, (value, name) => {
+            if (!/^[a-z][a-zA-Z0-9_]*$/.test(name)) logger.throw(`Invalid variable name "${name}" in the 'let' of $lookup`);
+        });
+        
+        // A missing collection has no documents to join
+        var foreign = collection.db._collections[from] || null;
+        
+        return _.map(documents, doc => {
+            var joined = [];
             
-            for (let key in new_docs) {
-                new_docs[key][new_field] = new_docs[key][new_field] / new_docs[key].__COUNT__;
-                delete new_docs[key].__COUNT__;
+            if (!_.isNil(foreign)) {
+                if (equality) {
+                    let selection = _lookupSelection(lookup_stage.foreignField, Expression.getPath(doc, lookup_stage.localField));
+                    
+                    // The indexes of the foreign field are used, if any
+                    joined = new Cursor(foreign.docs, selection, null, {
+                        indexes: _.values(foreign._indexes),
+                        limit: -1,
+                        javascriptEnabled: foreign.javascriptEnabled
+                    }).fetch();
+                } else {
+                    joined = foreign.docs;
+                }
+                
+                if (!_.isNil(pipeline)) {
+                    let variables = _.assign({}, aggregation.variables, _.mapValues(lets, value => {
+                        return Expression.evaluate(value, doc, aggregation.variables);
+                    }));
+                    
+                    joined = new Aggregation(pipeline, { variables: variables }).aggregate(foreign, joined);
+                }
             }
             
-            return new_docs;
-        } 
+            var result = _.cloneDeep(doc);
+            
+            _.set(result, as, _.cloneDeep(joined));
+            
+            return result;
+        });
     };
     
-    var do_single_group = function(group_id, group_stage, documents) {
-        // var operators = {};
+    /**
+     * Obtains the selection of the foreign documents matching a local value. A missing value matches the missing 
+     * (or null) foreign values, and an array matches any of its elements.
+     * 
+     * @method _lookupSelection
+     * @private
+     * 
+     * @param {String} field - The foreign field
+     * @param {*} value - The local value
+     * 
+     * @returns {Object} The selection for the foreign collection
+     */
+    var _lookupSelection = function(field, value) {
+        if (_.isUndefined(value)) return { [field]: null };
+        
+        if (!_.isArray(value)) return { [field]: value };
         
-        let docs = {};
+        if (value.length === 0) return { [field]: { $in: [] } };
         
-        for (let field in group_stage) {
-            if (field !== '_id') {
-                // handle group field
-                // let group_key = key;
-                let group_field = group_stage[field];
+        // Each element is matched as a single value would be
+        return { $or: _.map(value, element => ({ [field]: element })) };
+    };
+    
+    /**
+     * Joins each document with the documents of another collection reached recursively: the documents whose 
+     * "connectToField" matches the "startWith" value, then the ones matching their "connectFromField" values, and so on
+     * 
+     * @method do_graph_lookup
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} graph_stage - The options of the stage ({ from, startWith, connectFromField, connectToField, as, 
+     *      maxDepth, depthField, restrictSearchWithMatch })
+     * @param {Collection} collection - The collection being aggregated
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} The documents, with the reached documents in an array field
+     */
+    var do_graph_lookup = function(documents, graph_stage, collection, variables) {
+        if (!_.isPlainObject(graph_stage)) logger.throw("The \"$graphLookup\" stage must be an object");
+        
+        var from = graph_stage.from,
+            maxDepth = _.isNil(graph_stage.maxDepth) ? null : graph_stage.maxDepth,
+            restrict = _.isNil(graph_stage.restrictSearchWithMatch) ? null : graph_stage.restrictSearchWithMatch;
+        
+        if (!_.isString(from) || from === '') logger.throw("$graphLookup requires a 'from' collection name");
+        
+        if (!_.has(graph_stage, 'startWith')) logger.throw("$graphLookup requires a 'startWith' expression");
+        
+        _.forEach(['connectFromField', 'connectToField', 'as'], option => {
+            let field = graph_stage[option];
+            
+            if (!_.isString(field) || field === '' || field.substr(0, 1) === '$') logger.throw(`$graphLookup requires '${option}' to be a field name`);
+        });
+        
+        if (!_.isNil(graph_stage.depthField) && (!_.isString(graph_stage.depthField) || graph_stage.depthField.substr(0, 1) === '$')) {
+            logger.throw("The 'depthField' of $graphLookup must be a field name");
+        }
+        
+        if (!_.isNull(maxDepth) && (!_.isInteger(maxDepth) || maxDepth < 0)) logger.throw("The 'maxDepth' of $graphLookup must be a non-negative integer");
+        
+        if (!_.isNull(restrict) && !_.isPlainObject(restrict)) logger.throw("The 'restrictSearchWithMatch' of $graphLookup must be an object");
+        
+        // A missing collection has no documents to join
+        var foreign = collection.db._collections[from] || null;
+        
+        return _.map(documents, doc => {
+            var reached = [];
+            
+            if (!_.isNil(foreign)) {
+                let visited = {};
+                let values = Expression.evaluate(graph_stage.startWith, doc, variables);
                 
-                for (let key in group_field) {
-                    if (!_.hasIn(group_operators, key)) logger.throw(`Unknown accumulator operator "${key}" for group stage`);
+                for (let depth = 0; _.isNull(maxDepth) || depth <= maxDepth; depth++) {
+                    let selection = _lookupSelection(graph_stage.connectToField, values);
+                    
+                    if (!_.isNull(restrict)) selection = { $and: [selection, restrict] };
                     
-                    // loop through all documents
-                    // var new_docs = {};
-                    // for (let i = 0; i < documents.length; i++) {
-                    //     let doc = documents[i];
+                    let found = new Cursor(foreign.docs, selection, null, {
+                        indexes: _.values(foreign._indexes),
+                        limit: -1,
+                        javascriptEnabled: foreign.javascriptEnabled
+                    }).fetch();
+                    
+                    // The documents already reached are not followed again
+                    found = _.filter(found, found_doc => !_.has(visited, _.toString(found_doc._id)));
+                    
+                    if (found.length === 0) break;
+                    
+                    values = [];
+                    
+                    _.forEach(found, found_doc => {
+                        visited[_.toString(found_doc._id)] = true;
                         
-                    //     if (_.hasIn(doc, group_id)) {
-                    //         let _id = doc[group_id];
-                            
-                    //         if (!_.hasIn(new_docs, _id)) {
-                    //             new_docs[_id] = {
-                    //                 _id: _id,
-                    //                 [new_field]: value
-                    //             };
-                    //         } else {
-                    //             new_docs[_id][new_field] += value;
-                    //         }
-                    //     }
-                    // }
-                    
-                    // if (!_.hasIn(operators, key)) operators[key] = [];
-                    
-                    // operators[key].push({
-                    //     new_field: field,
-                    //     value: group_field[key]
-                    // });
-                    
-                    let count = true;
-                    if (_.isString(group_field[key])) {
-                        if (group_field[key].substr(0, 1) !== '$') logger.throw("Field names references in a right side assignement must be preceded by '$'");
+                        if (!_.isNil(graph_stage.depthField)) _.set(found_doc, graph_stage.depthField, depth);
                         
-                        if (!_.isFinite(_.toNumber(group_field[key]))) {
-                            count = false;
-                        }
-                    }
+                        reached.push(found_doc);
+                        
+                        let value = Expression.getPath(found_doc, graph_stage.connectFromField);
+                        
+                        if (!_.isUndefined(value)) values = values.concat(value);
+                    });
                     
-                    let operator = group_operators[key];
+                    if (values.length === 0) break;
+                }
+            }
+            
+            var result = _.cloneDeep(doc);
+            
+            _.set(result, graph_stage.as, reached);
+            
+            return result;
+        });
+    };
+    
+    /**
+     * Returns the documents of the collection sorted by their distance to a point, adding the distance to each of them
+     * 
+     * @method do_geo_near
+     * @private
+     * 
+     * @param {Collection} collection - The collection, with a geospatial index
+     * @param {Object} geo_stage - The options of the stage ({ near, distanceField, spherical, maxDistance, minDistance, 
+     *      query, key, distanceMultiplier, includeLocs })
+     * 
+     * @returns {Array} The documents, nearest first
+     */
+    var do_geo_near = function(collection, geo_stage) {
+        if (!_.isPlainObject(geo_stage)) logger.throw("$geoNear requires an object as its argument");
+        
+        if (_.isNil(geo_stage.near)) logger.throw("$geoNear requires a 'near' option");
+        
+        if (!_.isString(geo_stage.distanceField)) logger.throw("$geoNear requires a 'distanceField' option as a String");
+        
+        var indexes = _.filter(_.values(collection._indexes), index => !_.isNil(index.geo));
+        
+        if (!_.isNil(geo_stage.key)) indexes = _.filter(indexes, index => index.fields[0] === geo_stage.key);
+        
+        if (indexes.length === 0) logger.throw("$geoNear requires a geospatial index");
+        
+        if (indexes.length > 1) logger.throw("There is more than one geospatial index, use the 'key' option to choose one");
+        
+        var index = indexes[0];
+        var operators = {};
+        
+        // A GeoJSON point is always on the sphere, and its distances are in meters
+        if (_.isPlainObject(geo_stage.near) && _.has(geo_stage.near, 'type')) {
+            operators.$nearSphere = { $geometry: geo_stage.near };
+        } else {
+            operators[geo_stage.spherical ? '$nearSphere' : '$near'] = geo_stage.near;
+        }
+        
+        if (!_.isNil(geo_stage.maxDistance)) operators.$maxDistance = geo_stage.maxDistance;
+        if (!_.isNil(geo_stage.minDistance)) operators.$minDistance = geo_stage.minDistance;
+        
+        var selection = _.assign({}, geo_stage.query, { [index.fields[0]]: operators });
+        var cursor = new Cursor(collection.docs, selection, null, {
+            indexes: [index],
+            limit: -1,
+            javascriptEnabled: collection.javascriptEnabled
+        });
+        
+        var multiplier = _.isNil(geo_stage.distanceMultiplier) ? 1 : geo_stage.distanceMultiplier;
+        
+        return _.map(cursor.fetch(), doc => {
+            _.set(doc, geo_stage.distanceField, index.geoDistance(doc, operators) * multiplier);
+            
+            if (_.isString(geo_stage.includeLocs)) _.set(doc, geo_stage.includeLocs, _.cloneDeep(_.get(doc, index.fields[0])));
+            
+            return doc;
+        });
+    };
+    
+    var do_limit = function(documents, limit_stage) {
+        if (!_.isInteger(limit_stage) || limit_stage <= 0) logger.throw("The limit must be a positive integer");
+        
+        return documents.slice(0, limit_stage);
+    };
+    
+    var do_skip = function(documents, skip_stage) {
+        if (!_.isInteger(skip_stage) || skip_stage < 0) logger.throw("The skip must be a non-negative integer");
+        
+        return documents.slice(skip_stage);
+    };
+    
+    /**
+     * Outputs one document for each element of an array field, with the element instead of the array
+     * 
+     * @method do_unwind
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {String|Object} unwind_stage - The path of the array ("$field.subfield"), or the options of the stage 
+     *      ({ path, includeArrayIndex, preserveNullAndEmptyArrays })
+     * 
+     * @returns {Array} The unwound documents
+     */
+    var do_unwind = function(documents, unwind_stage) {
+        var options = _.isString(unwind_stage) ? { path: unwind_stage } : unwind_stage;
+        
+        if (!_.isPlainObject(options)) logger.throw("The \"$unwind\" stage must be a field path or an object");
+        
+        _.forEach(options, (value, option) => {
+            if (!_.includes(['path', 'includeArrayIndex', 'preserveNullAndEmptyArrays'], option)) {
+                logger.throw(`Unrecognized option to $unwind: "${option}"`);
+            }
+        });
+        
+        if (!_.isString(options.path) || options.path.substr(0, 1) !== '$' || options.path.length === 1) {
+            logger.throw("The path of the \"$unwind\" stage must be a field name preceded by '$'");
+        }
+        
+        var index_field = options.includeArrayIndex;
+        
+        if (!_.isNil(index_field) && (!_.isString(index_field) || index_field === '' || index_field.substr(0, 1) === '$')) {
+            logger.throw("includeArrayIndex must be a field name not preceded by '$'");
+        }
+        
+        if (!_.isNil(options.preserveNullAndEmptyArrays) && !_.isBoolean(options.preserveNullAndEmptyArrays)) {
+            logger.throw("preserveNullAndEmptyArrays must be a boolean");
+        }
+        
+        var path = options.path.substr(1);
+        var docs = [];
+        
+        var output = function(doc, index) {
+            if (!_.isNil(index_field)) _.set(doc, index_field, index);
+            
+            docs.push(doc);
+        };
+        
+        for (let i = 0; i < documents.length; i++) {
+            let value = _.get(documents[i], path);
+            
+            if (_.isArray(value) && value.length > 0) {
+                for (let j = 0; j < value.length; j++) {
+                    let doc = _.cloneDeep(documents[i]);
+                    
+                    _.set(doc, path, _.cloneDeep(value[j]));
+                    
+                    output(doc, j);
+                }
+            } else if (!_.isNil(value) && !_.isArray(value)) {
+                // A single value is unwound as an array with just one element
+                output(_.cloneDeep(documents[i]), null);
+            } else if (options.preserveNullAndEmptyArrays) {
+                let doc = _.cloneDeep(documents[i]);
+                
+                // The empty arrays are removed from the output, but not the nulls
+                if (_.isArray(value)) _.unset(doc, path);
+                
+                output(doc, null);
+            }
+        }
+        
+        return docs;
+    };
+    
+    /**
+     * Picks some documents at random (each one once at most)
+     * 
+     * @method do_sample
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} sample_stage - The options of the stage ({ size })
+     * @param {Function} random - The source of random numbers, between 0 (inclusive) and 1 (exclusive)
+     * 
+     * @returns {Array} The documents picked, in random order
+     */
+    var do_sample = function(documents, sample_stage, random) {
+        if (!_.isPlainObject(sample_stage) || !_.has(sample_stage, 'size')) logger.throw("$sample stage must specify a size");
+        
+        if (!_.isInteger(sample_stage.size) || sample_stage.size < 0) logger.throw("size argument to $sample must not be negative");
+        
+        var docs = documents.slice();
+        var size = Math.min(sample_stage.size, docs.length);
+        
+        // Partial Fisher-Yates shuffle
+        for (let i = 0; i < size; i++) {
+            let j = i + Math.floor(random() * (docs.length - i));
+            let doc = docs[i];
+            
+            docs[i] = docs[j];
+            docs[j] = doc;
+        }
+        
+        return docs.slice(0, size);
+    };
+    
+    // Deterministic random numbers for a seed (Mulberry32)
+    var seeded_random = function(seed) {
+        var state = seed >>> 0;
+        
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            
+            let t = state;
+            
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+    
+    /**
+     * Groups the documents by the value of the "_id" expression, calculating the accumulators of each group
+     * 
+     * @method do_group
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} group_stage - The options of the stage ({ _id: <expression>, field: { <accumulator>: <expression> } })
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} A document for each group, in the order the groups were found
+     */
+    var do_group = function(documents, group_stage, variables) {
+        if (!_.isPlainObject(group_stage)) logger.throw("A \"$group\" stage must be an object");
+        
+        if (!_.hasIn(group_stage, '_id')) logger.throw('The field "_id" is required in the "$group" stage');
+        
+        var accumulators = _accumulators(_.omit(group_stage, '_id'));
+        var groups = _groupBy(documents, doc => Expression.evaluate(group_stage._id, doc, variables));
+        
+        return _.map(groups, group => _.assign({ _id: _.cloneDeep(group._id) }, _accumulate(group.docs, accumulators, variables)));
+    };
+    
+    /**
+     * Parses the accumulators of a grouping stage
+     * 
+     * @method _accumulators
+     * @private
+     * 
+     * @param {Object} fields - The accumulator of each field ({ field: { <accumulator>: <expression> } })
+     * 
+     * @returns {Array} The accumulators ({ field, operator, value })
+     */
+    var _accumulators = function(fields) {
+        var accumulators = [];
+        
+        for (let field in fields) {
+            if (field.indexOf('.') !== -1) logger.throw(`The field name "${field}" cannot contain '.'`);
+            
+            let group_field = fields[field];
+            let keys = _.isPlainObject(group_field) ? _.keys(group_field) : [];
+            
+            if (keys.length !== 1) logger.throw(`The field "${field}" must be an accumulator object`);
+            
+            let operator = keys[0];
+            let value = group_field[operator];
+            
+            if (!_.hasIn(group_operators, operator)) logger.throw(`Unknown accumulator operator "${operator}" for group stage`);
+            
+            if (_.isArray(value)) logger.throw(`The ${operator} accumulator is a unary operator`);
+            
+            if (operator === '$count' && !(_.isPlainObject(value) && _.isEmpty(value))) {
+                logger.throw("$count takes an empty object as its argument");
+            }
+            
+            accumulators.push({ field: field, operator: operator, value: value });
+        }
+        
+        return accumulators;
+    };
+    
+    // The value of each accumulator over some documents
+    var _accumulate = function(documents, accumulators, variables) {
+        var result = {};
+        
+        _.forEach(accumulators, accumulator => {
+            var values = _.map(documents, doc => Expression.evaluate(accumulator.value, doc, variables));
+            
+            result[accumulator.field] = _.cloneDeep(group_operators[accumulator.operator](values));
+        });
+        
+        return result;
+    };
+    
+    /**
+     * Splits some documents in groups by a key
+     * 
+     * @method _groupBy
+     * @private
+     * 
+     * @param {Array} documents - The documents
+     * @param {Function} key - Obtains the key of a document (a missing key is null)
+     * 
+     * @returns {Array} The groups ({ _id, docs }), in the order they were found
+     */
+    var _groupBy = function(documents, key) {
+        // The groups are hashed by their serialized key, and told apart by comparing it
+        var buckets = {};
+        var groups = [];
+        
+        _.forEach(documents, doc => {
+            var _id = key(doc);
+            
+            if (_.isUndefined(_id)) _id = null;
+            
+            var hash = JSON.stringify(_id);
+            var bucket = buckets[hash] || (buckets[hash] = []);
+            var group = _.find(bucket, group => SelectorMatcher.cmp(group._id, _id) === 0);
+            
+            if (_.isUndefined(group)) {
+                group = { _id: _id, docs: [] };
+                
+                bucket.push(group);
+                groups.push(group);
+            }
+            
+            group.docs.push(doc);
+        });
+        
+        return groups;
+    };
+    
+    // The values of the system variables of "$redact", told apart by their identity
+    var REDACT_ACTIONS = {
+        DESCEND: { $redact: 'descend' },
+        PRUNE: { $redact: 'prune' },
+        KEEP: { $redact: 'keep' }
+    };
+    
+    /**
+     * Restricts the contents of the documents with an expression evaluated on each document and subdocument, 
+     * giving "$$DESCEND" to go on with its fields, "$$PRUNE" to remove it or "$$KEEP" to keep it whole
+     * 
+     * @method do_redact
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {*} expression - The expression
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} The documents not pruned, with their contents restricted
+     */
+    var do_redact = function(documents, expression, variables) {
+        var results = [];
+        
+        _.forEach(documents, doc => {
+            var result = _redact(doc, expression, _.assign({}, variables, REDACT_ACTIONS, { ROOT: doc }));
+            
+            if (!_.isNull(result)) results.push(result);
+        });
+        
+        return results;
+    };
+    
+    var _redact = function(doc, expression, variables) {
+        var action = Expression.evaluate(expression, doc, variables);
+        
+        if (action === REDACT_ACTIONS.KEEP) return _.cloneDeep(doc);
+        
+        if (action === REDACT_ACTIONS.PRUNE) return null;
+        
+        if (action !== REDACT_ACTIONS.DESCEND) {
+            logger.throw("$redact's expression should not return anything aside from the variables $$KEEP, $$DESCEND, and $$PRUNE");
+        }
+        
+        var result = {};
+        
+        _.forEach(doc, (value, field) => {
+            value = _redactValue(value, expression, variables);
+            
+            if (!_.isNull(value) || _.isNull(doc[field])) result[field] = value;
+        });
+        
+        return result;
+    };
+    
+    // The subdocuments are redacted, also inside the arrays, and the other values are kept
+    var _redactValue = function(value, expression, variables) {
+        if (_.isPlainObject(value)) return _redact(value, expression, variables);
+        
+        if (!_.isArray(value)) return _.cloneDeep(value);
+        
+        var elements = [];
+        
+        _.forEach(value, element => {
+            var result = _redactValue(element, expression, variables);
+            
+            if (!_.isNull(result) || _.isNull(element)) elements.push(result);
+        });
+        
+        return elements;
+    };
+    
+    /**
+     * Runs several pipelines over the documents of the stage, returning a single document with the results of each one
+     * 
+     * @method do_facet
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} facet_stage - The pipeline of each output field ({ field: [<stage1>, <stage2>...] })
+     * @param {Collection} collection - The collection being aggregated
+     * @param {Aggregation} aggregation - The aggregation running the stage
+     * 
+     * @returns {Array} The document with the results of the pipelines
+     */
+    var do_facet = function(documents, facet_stage, collection, aggregation) {
+        if (!_.isPlainObject(facet_stage) || _.isEmpty(facet_stage)) logger.throw("$facet requires an object with at least one sub-pipeline");
+        
+        _.forEach(facet_stage, (pipeline, name) => {
+            if (name.substr(0, 1) === '$' || name.indexOf('.') !== -1) logger.throw(`Invalid output field "${name}" in $facet`);
+            
+            if (!_.isArray(pipeline)) logger.throw(`The sub-pipeline "${name}" of $facet must be an array`);
+            
+            for (let i = 0; i < pipeline.length; i++) {
+                for (let key in pipeline[i]) {
+                    aggregation.validStage(key);
                     
-                    _.merge(docs, operator(documents, group_id, field, group_field[key], count));
+                    if (_.includes(['$facet', '$out', '$merge', '$geoNear'], key)) logger.throw(`${key} is not allowed to be used within a $facet stage`);
                     
                     break;
                 }
             }
+        });
+        
+        var result = {};
+        
+        _.forEach(facet_stage, (pipeline, name) => {
+            var facet = new Aggregation(pipeline, { variables: aggregation.variables });
+            
+            // The random picks follow the seed of the whole aggregation
+            facet.random = aggregation.random;
+            
+            result[name] = _.cloneDeep(facet.aggregate(collection, documents));
+        });
+        
+        return [result];
+    };
+    
+    /**
+     * Groups the documents in buckets, by the range of boundaries where the value of an expression falls
+     * 
+     * @method do_bucket
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} bucket_stage - The options of the stage ({ groupBy, boundaries, default, output })
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} A document for each bucket with documents, with the lower boundary as its "_id" 
+     *      (the default bucket goes last)
+     */
+    var do_bucket = function(documents, bucket_stage, variables) {
+        if (!_.isPlainObject(bucket_stage)) logger.throw("$bucket requires an object as its argument");
+        
+        var boundaries = bucket_stage.boundaries,
+            hasDefault = _.has(bucket_stage, 'default');
+        
+        if (!_.has(bucket_stage, 'groupBy') || !_.has(bucket_stage, 'boundaries')) logger.throw("$bucket requires 'groupBy' and 'boundaries' to be specified");
+        
+        if (!_.isArray(boundaries) || boundaries.length < 2) logger.throw("The 'boundaries' of $bucket must be an array of at least two values");
+        
+        if (_.uniq(_.map(boundaries, _valueType)).length !== 1) logger.throw("The 'boundaries' of $bucket must all be of the same type");
+        
+        for (let i = 1; i < boundaries.length; i++) {
+            if (SelectorMatcher.cmp(boundaries[i - 1], boundaries[i]) >= 0) logger.throw("The 'boundaries' of $bucket must be sorted in ascending order");
+        }
+        
+        var first = boundaries[0],
+            last = _.last(boundaries);
+        
+        if (hasDefault && SelectorMatcher.cmp(bucket_stage.default, first) >= 0 && SelectorMatcher.cmp(bucket_stage.default, last) < 0) {
+            logger.throw("The 'default' of $bucket must be lower than the lowest boundary or greater than or equal to the highest one");
+        }
+        
+        var accumulators = _accumulators(_bucketOutput('$bucket', bucket_stage.output));
+        
+        // The documents are grouped by the position of their bucket, the default one being the last
+        var groups = _groupBy(documents, doc => {
+            var value = Expression.evaluate(bucket_stage.groupBy, doc, variables);
+            
+            if (SelectorMatcher.cmp(value, first) >= 0 && SelectorMatcher.cmp(value, last) < 0) {
+                return _.findLastIndex(boundaries, boundary => SelectorMatcher.cmp(boundary, value) <= 0);
+            }
+            
+            if (!hasDefault) logger.throw("$bucket could not find a matching branch for an input, and no default was specified");
+            
+            return boundaries.length;
+        });
+        
+        return _.map(_.sortBy(groups, '_id'), group => {
+            var _id = group._id === boundaries.length ? bucket_stage.default : boundaries[group._id];
+            
+            return _.assign({ _id: _.cloneDeep(_id) }, _accumulate(group.docs, accumulators, variables));
+        });
+    };
+    
+    /**
+     * Groups the documents in a number of buckets, with about the same number of documents each, 
+     * by the value of an expression
+     * 
+     * @method do_bucket_auto
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} bucket_stage - The options of the stage ({ groupBy, buckets, output, granularity })
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} A document for each bucket, with its bounds as its "_id" ({ min, max })
+     */
+    var do_bucket_auto = function(documents, bucket_stage, variables) {
+        if (!_.isPlainObject(bucket_stage)) logger.throw("$bucketAuto requires an object as its argument");
+        
+        var count = bucket_stage.buckets,
+            granularity = _.isNil(bucket_stage.granularity) ? null : bucket_stage.granularity;
+        
+        if (!_.has(bucket_stage, 'groupBy') || !_.has(bucket_stage, 'buckets')) logger.throw("$bucketAuto requires 'groupBy' and 'buckets' to be specified");
+        
+        if (!_.isInteger(count) || count < 1) logger.throw("The 'buckets' of $bucketAuto must be a positive integer");
+        
+        if (!_.isNull(granularity) && !_.has(granularities, granularity)) logger.throw(`Unknown granularity "${granularity}" for $bucketAuto`);
+        
+        var accumulators = _accumulators(_bucketOutput('$bucketAuto', bucket_stage.output));
+        
+        var entries = _.map(documents, (doc, position) => {
+            var value = Expression.evaluate(bucket_stage.groupBy, doc, variables);
+            
+            if (!_.isNull(granularity) && (!_.isNumber(value) || value < 0)) {
+                logger.throw("$bucketAuto can only use a 'granularity' with non-negative numbers");
+            }
+            
+            return { value: _.isUndefined(value) ? null : value, doc: doc, position: position };
+        });
+        
+        // The documents with the same value keep their order
+        entries.sort((a, b) => SelectorMatcher.cmp(a.value, b.value) || a.position - b.position);
+        
+        var size = Math.max(Math.round(entries.length / count), 1),
+            buckets = [],
+            i = 0;
+        
+        while (i < entries.length) {
+            let bucket = { entries: [] };
+            
+            // The last bucket takes the rest of the documents
+            while (i < entries.length && (bucket.entries.length < size || buckets.length === count - 1)) {
+                bucket.entries.push(entries[i++]);
+            }
+            
+            bucket.max = _.last(bucket.entries).value;
+            
+            // A value can not be split between buckets, and the max of a bucket is rounded up to the granularity
+            if (!_.isNull(granularity)) bucket.max = _roundUp(granularity, bucket.max);
+            
+            while (i < entries.length && SelectorMatcher.cmp(entries[i].value, bucket.max) <= (_.isNull(granularity) ? 0 : -1)) {
+                bucket.entries.push(entries[i++]);
+            }
+            
+            buckets.push(bucket);
         }
         
-        return _.values(docs);
+        return _.map(buckets, (bucket, position) => {
+            var min = bucket.entries[0].value,
+                max = bucket.max;
+            
+            if (!_.isNull(granularity)) {
+                min = position === 0 ? _roundDown(granularity, min) : buckets[position - 1].max;
+            } else if (position < buckets.length - 1) {
+                max = buckets[position + 1].entries[0].value;
+            }
+            
+            return _.assign(
+                { _id: { min: _.cloneDeep(min), max: _.cloneDeep(max) } },
+                _accumulate(_.map(bucket.entries, 'doc'), accumulators, variables)
+            );
+        });
     };
     
-    var do_complex_group = function() {
+    var do_sort_by_count = function(documents, expression, variables) {
+        if (!(_.isString(expression) && expression.substr(0, 1) === '$') && !(_.isPlainObject(expression) && _.keys(expression).length === 1 && _.keys(expression)[0].substr(0, 1) === '$')) {
+            logger.throw("$sortByCount requires a field path or an expression object");
+        }
+        
+        var groups = _groupBy(documents, doc => Expression.evaluate(expression, doc, variables));
         
+        return _.map(_.sortBy(groups, group => -group.docs.length), group => ({ _id: _.cloneDeep(group._id), count: group.docs.length }));
     };
     
-    var do_sort = function(documents, sort_stage) {
-        return documents.sort(new Selector(sort_stage, Selector.SORT_SELECTOR));
+    // The accumulators of a bucket stage, counting the documents by default
+    var _bucketOutput = function(stage, output) {
+        if (_.isNil(output)) return { count: { $sum: 1 } };
+        
+        if (!_.isPlainObject(output)) logger.throw(`The 'output' of ${stage} must be an object`);
+        
+        return output;
     };
     
-    var do_match = function(documents, match_stage) {
-        var cursor = new Cursor(documents, match_stage);
+    var _valueType = function(value) {
+        if (_.isDate(value)) return 'date';
         
-        return cursor.fetch();
+        if (_.isArray(value)) return 'array';
+        
+        return _.isNull(value) ? 'null' : typeof value;
     };
     
-    var do_group = function(documents, group_stage) {
-        if (!_.hasIn(group_stage, '_id')) logger.throw('The field "_id" is required in the "$group" stage');
+    // The preferred numbers series, from 1 up to 10
+    var _series = function(values, step) {
+        return _.filter(values, (value, i) => i % step === 0);
+    };
+    
+    var R80 = [
+        1.00, 1.03, 1.06, 1.09, 1.12, 1.15, 1.18, 1.22, 1.25, 1.28, 1.32, 1.36, 1.40, 1.45, 1.50, 1.55,
+        1.60, 1.65, 1.70, 1.75, 1.80, 1.85, 1.90, 1.95, 2.00, 2.06, 2.12, 2.18, 2.24, 2.30, 2.36, 2.43,
+        2.50, 2.58, 2.65, 2.72, 2.80, 2.90, 3.00, 3.07, 3.15, 3.25, 3.35, 3.45, 3.55, 3.65, 3.75, 3.87,
+        4.00, 4.12, 4.25, 4.37, 4.50, 4.62, 4.75, 4.87, 5.00, 5.15, 5.30, 5.45, 5.60, 5.80, 6.00, 6.15,
+        6.30, 6.50, 6.70, 6.90, 7.10, 7.30, 7.50, 7.75, 8.00, 8.25, 8.50, 8.75, 9.00, 9.25, 9.50, 9.75
+    ];
+    
+    var E24 = [1.0, 1.1, 1.2, 1.3, 1.5, 1.6, 1.8, 2.0, 2.2, 2.4, 2.7, 3.0, 3.3, 3.6, 3.9, 4.3, 4.7, 5.1, 5.6, 6.2, 6.8, 7.5, 8.2, 9.1];
+    
+    // The E192 series follows its formula, but for 9.20
+    var E192 = _.times(192, i => {
+        var value = _.round(Math.pow(10, i / 192), 2);
+        
+        return value === 9.19 ? 9.2 : value;
+    });
+    
+    var granularities = {
+        R5: _series(R80, 16),
+        R10: _series(R80, 8),
+        R20: _series(R80, 4),
+        R40: _series(R80, 2),
+        R80: R80,
+        '1-2-5': [1, 2, 5],
+        E6: _series(E24, 4),
+        E12: _series(E24, 2),
+        E24: E24,
+        E48: _series(E192, 4),
+        E96: _series(E192, 2),
+        E192: E192,
+        POWERSOF2: null
+    };
+    
+    // The numbers of a series on some decades around a value
+    var _seriesAround = function(granularity, value) {
+        var exponent = Math.floor(Math.log10(value));
+        var numbers = [];
+        
+        for (let e = exponent - 1; e <= exponent + 1; e++) {
+            _.forEach(granularities[granularity], number => {
+                numbers.push(parseFloat((number * Math.pow(10, e)).toPrecision(12)));
+            });
+        }
+        
+        return numbers;
+    };
+    
+    // The lowest number of the series greater than the value
+    var _roundUp = function(granularity, value) {
+        if (value === 0) return 0;
+        
+        if (granularity === 'POWERSOF2') return Math.pow(2, Math.floor(Math.log2(value)) + 1);
+        
+        return _.find(_seriesAround(granularity, value), number => number > value);
+    };
+    
+    // The greatest number of the series lower than the value
+    var _roundDown = function(granularity, value) {
+        if (value === 0) return 0;
         
-        let new_id = group_stage['_id'];
+        if (granularity === 'POWERSOF2') return Math.pow(2, Math.ceil(Math.log2(value)) - 1);
         
-        if (!_.isNull(new_id)) {
-            if (new_id.substr(0, 1) !== '$') {
-                logger.throw("Field names references in a right side assignement must be preceded by '$'");
+        return _.findLast(_seriesAround(granularity, value), number => number < value);
+    };
+    
+    /**
+     * Reshapes each document, including or excluding some of its fields and adding the fields calculated by expressions. 
+     * A field is included with 1 or true, and excluded with 0, -1 or false. When some field is included or calculated, 
+     * the fields not included are left out, and only "_id" can be excluded.
+     * 
+     * @method do_project
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} project_stage - The fields of the documents ({ field1: 1, "field2.subfield": 0, field3: <expression> })
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} The reshaped documents
+     */
+    var do_project = function(documents, project_stage, variables) {
+        if (!_.isPlainObject(project_stage) || _.isEmpty(project_stage)) logger.throw("$project requires an object with at least one field");
+        
+        var fields = _projectionFields(project_stage, '', []),
+            showId = true,
+            includesId = false,
+            included = [],
+            excluded = [],
+            computed = [];
+        
+        _.forEach(fields, field => {
+            var value = field.value;
+            
+            if (_.isPlainObject(value) && _.isEmpty(value)) logger.throw(`An empty sub-projection is not a valid value for "${field.path}"`);
+            
+            if (value === true || (_.isNumber(value) && value !== 0 && value !== -1)) {
+                if (field.path === '_id') {
+                    includesId = true;
+                } else {
+                    included.push(field.path.split('.'));
+                }
+            } else if (value === false || value === 0 || value === -1) {
+                if (field.path === '_id') {
+                    showId = false;
+                } else {
+                    excluded.push(field.path.split('.'));
+                }
             } else {
-                new_id = new_id.substr(1, new_id.length);
+                computed.push(field);
             }
+        });
+        
+        if (excluded.length > 0 && (included.length > 0 || computed.length > 0)) {
+            logger.throw(`Cannot do exclusion on field "${excluded[0].join('.')}" in inclusion projection`);
         }
-                    
-        if (_.isPlainObject(new_id)) {
-            // complex_id
-            // do_complex_group();
+        
+        // Only including the "_id" is an inclusion projection too
+        if (included.length === 0 && computed.length === 0 && !(includesId && excluded.length === 0)) {
+            return _.map(documents, doc => {
+                var result = _.cloneDeep(doc);
+                
+                if (!showId) delete result._id;
+                
+                _.forEach(excluded, parts => _excludePath(result, parts));
+                
+                return result;
+            });
+        }
+        
+        return _.map(documents, doc => {
+            var result = {};
+            
+            if (showId && _.has(doc, '_id')) result._id = _.cloneDeep(doc._id);
+            
+            _.forEach(included, parts => _includePath(doc, result, parts));
+            
+            _.forEach(computed, field => {
+                var value = Expression.evaluate(field.value, doc, variables);
+                
+                // The missing values are not added
+                if (!_.isUndefined(value)) _.set(result, field.path, _.cloneDeep(value));
+            });
+            
+            return result;
+        });
+    };
+    
+    // The fields of a stage by their paths, as { a: { b: 1 } } is the same as { "a.b": 1 }
+    var _projectionFields = function(spec, prefix, fields) {
+        for (let key in spec) {
+            let value = spec[key];
+            
+            if (key.substr(0, 1) === '$') logger.throw(`The field name "${prefix}${key}" cannot start with '$'`);
+            
+            if (_.isPlainObject(value) && !_.isEmpty(value) && _.keys(value)[0].substr(0, 1) !== '$') {
+                _projectionFields(value, `${prefix}${key}.`, fields);
+            } else {
+                fields.push({ path: prefix + key, value: value });
+            }
+        }
+        
+        return fields;
+    };
+    
+    /**
+     * Adds new fields to each document, or replaces the existing ones, with the values of some expressions
+     * 
+     * @method do_add_fields
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {Object} add_fields_stage - The new fields ({ field1: <expression>, "field2.subfield": <expression> })
+     * @param {Object} variables - The values of the variables of the pipeline
+     * 
+     * @returns {Array} The documents with the new fields
+     */
+    var do_add_fields = function(documents, add_fields_stage, variables) {
+        if (!_.isPlainObject(add_fields_stage) || _.isEmpty(add_fields_stage)) logger.throw("$addFields requires an object with at least one field");
+        
+        var fields = _projectionFields(add_fields_stage, '', []);
+        
+        return _.map(documents, doc => {
+            var result = _.cloneDeep(doc);
+            
+            // Every value is calculated over the document as it was before the stage
+            _.forEach(fields, field => {
+                var value = Expression.evaluate(field.value, doc, variables);
+                
+                if (!_.isUndefined(value)) _setPath(result, field.path.split('.'), value);
+            });
+            
+            return result;
+        });
+    };
+    
+    var do_unset = function(documents, unset_stage) {
+        var paths = _.castArray(unset_stage);
+        
+        if (paths.length === 0 || !_.every(paths, path => _.isString(path) && path !== '' && path.substr(0, 1) !== '$')) {
+            logger.throw("$unset requires a field name or an array of field names");
+        }
+        
+        return _.map(documents, doc => {
+            var result = _.cloneDeep(doc);
+            
+            _.forEach(paths, path => _excludePath(result, path.split('.')));
+            
+            return result;
+        });
+    };
+    
+    /**
+     * Replaces each document with the document given by an expression
+     * 
+     * @method do_replace_root
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {*} new_root - The expression of the new document ("$field", { field: <expression> }...)
+     * @param {Object} variables - The values of the variables of the pipeline
+     * @param {String} stage - The name of the stage, for the errors
+     * 
+     * @returns {Array} The new documents
+     */
+    var do_replace_root = function(documents, new_root, variables, stage) {
+        return _.map(documents, doc => {
+            var result = Expression.evaluate(new_root, doc, variables);
+            
+            if (!_.isPlainObject(result)) {
+                logger.throw(`The new root of ${stage} must evaluate to an object, but resulting value was: ${JSON.stringify(result)}`);
+            }
+            
+            return _.cloneDeep(result);
+        });
+    };
+    
+    /**
+     * Sets a field of a document. Through an array, the field is set on each of its elements, 
+     * and the values that are not documents are replaced with one.
+     * 
+     * @method _setPath
+     * @private
+     * 
+     * @param {Object} target - The document
+     * @param {Array} parts - The path of the field
+     * @param {*} value - The value of the field
+     */
+    var _setPath = function(target, parts, value) {
+        var field = parts[0];
+        
+        if (parts.length === 1) {
+            target[field] = _.cloneDeep(value);
+        } else if (_.isArray(target[field])) {
+            target[field] = _.map(target[field], element => {
+                if (!_.isPlainObject(element)) element = {};
+                
+                _setPath(element, parts.slice(1), value);
+                
+                return element;
+            });
         } else {
-            // single_id
-            return do_single_group(new_id, group_stage, documents);
+            if (!_.isPlainObject(target[field])) target[field] = {};
+            
+            _setPath(target[field], parts.slice(1), value);
         }
     };
     
-    var do_project = function(documents, project_stage) {
-        return Cursor.project(documents, project_stage, true);
+    /**
+     * Copies a field of a document into the projected document. Through an array, 
+     * the field is copied from each of its subdocuments.
+     * 
+     * @method _includePath
+     * @private
+     * 
+     * @param {Object} source - The document
+     * @param {Object} target - The projected document
+     * @param {Array} parts - The path of the field
+     */
+    var _includePath = function(source, target, parts) {
+        var field = parts[0];
+        
+        if (!_.has(source, field)) return;
+        
+        var value = source[field];
+        
+        if (parts.length === 1) {
+            target[field] = _.cloneDeep(value);
+        } else if (_.isArray(value)) {
+            let objects = _.filter(value, _.isPlainObject);
+            
+            if (!_.isArray(target[field])) target[field] = _.map(objects, () => ({}));
+            
+            _.forEach(objects, (object, i) => _includePath(object, target[field][i], parts.slice(1)));
+        } else if (_.isPlainObject(value)) {
+            if (!_.isPlainObject(target[field])) target[field] = {};
+            
+            _includePath(value, target[field], parts.slice(1));
+        }
+    };
+    
+    var _excludePath = function(target, parts) {
+        var field = parts[0];
+        
+        if (!_.has(target, field)) return;
+        
+        if (parts.length === 1) {
+            delete target[field];
+        } else if (_.isArray(target[field])) {
+            _.forEach(target[field], element => {
+                if (_.isPlainObject(element)) _excludePath(element, parts.slice(1));
+            });
+        } else if (_.isPlainObject(target[field])) {
+            _excludePath(target[field], parts.slice(1));
+        }
     };
 
+    /**
+     * Replaces all the documents of a collection with the documents of the stage. Every document is checked 
+     * before writing, so the collection is left untouched if any of them can not be stored.
+     * 
+     * @method do_out
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {String|Object} out_stage - The name of the collection, or { db, coll }
+     * @param {Collection} collection - The collection being aggregated
+     */
+    var do_out = function(documents, out_stage, collection) {
+        var name = _outputCollection('$out', out_stage, collection);
+        var existing = collection.db._collections[name] || null;
+        var docs = _.map(documents, doc => {
+            if (!_.isPlainObject(doc)) logger.throw("$out can only write documents");
+            
+            return _.cloneDeep(doc);
+        });
+        
+        _checkOutput(docs, existing, `${collection.databaseName}.${name}`);
+        
+        var target = collection.db.collection(name);
+        
+        // The documents are removed one by one, so the stores receive "remove" events instead of a "dropCollection"
+        _.forEach(target.docs.slice(), doc => {
+            target.remove({ _id: doc._id });
+        });
+        
+        _.forEach(docs, doc => {
+            target.insert(doc);
+        });
+    };
+    
+    /**
+     * Writes the documents of the stage into a collection, matching them with the existing documents by some fields
+     * 
+     * @method do_merge
+     * @private
+     * 
+     * @param {Array} documents - The documents of the stage
+     * @param {String|Object} merge_stage - The name of the collection, or the options of the stage: { into, on, whenMatched, whenNotMatched }
+     * @param {Collection} collection - The collection being aggregated
+     */
+    var do_merge = function(documents, merge_stage, collection) {
+        if (_.isString(merge_stage)) merge_stage = { into: merge_stage };
+        
+        if (!_.isPlainObject(merge_stage)) logger.throw("$merge requires a string or an object as its argument");
+        
+        var name = _outputCollection('$merge', merge_stage.into, collection),
+            on = _.isNil(merge_stage.on) ? ['_id'] : _.castArray(merge_stage.on),
+            whenMatched = _.isNil(merge_stage.whenMatched) ? 'merge' : merge_stage.whenMatched,
+            whenNotMatched = _.isNil(merge_stage.whenNotMatched) ? 'insert' : merge_stage.whenNotMatched;
+        
+        if (on.length === 0 || !_.every(on, field => _.isString(field) && field !== '')) {
+            logger.throw("The 'on' of $merge must be a field name or an array of field names");
+        }
+        
+        if (!_.includes(['replace', 'merge', 'keepExisting', 'fail'], whenMatched)) {
+            logger.throw("The 'whenMatched' of $merge must be one of 'replace', 'merge', 'keepExisting' or 'fail'");
+        }
+        
+        if (!_.includes(['insert', 'discard', 'fail'], whenNotMatched)) {
+            logger.throw("The 'whenNotMatched' of $merge must be one of 'insert', 'discard' or 'fail'");
+        }
+        
+        var target = collection.db.collection(name);
+        
+        // Other fields than "_id" must have an unique index, so a document can not match several ones
+        if (!_.isEqual(on, ['_id'])) {
+            let unique = _.some(target._indexes, index => index.unique && _.isEqual(_.sortBy(_.keys(index.key)), _.sortBy(on)));
+            
+            if (!unique) logger.throw("Cannot find index to verify that the 'on' fields of $merge will be unique");
+        }
+        
+        // The documents are taken first, as they may be the ones of the target collection
+        _.forEach(_.map(documents, doc => _.cloneDeep(doc)), doc => {
+            if (!_.isPlainObject(doc)) logger.throw("$merge can only write documents");
+            
+            var selection = {};
+            
+            _.forEach(on, field => {
+                let value = Expression.getPath(doc, field);
+                
+                if (_.isNil(value) || _.isArray(value)) {
+                    logger.throw(`$merge write error: the 'on' field "${field}" cannot be missing, null or an array`);
+                }
+                
+                // The number ids are stored as strings
+                if (field === '_id' && _.isNumber(value)) value = _.toString(value);
+                
+                selection[field] = value;
+            });
+            
+            var matched = new Cursor(target.docs, selection, null, {
+                indexes: _.values(target._indexes),
+                limit: 1
+            }).fetch();
+            
+            if (matched.length === 0) {
+                if (whenNotMatched === 'fail') logger.throw(`$merge found no document matching ${JSON.stringify(selection)} in "${name}"`);
+                
+                if (whenNotMatched === 'insert') target.insert(doc);
+                
+                return;
+            }
+            
+            switch (whenMatched) {
+                case 'fail':
+                    logger.throw(`$merge found a document matching ${JSON.stringify(selection)} in "${name}"`);
+                    
+                    break;
+                case 'replace':
+                    target.update({ _id: matched[0]._id }, _.omit(doc, '_id'), { override: true });
+                    
+                    break;
+                case 'merge':
+                    target.update({ _id: matched[0]._id }, { $set: _.omit(doc, '_id') }, {});
+                    
+                    break;
+            }
+        });
+    };
+    
+    /**
+     * Obtains the name of the collection written by an output stage. Only the collections of the same database are allowed.
+     * 
+     * @method _outputCollection
+     * @private
+     * 
+     * @param {String} stage - The name of the stage
+     * @param {String|Object} value - The name of the collection, or { db, coll }
+     * @param {Collection} collection - The collection being aggregated
+     * 
+     * @returns {String} The name of the collection
+     */
+    var _outputCollection = function(stage, value, collection) {
+        if (_.isPlainObject(value)) {
+            if (!_.isNil(value.db) && value.db !== collection.databaseName) logger.throw(`${stage} can only write into the same database`);
+            
+            value = value.coll;
+        }
+        
+        if (!_.isString(value) || value === '') logger.throw(`${stage} requires the name of the collection to write into`);
+        
+        return value;
+    };
+    
+    /**
+     * Checks that some documents can replace all the documents of a collection: their "_id" 
+     * and their keys on the unique indexes of the collection are not repeated
+     * 
+     * @method _checkOutput
+     * @private
+     * 
+     * @param {Array} docs - The documents
+     * @param {Collection} [target] - The collection, if it already exists
+     * @param {String} namespace - The full name of the collection
+     */
+    var _checkOutput = function(docs, target, namespace) {
+        var ids = {};
+        
+        _.forEach(docs, doc => {
+            if (_.isNil(doc._id)) return;
+            
+            let id = _.toString(doc._id);
+            
+            if (_.has(ids, id)) logger.throw(`E11000 duplicate key error collection: ${namespace} index: _id_ dup key: ${JSON.stringify({ _id: doc._id })}`);
+            
+            ids[id] = true;
+        });
+        
+        _.forEach(_.isNil(target) ? {} : target._indexes, index => {
+            var entries = [];
+            
+            _.forEach(docs, (doc, position) => {
+                // A missing field is considered as null
+                _.forEach(index.getKeys(doc), key => {
+                    entries.push({ key: _.map(key, value => _.isUndefined(value) ? null : value), position: position });
+                });
+            });
+            
+            if (!index.unique) return;
+            
+            entries.sort((a, b) => index.compareKeys(a.key, b.key));
+            
+            for (let i = 1; i < entries.length; i++) {
+                if (entries[i].position !== entries[i - 1].position && index.compareKeys(entries[i].key, entries[i - 1].key) === 0) {
+                    logger.throw(index.duplicateKeyError(namespace, entries[i].key));
+                }
+            }
+        });
+    };
+    
     class Aggregation {
-        constructor(pipeline) {
+        constructor(pipeline, options = {}) {
             logger = Logger.instance;
             
             this.pipeline = pipeline;
+            this.variables = options.variables || {};
+            
+            if (!_.isNil(options.seed) && !_.isNumber(options.seed)) logger.throw("The seed must be a number");
+            
+            this.random = _.isNil(options.seed) ? Math.random : seeded_random(options.seed);
         }
         
-        aggregate(collection) {
-            var docs = collection.docs;
+        aggregate(collection, documents = collection.docs) {
+            var docs = documents;
             
             for (let i = 0; i < this.pipeline.length; i++) {
                 let stage = this.pipeline[i];
@@ -209,20 +1478,103 @@ module.exports = function(Selector, Cursor, Logger, _) {
                 for (let key in stage) {
                     switch (key) {
                         case '$project':
-                            docs = do_project(docs, stage[key]);
+                            docs = do_project(docs, stage[key], this.variables);
+                            
+                            break;
+                        case '$addFields':
+                        case '$set':
+                            docs = do_add_fields(docs, stage[key], this.variables);
+                            
+                            break;
+                        case '$unset':
+                            docs = do_unset(docs, stage[key]);
+                            
+                            break;
+                        case '$replaceRoot':
+                            if (!_.isPlainObject(stage[key]) || !_.has(stage[key], 'newRoot')) logger.throw("$replaceRoot requires a 'newRoot' expression");
+                            
+                            docs = do_replace_root(docs, stage[key].newRoot, this.variables, key);
+                            
+                            break;
+                        case '$replaceWith':
+                            docs = do_replace_root(docs, stage[key], this.variables, key);
+                            
+                            break;
+                        case '$redact':
+                            docs = do_redact(docs, stage[key], this.variables);
+                            
+                            break;
+                        case '$facet':
+                            docs = do_facet(docs, stage[key], collection, this);
+                            
+                            break;
+                        case '$bucket':
+                            docs = do_bucket(docs, stage[key], this.variables);
+                            
+                            break;
+                        case '$bucketAuto':
+                            docs = do_bucket_auto(docs, stage[key], this.variables);
+                            
+                            break;
+                        case '$sortByCount':
+                            docs = do_sort_by_count(docs, stage[key], this.variables);
                             
                             break;
                         case '$match':
-                            docs = do_match(docs, stage[key]);
+                            docs = do_match(docs, stage[key], collection, this.variables);
                             
                             break;
                         case '$group':
-                            docs = do_group(docs, stage[key]);
+                            docs = do_group(docs, stage[key], this.variables);
                             
                             break;
                         case '$sort':
                             docs = do_sort(docs, stage[key]);
                             
+                            break;
+                        case '$limit':
+                            docs = do_limit(docs, stage[key]);
+                            
+                            break;
+                        case '$skip':
+                            docs = do_skip(docs, stage[key]);
+                            
+                            break;
+                        case '$unwind':
+                            docs = do_unwind(docs, stage[key]);
+                            
+                            break;
+                        case '$sample':
+                            docs = do_sample(docs, stage[key], this.random);
+                            
+                            break;
+                        case '$lookup':
+                            docs = do_lookup(docs, stage[key], collection, this);
+                            
+                            break;
+                        case '$out':
+                        case '$merge':
+                            if (i !== this.pipeline.length - 1) logger.throw(`${key} can only be the final stage in the pipeline`);
+                            
+                            if (key === '$out') {
+                                do_out(docs, stage[key], collection);
+                            } else {
+                                do_merge(docs, stage[key], collection);
+                            }
+                            
+                            // Nothing is returned, as the documents are written into the collection
+                            docs = [];
+                            
+                            break;
+                        case '$graphLookup':
+                            docs = do_graph_lookup(docs, stage[key], collection, this.variables);
+                            
+                            break;
+                        case '$geoNear':
+                            if (i !== 0) logger.throw("$geoNear is only valid as the first stage in a pipeline");
+                            
+                            docs = do_geo_near(collection, stage[key]);
+                            
                             break;
                     }
                 }
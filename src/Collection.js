@@ -9,7 +9,7 @@
 
 var logger = null;
 
-module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _) {
+module.exports = function(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _) {
     
     /**
      * Collection
@@ -25,6 +25,7 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
      * @param {Object} [options] - Database object
      * 
      * @param {Object} [options.pkFactory=null] - Object overriding the basic "ObjectId" primary key generation.
+     * @param {Function} [options.clock] - Function returning the current date (or timestamp), used to expire the documents of TTL indexes
      * 
      */
     var database = null;
@@ -45,14 +46,19 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
             
             Collection.checkCollectionName(collectionName);
         
-            // this.db = db;
+            // Not enumerable, so the collection can still be serialized
+            Object.defineProperty(this, 'db', { value: db, enumerable: false });
+            
             database = db;
             this.name = collectionName;
             this.databaseName = db.databaseName;
             this.fullName = this.databaseName + '.' + this.name;
             this.docs = [];
             this.doc_indexes = {};
+            this._indexes = {};
             this.snapshots = [];
+            this.clock = _.isFunction(options.clock) ? options.clock : () => new Date();
+            this.javascriptEnabled = db.javascriptEnabled !== false;
             this.opts = {}; // Default options
             
             _.merge(this.opts, options);
@@ -70,7 +76,8 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     // TODO possibly enforce that 'undefined' does not appear (we assume
     // this in our handling of null and $exists)
     /**
-     * Inserts a document into the collection
+     * Inserts a document into the collection. If the document breaks an unique index (or its "_id" is already used), 
+     * a duplicate key error is thrown and nothing is inserted.
      * 
      * @method Collection#insert
      * 
@@ -112,10 +119,18 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         // Add options to more dates
         _doc.timestamp = new ObjectId().generationTime;
         
+        // The "_id" is always unique, as if it had its own unique index
+        _checkIdUnique(this, _doc._id);
+        
+        // Obtain the index keys first, so an invalid document is not stored
+        var keys = _getIndexKeys(this, _doc);
+        
         // Reverse
         this.doc_indexes[_.toString(_doc._id)] = this.docs.length;
         this.docs.push(_doc);
         
+        _addToIndexes(this, _doc, keys);
+        
         /**
          * "insert" event.
          *
@@ -140,7 +155,8 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     };
     
     /**
-     * Inserts several documents into the collection
+     * Inserts several documents into the collection, in order. A duplicate key error stops the insertion, 
+     * keeping the documents inserted before it.
      * 
      * @method Collection#bulkInsert
      * 
@@ -213,7 +229,10 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         options = params.options;
         callback = params.callback;
         
-        var cursor = new Cursor(this.docs, selection, fields, options);
+        var cursor = new Cursor(this.docs, selection, fields, _.assign({}, options, {
+            indexes: _.values(this._indexes),
+            javascriptEnabled: this.javascriptEnabled
+        }));
     
         /**
          * "find" event.
@@ -274,7 +293,10 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         options = params.options;
         callback = params.callback;
         
-        var cursor = new Cursor(this.docs, selection, fields, options);
+        var cursor = new Cursor(this.docs, selection, fields, _.assign({}, options, {
+            indexes: _.values(this._indexes),
+            javascriptEnabled: this.javascriptEnabled
+        }));
     
         /**
          * "findOne" event.
@@ -309,12 +331,14 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     
     
     /**
-     * Updates one or many documents
+     * Updates one or many documents. If an updated (or upserted) document breaks an unique index, 
+     * a duplicate key error is thrown and that document is not modified.
      * 
      * @method Collection#update
      * 
      * @param {Object|Array|String} [selection={}] - The selection for matching documents
-     * @param {Object} [update={}] - The update operation
+     * @param {Object|Array} [update={}] - The update operation, or a pipeline of "$set", "$addFields", "$unset", "$project", 
+     *      "$replaceRoot" and "$replaceWith" stages whose expressions can use the current values of the document
      * @param {Object} [options] - Additional options
      * 
      * @param {Number} [options.updateAsMongo=true] - By default: 
@@ -330,8 +354,11 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
      *          <ul>
      * 
      * @param {Number} [options.override=false] - Replaces the whole document (only apllies when [updateAsMongo=false])
-     * @param {Number} [options.upsert=false] - Creates a new document when no document matches the query criteria
+     * @param {Number} [options.upsert=false] - Creates a new document when no document matches the query criteria. 
+     *      When [update] contains update operators, they are applied (along with "$setOnInsert") over the equality fields of [selection]
      * @param {Number} [options.multi=false] - Updates multiple documents that meet the criteria
+     * @param {Array} [options.arrayFilters=[]] - Filters for the array elements updated through the "$[<identifier>]" positional operators, 
+     *      as "{ <identifier>: <condition> }" or "{ '<identifier>.<field>': <condition> }"
      * @param {Object} [options.writeConcern=null] - An object expressing the write concern
      * 
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
@@ -354,6 +381,8 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         
         if (_.isFunction(update)) logger.throw("You must specify the update operation");
         
+        if (_.isArray(update)) _checkUpdatePipeline(update);
+        
         if (_.isFunction(options)) {
             callback = options;
             options = {};
@@ -370,6 +399,14 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     
         var res = null;
     
+        // Shared by every updated document, so "$currentDate" sets the same date on all of them
+        var context = {
+            now: new Date(this.clock()),
+            upsert: false,
+            selection: selection,
+            arrayFilters: _arrayFilters(options.arrayFilters, update)
+        };
+        
         var docs = null;
         if (options.multi) {
             docs = this.find(selection, null, { forceFetch: true });
@@ -387,7 +424,9 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         
         if (docs.length === 0) {
             if (options.upsert) {
-                var inserted = this.insert(update);
+                context.upsert = true;
+                
+                var inserted = this.insert(_upsertDocument(this, selection, update, context));
     
                 res = {
                     updated: {
@@ -418,75 +457,84 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
             for (var i = 0; i < docs.length; i++) {
                 var doc = docs[i];
                 
-                var override = null;
-                
-                var hasModifier = false;
+                var _docUpdate = null;
                 
-                for (let key in update) {
-                    // IE7 doesn't support indexing into strings (eg, key[0] or key.indexOf('$') ), so use substr.
-                    // Testing over the first letter:
-                    //      Bests result with 1e8 loops => key[0](~3s) > substr(~5s) > regexp(~6s) > indexOf(~16s)
+                if (_.isArray(update)) {
+                    _docUpdate = _pipelineUpdate(this, doc, update);
+                } else {
+                    // Set before looking at the fields, so an empty replacement ({}) still overrides the document
+                    var override = options.updateAsMongo ? true : !!options.override;
                     
-                    var modifier = (key.substr(0, 1) === '$');
-                    if (modifier) {
-                        hasModifier = true;
-                    }
+                    var hasModifier = false;
                     
-                    if (options.updateAsMongo) {
-                        if (hasModifier && !modifier) logger.throw("All update fields must be an update operator");
-                        
-                        if (!hasModifier && options.multi) logger.throw("You can not update several documents when no update operators are included");
+                    for (let key in update) {
+                        // IE7 doesn't support indexing into strings (eg, key[0] or key.indexOf('$') ), so use substr.
+                        // Testing over the first letter:
+                        //      Bests result with 1e8 loops => key[0](~3s) > substr(~5s) > regexp(~6s) > indexOf(~16s)
                         
-                        if (hasModifier) override = false;
+                        var modifier = (key.substr(0, 1) === '$');
+                        if (modifier) {
+                            hasModifier = true;
+                        }
                         
-                        if (!hasModifier) override = true;
-                    } else {
-                        override = !!options.override;
-                    }
-                }
-                
-                var _docUpdate = null;
-                
-                if (override) {
-                    // Overrides the document except for the "_id"
-                    _docUpdate = {
-                        _id: doc._id
-                    };
-                    
-                    // Must ignore fields starting with '$', '.'...
-                    for (let key in update) {
-                        if (key.substr(0, 1) === '$' || /\./g.test(key)) {
-                            logger.warn(`The field ${key} can not begin with '$' or contain '.'`);
+                        if (options.updateAsMongo) {
+                            if (hasModifier && !modifier) logger.throw("All update fields must be an update operator");
+                            
+                            if (!hasModifier && options.multi) logger.throw("You can not update several documents when no update operators are included");
+                            
+                            if (hasModifier) override = false;
+                            
+                            if (!hasModifier) override = true;
                         } else {
-                            _docUpdate[key] = update[key];
+                            override = !!options.override;
                         }
                     }
-                } else {
-                    _docUpdate = _.cloneDeep(doc);
                     
-                    for (let key in update) {
-                        let val = update[key];
+                    if (override) {
+                        // Overrides the document except for the "_id"
+                        _docUpdate = {
+                            _id: doc._id
+                        };
                         
-                        if (key.substr(0, 1) === '$') {
-                            _docUpdate = _applyModifier(_docUpdate, key, val);
-                        } else {
-                            if (!_.isNil(_docUpdate[key])) {
-                                if (key !== '_id') {
-                                    _docUpdate[key] = val;
+                        // Must ignore fields starting with '$', '.'...
+                        for (let key in update) {
+                            if (key.substr(0, 1) === '$' || /\./g.test(key)) {
+                                logger.warn(`The field ${key} can not begin with '$' or contain '.'`);
+                            } else {
+                                _docUpdate[key] = update[key];
+                            }
+                        }
+                    } else {
+                        _docUpdate = _.cloneDeep(doc);
+                        
+                        for (let key in update) {
+                            let val = update[key];
+                            
+                            if (key.substr(0, 1) === '$') {
+                                _docUpdate = _applyModifier(_docUpdate, key, val, context);
+                            } else {
+                                if (!_.isNil(_docUpdate[key])) {
+                                    if (key !== '_id') {
+                                        _docUpdate[key] = val;
+                                    } else {
+                                        logger.warn("The field '_id' can not be updated");
+                                    }
                                 } else {
-                                    logger.warn("The field '_id' can not be updated");
+                                    logger.warn(`The document does not contains the field ${key}`);
                                 }
-                            } else {
-                                logger.warn(`The document does not contains the field ${key}`);
                             }
                         }
                     }
                 }
                 
+                let idx = this.doc_indexes[_docUpdate._id];
+                let keys = _getIndexKeys(this, _docUpdate, this.docs[idx]);
+                
                 updatedDocs.push(_docUpdate);
                 
-                let idx = this.doc_indexes[_docUpdate._id];
+                _removeFromIndexes(this, this.docs[idx]);
                 this.docs[idx] = _docUpdate;
+                _addToIndexes(this, _docUpdate, keys);
             }
             
             /**
@@ -527,7 +575,7 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         return res;
     };
     
-    var _applyModifier = function(_docUpdate, key, val) {
+    var _applyModifier = function(_docUpdate, key, val, context) {
         var doc = _.cloneDeep(_docUpdate);
         // var mod = _modifiers[key];
                             
@@ -535,11 +583,14 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
             logger.throw(`Invalid modifier specified: ${key}`);
         }
         
+        // "$setOnInsert" only applies when the update inserts a new document
+        if (key === '$setOnInsert' && !context.upsert) return doc;
+        
         for (var keypath in val) {
             var value = val[keypath];
-            var keyparts = keypath.split('.');
+            var keyparts = _positionalPath(doc, keypath, context).split('.');
             
-            _modify(doc, keyparts, value, key);
+            _modify(doc, keyparts, value, key, context);
             
             // var no_create = !!Collection._noCreateModifiers[key];
             // var forbid_array = (key === "$rename");
@@ -552,9 +603,30 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         return doc;
     };
     
-    var _modify = function(document, keyparts, value, key, level = 0) {
+    var _modify = function(document, keyparts, value, key, context, level = 0) {
         for (let i = level; i < keyparts.length; i++) {
             let path = keyparts[i];
+            
+            // "arrayField.$[]" or "arrayField.$[<identifier>]": modifies every (matching) element of the array
+            let allPositional = /^\$\[(.*)\]$/.exec(path);
+            if (allPositional) {
+                if (!_.isArray(document)) {
+                    logger.throw(`Cannot apply the positional operator "${path}" to the non-array element ${JSON.stringify(document)}`);
+                }
+                
+                let identifier = allPositional[1];
+                let indexes = _.filter(_.range(document.length), index => identifier === '' || context.arrayFilters[identifier](document[index]));
+                
+                _.forEach(indexes, index => {
+                    let parts = _.clone(keyparts);
+                    parts[i] = _.toString(index);
+                    
+                    _modify(document, parts, value, key, context, i);
+                });
+                
+                return document;
+            }
+            
             let isNumeric = /^[0-9]+$/.test(path);
             let target = document[path];
             
@@ -582,25 +654,383 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
             
             if (i < keyparts.length - 1) {
                 if (_.isNil(target)) {
+                    if (/^\$\[.*\]$/.test(keyparts[i + 1])) {
+                        logger.throw(`The path "${keyparts.slice(0, i + 1).join('.')}" must exist in the document in order to apply array updates`);
+                    }
+                    
                     // If we are accessing with "arrayField.<numeric_index>"
-                    if (_.isFinite(_.toNumber(keyparts[i + 1]))) {  //  || keyparts[i + 1] === '$'  // TODO "arrayField.$"
+                    if (_.isFinite(_.toNumber(keyparts[i + 1]))) {
                         target = [];
                     } else {
                         target = {};
                     }
                 }
                 
-                document[path] = _modify(target, keyparts, value, key, level + 1);
+                document[path] = _modify(target, keyparts, value, key, context, level + 1);
     
                 return document;
             } else {
-                _modifiers[key](document, path, value);
+                _modifiers[key](document, path, value, context);
                 
                 return document;
             }
         }
     };
     
+    /**
+     * Replaces the positional operator of a keypath ("arrayField.$.field") with the index of the 
+     * first element of the array matched by the update selection.
+     * 
+     * @method _positionalPath
+     * @private
+     * 
+     * @param {Object} doc - The document being updated
+     * @param {String} keypath - The keypath of the modifier
+     * @param {Object} context - The context of the update
+     * 
+     * @returns {String} The keypath, with the positional operator resolved
+     */
+    var _positionalPath = function(doc, keypath, context) {
+        var keyparts = keypath.split('.');
+        var position = keyparts.indexOf('$');
+        
+        if (position === -1) return keypath;
+        
+        if (position === 0) logger.throw(`The positional operator can not be the first element of "${keypath}"`);
+        
+        var arrayPath = keyparts.slice(0, position).join('.');
+        var array = _.get(doc, arrayPath);
+        var clauses = _positionalClauses(context.selection, arrayPath);
+        
+        var index = -1;
+        
+        if (_.isArray(array) && clauses.length > 0) {
+            var selector = new Selector({ $and: clauses });
+            
+            // Test each element alone, so only the conditions over it are taken into account
+            index = _.findIndex(array, element => selector.test(_.set({}, arrayPath, [element])));
+        }
+        
+        if (index === -1) logger.throw(`The positional operator did not find the match needed from the query for "${keypath}"`);
+        
+        keyparts[position] = _.toString(index);
+        
+        return keyparts.join('.');
+    };
+    
+    /**
+     * Obtains the clauses of a selection over an array field (or its subfields), including those inside an "$and".
+     * 
+     * @method _positionalClauses
+     * @private
+     * 
+     * @param {Object} selection - The selection of the update
+     * @param {String} arrayPath - The keypath of the array
+     * 
+     * @returns {Array} The clauses over the array, as "{ <keypath>: <condition> }"
+     */
+    var _positionalClauses = function(selection, arrayPath) {
+        var clauses = [];
+        
+        if (!_.isPlainObject(selection)) return clauses;
+        
+        _.forEach(selection, (value, key) => {
+            if (key === '$and' && _.isArray(value)) {
+                clauses = clauses.concat(_.flatMap(value, clause => _positionalClauses(clause, arrayPath)));
+            } else if (key === arrayPath || _.startsWith(key, `${arrayPath}.`)) {
+                clauses.push({ [key]: value });
+            }
+        });
+        
+        return clauses;
+    };
+    
+    /**
+     * Compiles the "arrayFilters" option of an update, checking that every filter is used 
+     * by a "$[<identifier>]" positional operator of the update, and the other way around.
+     * 
+     * @method _arrayFilters
+     * @private
+     * 
+     * @param {Array} [arrayFilters=[]] - The filters, as "{ <identifier>: <condition> }" or "{ '<identifier>.<field>': <condition> }"
+     * @param {Object} update - The update operation
+     * 
+     * @returns {Object} The functions testing an array element, by identifier
+     */
+    var _arrayFilters = function(arrayFilters, update) {
+        if (_.isNil(arrayFilters)) arrayFilters = [];
+        
+        if (!_.isArray(arrayFilters)) logger.throw("The option 'arrayFilters' must be an array");
+        
+        var filters = {};
+        
+        _.forEach(arrayFilters, filter => {
+            if (!_.isPlainObject(filter) || _.isEmpty(filter)) logger.throw("Each array filter must be a non-empty object");
+            
+            var identifier = null;
+            var selection = {};
+            
+            _.forEach(filter, (condition, key) => {
+                var keyparts = key.split('.');
+                
+                if (!_.isNull(identifier) && keyparts[0] !== identifier) {
+                    logger.throw(`Each array filter must use a single top-level field name, found "${identifier}" and "${keyparts[0]}"`);
+                }
+                
+                identifier = keyparts[0];
+                keyparts[0] = '__element__';
+                
+                selection[keyparts.join('.')] = condition;
+            });
+            
+            if (!/^[a-z][a-zA-Z0-9]*$/.test(identifier)) {
+                logger.throw(`The array filter identifier "${identifier}" must begin with a lowercase letter and contain only alphanumeric characters`);
+            }
+            
+            if (_.has(filters, identifier)) logger.throw(`Found multiple array filters with the identifier "${identifier}"`);
+            
+            var selector = new Selector(selection);
+            
+            filters[identifier] = element => selector.test({ __element__: element });
+        });
+        
+        var used = {};
+        
+        _.forOwn(update, (fields, operator) => {
+            if (operator.substr(0, 1) !== '$' || !_.isPlainObject(fields)) return;
+            
+            _.forEach(_.keys(fields), keypath => {
+                _.forEach(keypath.split('.'), path => {
+                    var identifier = (/^\$\[(.+)\]$/.exec(path) || [])[1];
+                    
+                    if (_.isNil(identifier)) return;
+                    
+                    if (!_.has(filters, identifier)) logger.throw(`No array filter found for the identifier "${identifier}" in "${keypath}"`);
+                    
+                    used[identifier] = true;
+                });
+            });
+        });
+        
+        _.forEach(_.keys(filters), identifier => {
+            if (!used[identifier]) logger.throw(`The array filter for the identifier "${identifier}" was not used in the update`);
+        });
+        
+        return filters;
+    };
+    
+    /**
+     * Updates (or upserts) the first document matching a selection, returning it as it was before or after the update.
+     * 
+     * @method _findOneAndModify
+     * @private
+     * 
+     * @param {Collection} collection - The collection being updated
+     * @param {Object|Array|String} selection - The selection for matching documents
+     * @param {Object|Array} update - The update operation
+     * @param {Object} options - The options of the operation
+     * @param {Function} callback - Callback function to be called at the end with the results
+     * @param {Object} updateOptions - The options for {@link Collection#update}
+     * 
+     * @returns {Object} The document, or null
+     */
+    var _findOneAndModify = function(collection, selection, update, options, callback, updateOptions) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        
+        if (_.isNil(options)) options = {};
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var returnDocument = _.isNil(options.returnDocument) ? 'before' : options.returnDocument;
+        
+        if (returnDocument !== 'before' && returnDocument !== 'after') logger.throw('The option "returnDocument" must be "before" or "after"');
+        
+        updateOptions = _.assign({}, updateOptions, { arrayFilters: options.arrayFilters });
+        
+        var doc = _findFirst(collection, selection, options.sort);
+        var res = null;
+        
+        if (!_.isNil(doc)) {
+            // The selection is kept, as the positional operator depends on it
+            var query = _.isPlainObject(selection) ? { $and: [selection, { _id: doc._id }] } : { _id: doc._id };
+            
+            var updated = collection.update(query, update, updateOptions).updated.documents[0];
+            
+            res = returnDocument === 'before' ? doc : updated;
+        } else if (options.upsert) {
+            var inserted = collection.update(selection, update, _.assign(updateOptions, { upsert: true })).inserted.documents[0];
+            
+            if (returnDocument === 'after') res = inserted;
+        }
+        
+        if (!_.isNil(res)) res = _project(res, options.projection);
+        
+        if (callback) callback(null, res);
+        
+        return res;
+    };
+    
+    /**
+     * Obtains the first document matching a selection, in the given sort order.
+     * 
+     * @method _findFirst
+     * @private
+     * 
+     * @param {Collection} collection - The collection
+     * @param {Object|Array|String} selection - The selection for matching documents
+     * @param {Object|Array|String} [sort] - The sort of the matching documents
+     * 
+     * @returns {Object} A copy of the document, or null
+     */
+    var _findFirst = function(collection, selection, sort) {
+        if (_.isNil(selection)) selection = {};
+        
+        if (selection instanceof ObjectId) selection = { _id: selection };
+        
+        var docs = new Cursor(collection.docs, selection, null, {
+            sort: sort,
+            limit: -1,
+            indexes: _.values(collection._indexes),
+            javascriptEnabled: collection.javascriptEnabled
+        }).fetch();
+        
+        return docs.length > 0 ? _.cloneDeep(docs[0]) : null;
+    };
+    
+    /**
+     * Projects the document returned by the find-and-modify operations.
+     * 
+     * @method _project
+     * @private
+     * 
+     * @param {Object} doc - The document
+     * @param {Object|Array|String} [projection] - The fields of the document to show
+     * 
+     * @returns {Object} The projected document
+     */
+    var _project = function(doc, projection) {
+        return _.isNil(projection) ? doc : Cursor.project(doc, projection);
+    };
+    
+    /**
+     * Checks that an update pipeline only contains the stages allowed in an update.
+     * 
+     * @method _checkUpdatePipeline
+     * @private
+     * 
+     * @param {Array} pipeline - The update pipeline
+     */
+    var _checkUpdatePipeline = function(pipeline) {
+        _.forEach(pipeline, stage => {
+            var keys = _.isPlainObject(stage) ? _.keys(stage) : [];
+            
+            if (keys.length !== 1) logger.throw("Each stage of an update pipeline must be an object with a single stage");
+            
+            if (!_.includes(_updateStages, keys[0])) {
+                logger.throw(`The stage "${keys[0]}" is not allowed in an update pipeline, only ${_updateStages.join(', ')} are`);
+            }
+        });
+    };
+    
+    /**
+     * Applies an update pipeline over a document. The "_id" of the document can not be changed, 
+     * and it is kept when the pipeline removes it.
+     * 
+     * @method _pipelineUpdate
+     * @private
+     * 
+     * @param {Collection} collection - The collection being updated
+     * @param {Object} doc - The document to be updated
+     * @param {Array} pipeline - The update pipeline
+     * 
+     * @returns {Object} The updated document
+     */
+    var _pipelineUpdate = function(collection, doc, pipeline) {
+        var updated = new Aggregation(pipeline).aggregate(collection, [doc])[0];
+        
+        if (_.isNil(updated._id)) {
+            updated._id = doc._id;
+        } else if (!SelectorMatcher.equal(updated._id, doc._id)) {
+            logger.throw("The update pipeline would modify the immutable field '_id'");
+        }
+        
+        return updated;
+    };
+    
+    /**
+     * Builds the document inserted by an upsert. A replacement document is inserted as it is, while
+     * the update operators (including "$setOnInsert") or the update pipeline are applied over the equality fields of the selection.
+     * 
+     * @method _upsertDocument
+     * @private
+     * 
+     * @param {Collection} collection - The collection being updated
+     * @param {Object|String} selection - The selection of the update
+     * @param {Object|Array} update - The update operation
+     * @param {Object} context - The context of the update
+     * 
+     * @returns {Object} The document to be inserted
+     */
+    var _upsertDocument = function(collection, selection, update, context) {
+        var isPipeline = _.isArray(update);
+        
+        if (!isPipeline && !_.some(_.keys(update), key => key.substr(0, 1) === '$')) return update;
+        
+        var doc = {};
+        
+        _.forEach(_equalityFields(selection), (value, keypath) => {
+            _modify(doc, keypath.split('.'), value, '$set', context);
+        });
+        
+        if (isPipeline) {
+            // The new document has no "_id" yet, so the pipeline may set it
+            return new Aggregation(update).aggregate(collection, [doc])[0];
+        }
+        
+        for (let key in update) {
+            doc = _applyModifier(doc, key, update[key], context);
+        }
+        
+        return doc;
+    };
+    
+    /**
+     * Obtains the fields of a selection that are matched by equality (as "{ field: value }", "{ field: { $eq: value } }" or inside an "$and").
+     * 
+     * @method _equalityFields
+     * @private
+     * 
+     * @param {Object|String} selection - The selection of the update
+     * 
+     * @returns {Object} The values of the equality fields, by their keypath
+     */
+    var _equalityFields = function(selection) {
+        if (_.isString(selection)) return { _id: selection };
+        
+        var fields = {};
+        
+        if (!_.isPlainObject(selection)) return fields;
+        
+        _.forEach(selection, (value, key) => {
+            if (key === '$and' && _.isArray(value)) {
+                _.forEach(value, clause => _.assign(fields, _equalityFields(clause)));
+            } else if (key.substr(0, 1) !== '$') {
+                var isOperator = _.isPlainObject(value) && _.some(_.keys(value), k => k.substr(0, 1) === '$');
+                
+                if (isOperator) {
+                    if (_.has(value, '$eq')) fields[key] = value.$eq;
+                } else if (!_.isRegExp(value)) {
+                    fields[key] = value;
+                }
+            }
+        });
+        
+        return fields;
+    };
+    
     /**
      * Removes one or many documents
      * 
@@ -646,15 +1076,23 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         var cursor = this.find(selection);
         
         var docs = [];
+        var positions = [];
         cursor.forEach(doc => {
-            var idx = this.doc_indexes[doc._id];
-            
-            delete this.doc_indexes[doc._id];
-            this.docs.splice(idx, 1);
+            positions.push(this.doc_indexes[doc._id]);
             
             docs.push(doc);
         });
         
+        // Remove from the last position, so the previous ones are still valid
+        positions.sort((a, b) => b - a);
+        for (let i = 0; i < positions.length; i++) {
+            _removeFromIndexes(this, this.docs[positions[i]]);
+            
+            this.docs.splice(positions[i], 1);
+        }
+        
+        _rebuildDocIndexes(this);
+        
         /**
          * "remove" event.
          *
@@ -723,7 +1161,13 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         this.doc_indexes = {};
         this.docs = [];
         
-        if (options.dropIndexes) {} // TODO
+        if (options.dropIndexes) {
+            this._indexes = {};
+            
+            this.db._checkTTLMonitor();
+        } else {
+            _.forEach(this._indexes, index => index.clear());
+        }
         
         this.emit(
             'dropCollection',
@@ -775,32 +1219,414 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     };
     
     /**
-    * @ignore
-    */
-    Collection.prototype.ensureIndex = function() {
-        //TODO Implement EnsureIndex
-        logger.throw('Collection#ensureIndex unimplemented by driver');
-    };
-    
-    // TODO document (at some point)
-    // TODO test
-    // TODO obviously this particular implementation will not be very efficient
-    /**
-    * @ignore
-    */
-    Collection.prototype.backup = function (backupID, callback) {
-        if (_.isFunction(backupID)) {
-            callback = backupID;
-            backupID = new ObjectId().toString();
+     * Finds the first matching document and updates it, in a single operation. When no document matches 
+     * and "options.upsert" is set, a new document is inserted (see {@link Collection#update}).
+     * 
+     * @method Collection#findOneAndUpdate
+     * 
+     * @param {Object|Array|String} [selection={}] - The selection for matching documents
+     * @param {Object|Array} update - The update operators, or an update pipeline
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {Object|Array|String} [options.sort] - The sort of the matching documents, for choosing the one updated
+     * @param {Object|Array|String} [options.projection] - The fields of the returned document to show
+     * @param {Boolean} [options.upsert=false] - Inserts a new document when no document matches
+     * @param {String} [options.returnDocument="before"] - Returns the document as it was "before" or "after" the update
+     * @param {Array} [options.arrayFilters] - Filters for the "$[<identifier>]" positional operators
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#update}
+     * @fires {@link MongoStore#insert}
+     * 
+     * @returns {Object} The document, or null when no document matched (or it was upserted and "options.returnDocument" is "before")
+     */
+    Collection.prototype.findOneAndUpdate = function(selection, update, options, callback) {
+        if (_.isNil(update) || _.isFunction(update)) logger.throw("You must specify the update operation");
+        
+        if (!_.isArray(update) && (!_.isPlainObject(update) || _.isEmpty(update) || _.some(_.keys(update), key => key.substr(0, 1) !== '$'))) {
+            logger.throw("The update of findOneAndUpdate must only contain update operators, or be an update pipeline");
         }
         
-        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        return _findOneAndModify(this, selection, update, options, callback, { updateAsMongo: true });
+    };
     
-        this.snapshots[backupID] = _.cloneDeep(this.docs);
-        this.emit(
-            'snapshot',
-            {
-                collection: this,
+    /**
+     * Finds the first matching document and replaces it (keeping its "_id"), in a single operation. When no document 
+     * matches and "options.upsert" is set, the replacement is inserted.
+     * 
+     * @method Collection#findOneAndReplace
+     * 
+     * @param {Object|Array|String} [selection={}] - The selection for matching documents
+     * @param {Object} replacement - The replacement document, without update operators
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {Object|Array|String} [options.sort] - The sort of the matching documents, for choosing the one replaced
+     * @param {Object|Array|String} [options.projection] - The fields of the returned document to show
+     * @param {Boolean} [options.upsert=false] - Inserts the replacement when no document matches
+     * @param {String} [options.returnDocument="before"] - Returns the document as it was "before" or "after" the replacement
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#update}
+     * @fires {@link MongoStore#insert}
+     * 
+     * @returns {Object} The document, or null when no document matched (or it was upserted and "options.returnDocument" is "before")
+     */
+    Collection.prototype.findOneAndReplace = function(selection, replacement, options, callback) {
+        if (!_.isPlainObject(replacement)) logger.throw("You must specify the replacement document");
+        
+        if (_.some(_.keys(replacement), key => key.substr(0, 1) === '$')) {
+            logger.throw("The replacement of findOneAndReplace can not contain update operators");
+        }
+        
+        return _findOneAndModify(this, selection, replacement, options, callback, { override: true });
+    };
+    
+    /**
+     * Finds the first matching document and removes it, in a single operation.
+     * 
+     * @method Collection#findOneAndDelete
+     * 
+     * @param {Object|Array|String} [selection={}] - The selection for matching documents
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {Object|Array|String} [options.sort] - The sort of the matching documents, for choosing the one removed
+     * @param {Object|Array|String} [options.projection] - The fields of the returned document to show
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#remove}
+     * 
+     * @returns {Object} The removed document, or null when no document matched
+     */
+    Collection.prototype.findOneAndDelete = function(selection, options, callback) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        
+        if (_.isNil(options)) options = {};
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var doc = _findFirst(this, selection, options.sort);
+        
+        var res = null;
+        
+        if (!_.isNil(doc)) {
+            this.remove({ _id: doc._id }, { justOne: true });
+            
+            res = _project(doc, options.projection);
+        }
+        
+        if (callback) callback(null, res);
+        
+        return res;
+    };
+    
+    /**
+     * Creates an index on the collection. The index is kept up to date when inserting, updating and removing documents.
+     * When the index is unique, any operation storing a duplicated key throws a duplicate key error 
+     * (with the "code" 11000, the "index" name and the duplicated "keyValue").
+     * 
+     * @method Collection#createIndex
+     * 
+     * @param {Object|Array|String} fieldOrSpec - The fields of the index ("field", ["field1", "field2"], { field1: 1, field2: -1 }).
+     *      A geospatial index has the "2dsphere" (GeoJSON or [<lng>, <lat>] locations) or "2d" (legacy coordinates) type on its field
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {String} [options.name] - Override the autogenerated index name
+     * @param {Boolean} [options.unique=false] - Creates an unique index
+     * @param {Boolean} [options.sparse=false] - Creates a sparse index
+     * @param {Boolean} [options.dropDups=false] - When creating an unique index, removes the documents with a duplicated key 
+     *      (keeping the first one) instead of failing
+     * @param {Number} [options.expireAfterSeconds] - Creates a TTL index over a date field: the documents are removed 
+     *      (see {@link Collection#expire}) once the date is older than these seconds
+     * @param {Object} [options.weights] - On a text index ({ field1: "text" }), the weight of each field for the text scores
+     * @param {String} [options.default_language="english"] - On a text index, the language of the documents ("english" or "none")
+     * @param {String} [options.language_override="language"] - On a text index, the field of the documents with their own language
+     * @param {Number} [options.min=-180] - On a 2d index ({ field1: "2d" }), the lower bound of the legacy coordinates
+     * @param {Number} [options.max=180] - On a 2d index, the upper bound of the legacy coordinates
+     * @param {Number} [options.bits=26] - On a 2d index, the precision of the locations (from 1 to 32)
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#createIndex}
+     * 
+     * @returns {String} The name of the index
+     */
+    Collection.prototype.createIndex = function(fieldOrSpec, options, callback) {
+        if (_.isNil(fieldOrSpec)) logger.throw("fieldOrSpec parameter required");
+        
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        
+        if (_.isNil(options)) options = {};
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var index = new Index(fieldOrSpec, options);
+        var existing = this._indexes[index.name];
+        
+        if (existing) {
+            if (!_.isEqual(existing.info(), index.info())) {
+                logger.throw(`Index with name "${index.name}" already exists with different options`);
+            }
+        } else {
+            let textIndex = _.find(this._indexes, 'text');
+            
+            if (index.text && textIndex) logger.throw(`Only one text index per collection allowed, found existing text index "${textIndex.name}"`);
+            
+            _buildIndex(this, index, !!options.dropDups);
+            
+            this._indexes[index.name] = index;
+            
+            if (!_.isNil(index.expireAfterSeconds)) this.db._checkTTLMonitor();
+            
+            /**
+             * "createIndex" event.
+             *
+             * @event MongoPortable~createIndex
+             * 
+             * @param {Object} collection - Information about the collection
+             * @param {Object} index - Information about the index created
+             */
+            this.emit(
+                'createIndex',
+                {
+                    collection: this,
+                    index: _indexInfo(this, index)
+                }
+            );
+        }
+        
+        if (callback) callback(null, index.name);
+        
+        return index.name;
+    };
+    
+    /**
+     * Alias for {@link Collection#createIndex}
+     * 
+     * @method Collection#ensureIndex
+     */
+    Collection.prototype.ensureIndex = function(fieldOrSpec, options, callback) {
+        return this.createIndex(fieldOrSpec, options, callback);
+    };
+    
+    /**
+     * Drops an index from the collection
+     * 
+     * @method Collection#dropIndex
+     * 
+     * @param {String|Object} indexName - The name of the index, or its specification. "*" drops all the indexes
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#dropIndex}
+     * 
+     * @returns {Boolean} "true" if dropped successfully
+     */
+    Collection.prototype.dropIndex = function(indexName, callback) {
+        if (_.isNil(indexName)) logger.throw("indexName parameter required");
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        if (indexName === '*') return this.dropIndexes(callback);
+        
+        if (!_.isString(indexName)) indexName = Index.generateName(Index.normalizeSpec(indexName));
+        
+        if (!this._indexes[indexName]) logger.throw(`Index not found with name "${indexName}"`);
+        
+        var ttl = !_.isNil(this._indexes[indexName].expireAfterSeconds);
+        
+        delete this._indexes[indexName];
+        
+        if (ttl) this.db._checkTTLMonitor();
+        
+        /**
+         * "dropIndex" event.
+         *
+         * @event MongoPortable~dropIndex
+         * 
+         * @param {Object} collection - Information about the collection
+         * @param {String} index - The name of the index dropped
+         */
+        this.emit(
+            'dropIndex',
+            {
+                collection: this,
+                index: indexName
+            }
+        );
+        
+        if (callback) callback(null, true);
+        
+        return true;
+    };
+    
+    /**
+     * Drops all the indexes of the collection
+     * 
+     * @method Collection#dropIndexes
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @returns {Boolean} "true" if dropped successfully
+     */
+    Collection.prototype.dropIndexes = function(callback) {
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        for (let name in this._indexes) {
+            this.dropIndex(name);
+        }
+        
+        if (callback) callback(null, true);
+        
+        return true;
+    };
+    
+    /**
+     * Rebuilds all the indexes of the collection
+     * 
+     * @method Collection#reIndex
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @returns {Boolean} "true" if rebuilt successfully
+     */
+    Collection.prototype.reIndex = function(callback) {
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        _.forEach(this._indexes, index => index.rebuild(this.docs));
+        
+        if (callback) callback(null, true);
+        
+        return true;
+    };
+    
+    /**
+     * Lists the indexes of the collection
+     * 
+     * @method Collection#indexes
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @returns {Array} The information of each index ({ v, key, name, ns, ... })
+     */
+    Collection.prototype.indexes = function(callback) {
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var indexes = _.map(_.values(this._indexes), index => _indexInfo(this, index));
+        
+        if (callback) callback(null, indexes);
+        
+        return indexes;
+    };
+    
+    /**
+     * Retrieves the information of the indexes of the collection
+     * 
+     * @method Collection#indexInformation
+     * 
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {Boolean} [options.full=false] - Returns the full raw index information
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @returns {Object|Array} The fields of each index by its name ({ field1_1: [["field1", 1]] }), or the full information
+     */
+    Collection.prototype.indexInformation = function(options, callback) {
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        
+        if (_.isNil(options)) options = {};
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var info = null;
+        
+        if (options.full) {
+            info = this.indexes();
+        } else {
+            info = {};
+            
+            _.forEach(this._indexes, (index, name) => {
+                info[name] = _.map(index.fields, field => [field, index.key[field]]);
+            });
+        }
+        
+        if (callback) callback(null, info);
+        
+        return info;
+    };
+    
+    /**
+     * Removes the expired documents of the TTL indexes (the ones created with "expireAfterSeconds").
+     * The database does it periodically, but it can be triggered at any moment.
+     * 
+     * @method Collection#expire
+     * 
+     * @param {Function} [callback=null] - Callback function to be called at the end with the results
+     * 
+     * @fires {@link MongoStore#remove}
+     * 
+     * @returns {Array} The removed documents
+     */
+    Collection.prototype.expire = function(callback) {
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+        
+        var now = new Date(this.clock());
+        var expired = [];
+        
+        _.forEach(this._indexes, index => {
+            expired = expired.concat(index.getExpired(now));
+        });
+        
+        expired = _.uniq(expired);
+        
+        if (expired.length > 0) {
+            _removeDocuments(this, expired);
+            
+            this.emit(
+                'remove',
+                {
+                    collection: this,
+                    selector: { _id: { $in: _.map(expired, '_id') } },
+                    docs: expired
+                }
+            );
+        }
+        
+        if (callback) callback(null, expired);
+        
+        return expired;
+    };
+    
+    // TODO document (at some point)
+    // TODO test
+    // TODO obviously this particular implementation will not be very efficient
+    /**
+    * @ignore
+    */
+    Collection.prototype.backup = function (backupID, callback) {
+        if (_.isFunction(backupID)) {
+            callback = backupID;
+            backupID = new ObjectId().toString();
+        }
+        
+        if (!_.isNil(callback) && !_.isFunction(callback)) logger.throw("callback must be a function");
+    
+        this.snapshots[backupID] = _.cloneDeep(this.docs);
+        this.emit(
+            'snapshot',
+            {
+                collection: this,
                 backupID: backupID,
                 documents: this.snapshots[backupID] 
             }
@@ -901,6 +1727,10 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         }
     
         this.docs = backupData;
+        
+        _rebuildDocIndexes(this);
+        _.forEach(this._indexes, index => index.rebuild(this.docs));
+        
         this.emit(
             'restore',
             {
@@ -915,7 +1745,8 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     };
     
     /**
-     * Calculates aggregate values for the data in a collection
+     * Calculates aggregate values for the data in a collection. A pipeline ending with a "$out" or "$merge" stage 
+     * writes its documents into another collection, returning no documents.
      * 
      * @method Collection#aggregate
      * 
@@ -923,13 +1754,14 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
      * @param {Object} [options] - Additional options
      * 
      * @param {Boolean} [options.forceFetch=false] - If set to'"true" returns the array of documents already fetched
+     * @param {Number} [options.seed] - Seed for the random picks of the "$sample" stages, so they are repeatable
      * 
      * @returns {Array|Cursor} If "options.forceFetch" set to true returns the array of documents, otherwise returns a cursor
      */
     Collection.prototype.aggregate = function(pipeline, options = { forceFetch: false }) {
         if (_.isNil(pipeline) || !_.isArray(pipeline)) logger.throw('The "pipeline" param must be an array');
         
-        var aggregation = new Aggregation(pipeline);
+        var aggregation = new Aggregation(pipeline, options);
         
         for (let i = 0; i < pipeline.length; i++) {
             let stage = pipeline[i];
@@ -959,6 +1791,37 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         $pullAll: true
     };
     
+    var _pushModifiers = ['$position', '$slice', '$sort'];
+    
+    var _updateStages = ['$addFields', '$set', '$unset', '$project', '$replaceRoot', '$replaceWith'];
+    
+    /**
+     * Builds the comparator of the "$sort" modifier of "$push": 1 or -1 for sorting by the elements, 
+     * or a sort specification (as the ones of Cursor#sort) for sorting by the fields of the subdocuments.
+     * 
+     * @method _pushSort
+     * @private
+     * 
+     * @param {Number|Object} spec - The sort specification
+     * 
+     * @returns {Function} The comparator
+     */
+    var _pushSort = function(spec) {
+        if (spec === 1 || spec === -1) {
+            return (a, b) => spec * SelectorMatcher.cmp(a, b);
+        }
+        
+        if (!_.isPlainObject(spec) || _.isEmpty(spec)) {
+            logger.throw("The argument of $sort in $push must be 1, -1 or a sort specification object");
+        }
+        
+        _.forEach(spec, (direction, field) => {
+            if (direction !== 1 && direction !== -1) logger.throw(`The $sort direction of "${field}" in $push must be 1 or -1`);
+        });
+        
+        return new Selector(spec, Selector.SORT_SELECTOR);
+    };
+    
     /**
     * @ignore
     */
@@ -979,10 +1842,55 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
             }
         },
     
+        $mul: function (target, field, arg) {
+            if (!_.isNumber(arg)) {
+                logger.throw("Modifier $mul allowed for numbers only");
+            }
+            
+            if (field in target) {
+                if (!_.isNumber(target[field])) {
+                    logger.throw("Cannot apply $mul modifier to non-number");
+                }
+                
+                target[field] *= arg;
+            } else {
+                target[field] = 0;
+            }
+        },
+        
+        $min: function (target, field, arg) {
+            if (!(field in target) || SelectorMatcher.cmp(arg, target[field]) < 0) {
+                target[field] = _.cloneDeep(arg);
+            }
+        },
+        
+        $max: function (target, field, arg) {
+            if (!(field in target) || SelectorMatcher.cmp(arg, target[field]) > 0) {
+                target[field] = _.cloneDeep(arg);
+            }
+        },
+        
         $set: function (target, field, arg) {
             target[field] = _.cloneDeep(arg);
         },
     
+        $setOnInsert: function (target, field, arg) {
+            target[field] = _.cloneDeep(arg);
+        },
+        
+        $currentDate: function (target, field, arg, context) {
+            var type = _.isPlainObject(arg) ? arg.$type : (arg === true ? "date" : null);
+            
+            if (type === "date") {
+                target[field] = new Date(context.now.getTime());
+            } else if (type === "timestamp") {
+                // There is no BSON timestamp type, so the milliseconds since the epoch are stored
+                target[field] = context.now.getTime();
+            } else {
+                logger.throw("Modifier $currentDate allows true, { $type: 'date' } or { $type: 'timestamp' } only");
+            }
+        },
+        
         $unset: function (target, field, arg) {
             if (!_.isNil(target)) {
                 if (_.isArray(target)) {
@@ -997,13 +1905,55 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
     
         $push: function (target, field, arg) {
             var x = target[field];
-    
-            if (_.isNil(x)) {
-                target[field] = [arg];
-            } else if (!_.isArray(x)) {
+            
+            if (!_.isNil(x) && !_.isArray(x)) {
                 logger.throw("Cannot apply $push modifier to non-array");
-            } else {
+            }
+            
+            if (_.isNil(x)) {
+                x = target[field] = [];
+            }
+            
+            if (!_.isPlainObject(arg) || !_.has(arg, '$each')) {
+                if (_.isPlainObject(arg) && _.some(_pushModifiers, modifier => _.has(arg, modifier))) {
+                    logger.throw("The $push modifiers $position, $slice and $sort require $each");
+                }
+                
                 x.push(_.cloneDeep(arg));
+                
+                return;
+            }
+            
+            _.forEach(_.keys(arg), key => {
+                if (key !== '$each' && !_.includes(_pushModifiers, key)) logger.throw(`Unrecognized clause in $push: ${key}`);
+            });
+            
+            if (!_.isArray(arg.$each)) logger.throw("The argument of $each in $push must be an array");
+            
+            var values = _.cloneDeep(arg.$each);
+            
+            if (_.has(arg, '$position')) {
+                if (!_.isInteger(arg.$position)) logger.throw("The argument of $position in $push must be an integer");
+                
+                // A negative position counts from the end of the array
+                var position = arg.$position < 0 ? Math.max(x.length + arg.$position, 0) : Math.min(arg.$position, x.length);
+                
+                x.splice(position, 0, ...values);
+            } else {
+                x.push(...values);
+            }
+            
+            if (_.has(arg, '$sort')) {
+                x.sort(_pushSort(arg.$sort));
+            }
+            
+            if (_.has(arg, '$slice')) {
+                if (!_.isInteger(arg.$slice)) logger.throw("The argument of $slice in $push must be an integer");
+                
+                // A negative slice keeps the last elements
+                var sliced = arg.$slice < 0 ? x.slice(arg.$slice) : x.slice(0, arg.$slice);
+                
+                x.splice(0, x.length, ...sliced);
             }
         },
     
@@ -1154,9 +2104,40 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         },
     
         $bit: function (target, field, arg) {
-            // XXX mongo only supports $bit on integers, and we only support
-            // native javascript numbers (doubles) so far, so we can't support $bit
-            logger.throw("$bit is not supported");
+            if (!_.isPlainObject(arg) || _.isEmpty(arg)) {
+                logger.throw("Modifier $bit must be an object with an 'and', 'or' or 'xor' operation");
+            }
+            
+            // Only 32-bit integers are supported, as javascript bitwise operators work over them
+            var isInt32 = value => _.isNumber(value) && (value | 0) === value;
+            
+            var value = field in target ? target[field] : 0;
+            
+            if (!isInt32(value)) {
+                logger.throw("Cannot apply $bit modifier to non-integer");
+            }
+            
+            _.forEach(arg, (operand, operation) => {
+                if (!isInt32(operand)) {
+                    logger.throw("Modifier $bit allowed for 32-bit integers only");
+                }
+                
+                switch (operation) {
+                    case "and":
+                        value &= operand;
+                        break;
+                    case "or":
+                        value |= operand;
+                        break;
+                    case "xor":
+                        value ^= operand;
+                        break;
+                    default:
+                        logger.throw(`The $bit operation "${operation}" is not supported, only 'and', 'or' and 'xor' are allowed`);
+                }
+            });
+            
+            target[field] = value;
         }
     };
     
@@ -1227,6 +2208,146 @@ module.exports = function(Aggregation, Cursor, Selector, SelectorMatcher, Object
         return size;
     };
     
+    var _indexInfo = function(collection, index) {
+        var info = index.info();
+        
+        info.ns = collection.fullName;
+        
+        return info;
+    };
+    
+    /**
+     * Throws a duplicate key error on the implicit "_id_" index if the collection already has a document with the id.
+     * 
+     * @method _checkIdUnique
+     * @private
+     * 
+     * @param {Collection} collection - The collection
+     * @param {String|ObjectId} id - The id of the document to be stored
+     */
+    var _checkIdUnique = function(collection, id) {
+        if (!_.has(collection.doc_indexes, _.toString(id))) return;
+        
+        var index = new Index({ _id: 1 }, { name: '_id_', unique: true });
+        
+        logger.throw(index.duplicateKeyError(collection.fullName, [id]));
+    };
+    
+    /**
+     * Obtains the keys of a document for every index of the collection.
+     * Throws a duplicate key error if the document breaks an unique index, before anything is stored.
+     * 
+     * @method _getIndexKeys
+     * @private
+     * 
+     * @param {Collection} collection - The collection
+     * @param {Object} doc - The document to be stored
+     * @param {Object} [replaced=null] - The document that will be replaced by this one, if updating
+     * 
+     * @returns {Object} The keys of the document by index name
+     */
+    var _getIndexKeys = function(collection, doc, replaced = null) {
+        var keys = {};
+        
+        for (let name in collection._indexes) {
+            let index = collection._indexes[name];
+            
+            keys[name] = index.getKeys(doc);
+            
+            let duplicate = index.findDuplicate(keys[name], replaced);
+            
+            if (!_.isNil(duplicate)) logger.throw(index.duplicateKeyError(collection.fullName, duplicate));
+        }
+        
+        return keys;
+    };
+    
+    /**
+     * Indexes all the documents of the collection in a new index
+     * 
+     * @method _buildIndex
+     * @private
+     * 
+     * @param {Collection} collection - The collection
+     * @param {Index} index - The new index
+     * @param {Boolean} [dropDups=false] - Whether to remove the documents with duplicated keys instead of failing
+     */
+    var _buildIndex = function(collection, index, dropDups = false) {
+        var dropped = [];
+        
+        index.clear();
+        
+        for (let i = 0; i < collection.docs.length; i++) {
+            let doc = collection.docs[i];
+            let keys = index.getKeys(doc);
+            let duplicate = index.findDuplicate(keys);
+            
+            if (_.isNil(duplicate)) {
+                index.insert(doc, keys);
+            } else if (dropDups) {
+                dropped.push(doc);
+            } else {
+                index.clear();
+                
+                logger.throw(index.duplicateKeyError(collection.fullName, duplicate));
+            }
+        }
+        
+        if (dropped.length === 0) return;
+        
+        _removeDocuments(collection, dropped);
+        
+        collection.emit(
+            'remove',
+            {
+                collection: collection,
+                selector: { _id: { $in: _.map(dropped, '_id') } },
+                docs: dropped
+            }
+        );
+    };
+    
+    var _addToIndexes = function(collection, doc, keys) {
+        for (let name in collection._indexes) {
+            collection._indexes[name].insert(doc, keys[name]);
+        }
+    };
+    
+    var _removeFromIndexes = function(collection, doc) {
+        if (_.isNil(doc)) return;
+        
+        for (let name in collection._indexes) {
+            collection._indexes[name].remove(doc);
+        }
+    };
+    
+    /**
+     * Removes some stored documents from the collection and its indexes
+     * 
+     * @method _removeDocuments
+     * @private
+     * 
+     * @param {Collection} collection - The collection
+     * @param {Array} docs - The stored documents to be removed
+     */
+    var _removeDocuments = function(collection, docs) {
+        for (let i = 0; i < docs.length; i++) {
+            _removeFromIndexes(collection, docs[i]);
+            
+            collection.docs.splice(collection.docs.indexOf(docs[i]), 1);
+        }
+        
+        _rebuildDocIndexes(collection);
+    };
+    
+    var _rebuildDocIndexes = function(collection) {
+        collection.doc_indexes = {};
+        
+        for (let i = 0; i < collection.docs.length; i++) {
+            collection.doc_indexes[_.toString(collection.docs[i]._id)] = i;
+        }
+    };
+    
     var _ensureFindParams = function(params) {
         // selection, fields, options, callback
         if (_.isNil(params.selection)) params.selection = {};
@@ -9,7 +9,7 @@
 
 var logger = null;
 
-module.exports = function(Selector, Logger, _) {
+module.exports = function(Selector, SelectorMatcher, Logger, _) {
     
     /**
      * Cursor
@@ -27,6 +27,12 @@ module.exports = function(Selector, Logger, _) {
      * @param {Object} [options] - Database object
      * 
      * @param {Object} [options.pkFactory=null] - Object overriding the basic "ObjectId" primary key generation.
+     * @param {Array} [options.indexes=[]] - The indexes of the collection that can be used for fetching the documents
+     * @param {String|Object} [options.hint] - Same as {@link Cursor#hint}
+     * @param {Object} [options.min] - Same as {@link Cursor#min}
+     * @param {Object} [options.max] - Same as {@link Cursor#max}
+     * @param {Boolean} [options.javascriptEnabled=true] - Whether the selection can run JavaScript ($where) or not
+     * @param {Object} [options.variables] - The values of the variables for the $expr of the selection ({ name: <value> } for "$$name")
      * 
      */
     class Cursor {
@@ -44,7 +50,11 @@ module.exports = function(Selector, Logger, _) {
             if (Selector.isSelectorCompiled(this.selector)) {
                 this.selector_compiled = this.selector;
             } else {
-                this.selector_compiled = new Selector(this.selector, Selector.MATCH_SELECTOR);
+                this.selector_compiled = new Selector(this.selector, Selector.MATCH_SELECTOR, { variables: options.variables });
+            }
+            
+            if (options.javascriptEnabled === false && _hasWhere(this.selector_compiled.clauses)) {
+                logger.throw("$where is not allowed, JavaScript execution is disabled on the database");
             }
             
             for (let i = 0; i < this.selector_compiled.clauses.length; i++) {
@@ -65,31 +75,24 @@ module.exports = function(Selector, Logger, _) {
     
             /** ADD IDX **/
             
-            this.fetch_mode = Cursor.COLSCAN || Cursor.IDXSCAN;
-            this.indexex = null;//findUsableIndexes();
+            this.indexes = options.indexes || [];
+            this.hintValue = options.hint || null;
+            this.minValue = options.min || null;
+            this.maxValue = options.max || null;
             
-            // if (cursor.fetch_mode === Cursor.COLSCAN) {
-            //     // COLSCAN, wi will iterate over all documents
-            //     docs = _.cloneDeep(cursor.collection.docs);
-            // } else if (cursor.fetch_mode === Cursor.IDXSCAN) {
-            //     // IDXSCAN, wi will iterate over all needed documents
-            //     for (let i = 0; i < cursor.indexes.length; i++) {
-            //         let index = cursor.indexes[i];
-                    
-            //         for (let i = index.start; i < index.end; i++) {
-            //             let idx_id = cursor.collection.getIndex(index.name)[i];
-                        
-            //             docs.push(cursor.collection.docs[idx_id]);
-            //         }
-            //     }
-            // }
+            _planQuery(this);
             
             this.fields = new Selector(fields, Selector.FIELD_SELECTOR);
             
             this.sort_compiled = new Selector(this.sortValue, Selector.SORT_SELECTOR);
         
             this.db_objects = null;
+            this.index_docs = null;
             this.cursor_pos = 0;
+            
+            // Execution statistics
+            this.docs_examined = 0;
+            this.keys_examined = 0;
         }
     }
     
@@ -103,7 +106,11 @@ module.exports = function(Selector, Logger, _) {
      */
     Cursor.prototype.rewind = function() {
         this.db_objects = null;
+        this.index_docs = null;
         this.cursor_pos = 0;
+        this.sorted = false;
+        this.docs_examined = 0;
+        this.keys_examined = 0;
     };
     
     /**
@@ -148,7 +155,7 @@ module.exports = function(Selector, Logger, _) {
      * @returns {Boolean} True if we can fetch one more document
      */
     Cursor.prototype.hasNext = function() {
-        return (this.cursor_pos < this.documents.length);
+        return (this.cursor_pos < _getCandidates(this).length);
     };
     
     /**
@@ -203,11 +210,15 @@ module.exports = function(Selector, Logger, _) {
      * @method Cursor.project
      * 
      * @param {Array|Object} doc - The document/s that will be projected
-     * @param {String|Array|Object} spec - Fields projection specification. Can be an space/comma separated list, an array, or an object
+     * @param {String|Array|Object} spec - Fields projection specification. Can be an space/comma separated list, an array, or an object. 
+     *      A field with { $meta: "textScore" } shows the score of the document on a text search, and { $meta: "geoNearDistance" }
+     *      the distance of the document on a $near query
+     * @param {Boolean} [aggregation=false] - Whether the projection is an aggregation stage or not
+     * @param {Object} [meta={}] - The metadata of the document for the $meta fields ({ textScore, geoNearDistance })
      * 
      * @returns {Array|Object} The document/s after the projection
      */
-    Cursor.project = function (doc, spec, aggregation = false) {
+    Cursor.project = function (doc, spec, aggregation = false, meta = {}) {
         if (_.isNil(doc)) logger.throw('doc param required');
         if (_.isNil(spec)) logger.throw('spec param required');
     
@@ -220,19 +231,19 @@ module.exports = function(Selector, Logger, _) {
         
         if (_.isArray(doc)) {
             for (var i = 0; i < doc.length; i++) {
-                doc[i] = _mapFields(doc[i], fields);
+                doc[i] = _mapFields(doc[i], fields, meta);
             }
             
             return doc;
         } else {
-            return _mapFields(doc, fields);
+            return _mapFields(doc, fields, meta);
         }
     
         
     
     };
     
-    var _mapFields = function (doc, fields) {
+    var _mapFields = function (doc, fields, meta) {
         var _doc = _.cloneDeep(doc);
     
         if (!_.isNil(fields) && _.isPlainObject(fields) && !_.isEqual(fields, {})) {
@@ -269,7 +280,10 @@ module.exports = function(Selector, Logger, _) {
                 }
         
                 // Add or remove the field
-                if (fields[field] === 1 || fields[field] === -1) {
+                if (_.isPlainObject(fields[field]) && _.has(fields[field], '$meta')) {
+                    // Show the metadata
+                    tmp[field] = _metaValue(meta, fields[field].$meta);
+                } else if (fields[field] === 1 || fields[field] === -1) {
                     // Show the field
                     if (showing) {
                         tmp[field] = doc[field];
@@ -296,6 +310,22 @@ module.exports = function(Selector, Logger, _) {
         return _doc;
     };
     
+    var _metaValue = function(meta, keyword) {
+        if (keyword === 'textScore') {
+            if (_.isNil(meta.textScore)) logger.throw("query requires text score metadata, but it is not available");
+            
+            return meta.textScore;
+        }
+        
+        if (keyword === 'geoNearDistance') {
+            if (_.isNil(meta.geoNearDistance)) logger.throw("query requires geoNear distance metadata, but it is not available");
+            
+            return meta.geoNearDistance;
+        }
+        
+        logger.throw(`Unsupported $meta keyword "${keyword}"`);
+    };
+    
     /**
      * Retrieves one or all the documents in the cursor
      * 
@@ -308,24 +338,7 @@ module.exports = function(Selector, Logger, _) {
      * @returns {Array|Object} If [justOne=true] returns the next document, otherwise returns all the documents
      */
     var _getDocuments = function(cursor, justOne = false) {
-        var docs = [];
-        
-        if (cursor.fetch_mode === Cursor.COLSCAN) {
-            // COLSCAN, wi will iterate over all documents
-            docs = _.cloneDeep(cursor.documents);
-        } else if (cursor.fetch_mode === Cursor.IDXSCAN) {
-            // IDXSCAN, wi will iterate over all needed documents
-            for (let i = 0; i < cursor.indexes.length; i++) {
-                let index = cursor.indexes[i];
-                
-                for (let i = index.start; i < index.end; i++) {
-                    // let idx_id = cursor.collection.getIndex(index.name)[i];
-                    let idx_id = index.index[i];
-                    
-                    docs.push(cursor.documents[idx_id]);
-                }
-            }
-        }
+        var docs = _getCandidates(cursor);
         
         // if (cursor.selector_id) {
         //     if (_.hasIn(cursor.collection.doc_indexes, _.toString(cursor.selector_id))) {
@@ -343,15 +356,15 @@ module.exports = function(Selector, Logger, _) {
         
         // TODO add warning when sort/skip/limit and fetching one
         // TODO add warning when skip/limit without order
-        // TODO index
         while (cursor.cursor_pos < docs.length) {
             var _doc = docs[cursor.cursor_pos];
             cursor.cursor_pos++;
+            cursor.docs_examined++;
             
             if (cursor.selector_compiled.test(_doc)) {
                 if (_.isNil(cursor.db_objects)) cursor.db_objects = [];
                 
-                _doc = Cursor.project(_doc, cursor.fields);
+                _doc = Cursor.project(_doc, cursor.fields, false, _getMeta(cursor, _doc));
                 
                 cursor.db_objects.push(_doc);
                 
@@ -373,6 +386,467 @@ module.exports = function(Selector, Logger, _) {
         
     };
     
+    /**
+     * Checks if some clauses have a $where, even within the logical operators
+     * 
+     * @method _hasWhere
+     * @private
+     * 
+     * @param {Array} clauses - The compiled clauses
+     * 
+     * @returns {Boolean} Whether the clauses run JavaScript code or not
+     */
+    var _hasWhere = function(clauses) {
+        return _.some(clauses, clause => {
+            if (clause.kind === 'where') return true;
+            
+            return clause.kind === 'operator' && _hasWhere(clause.value);
+        });
+    };
+    
+    /**
+     * Obtains the metadata of a document matched by the cursor
+     * 
+     * @method _getMeta
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor
+     * @param {Object} doc - The document
+     * 
+     * @returns {Object} The metadata of the document ({ textScore } on text searches, { geoNearDistance } on $near queries)
+     */
+    var _getMeta = function(cursor, doc) {
+        var meta = {};
+        
+        if (!_.isNil(cursor.text_clause)) meta.textScore = cursor.text_clause.index.textScore(doc, cursor.text_clause.value);
+        
+        if (!_.isNil(cursor.near_clause)) meta.geoNearDistance = cursor.near_clause.index.geoDistance(doc, cursor.near_clause.value);
+        
+        return meta;
+    };
+    
+    /**
+     * Obtains the documents that may match the cursor selection: all of them on a COLSCAN, or
+     * the ones within the bounds of the chosen index on an IDXSCAN
+     * 
+     * @method _getCandidates
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor with the documents
+     * 
+     * @returns {Array} The documents to be tested against the selector
+     */
+    var _getCandidates = function(cursor) {
+        if (cursor.fetch_mode === Cursor.IDXSCAN) {
+            if (_.isNil(cursor.index_docs)) {
+                let scan = cursor.index_scan;
+                let entries = null;
+                
+                if (_.isNil(scan.bounds)) {
+                    entries = scan.index.range(scan.min, scan.max);
+                } else {
+                    entries = scan.index.scan(scan.bounds);
+                }
+                
+                cursor.keys_examined = entries.length;
+                
+                // A multikey index may have several entries for the same document
+                cursor.index_docs = _.uniq(_.map(entries, 'doc'));
+                
+                // The $near queries return the nearest documents first
+                if (!_.isNil(scan.near)) cursor.index_docs = _.sortBy(cursor.index_docs, doc => scan.index.geoDistance(doc, scan.near));
+            }
+            
+            return cursor.index_docs;
+        }
+        
+        return cursor.documents;
+    };
+    
+    /**
+     * Chooses how the cursor fetches its documents. When one of the indexes can bound the selection, 
+     * the cursor will only test the documents within those bounds (IDXSCAN) instead of all of them (COLSCAN).
+     * The chosen index is the one with more fields bounded by equalities, unless the cursor has a hint or a key range (min / max).
+     * A text search ($text) always uses the text index, looking up its terms, and a $near query always uses the geospatial
+     * index of its field, looking up the cells around the point. The other geospatial queries may use a geospatial index.
+     * 
+     * @method _planQuery
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor to be planned
+     */
+    var _planQuery = function(cursor) {
+        var fieldBounds = {};
+        var geoFields = {};
+        var clauses = cursor.selector_compiled.clauses;
+        
+        for (let i = 0; i < clauses.length; i++) {
+            let bounds = _clauseBounds(clauses[i]);
+            let geoField = _geoField(clauses[i]);
+            
+            if (!_.isNil(bounds)) fieldBounds[clauses[i].key] = bounds;
+            
+            if (!_.isNil(geoField)) geoFields[geoField] = clauses[i].value;
+        }
+        
+        var plans = [];
+        
+        cursor.text_clause = _.find(clauses, { kind: 'text' }) || null;
+        
+        // The "$text" clauses nested in "$and", "$or" or "$nor" are matched with the text index too
+        var textClauses = _textClauses(clauses);
+        
+        if (textClauses.length > 0) {
+            let index = _.find(cursor.indexes, 'text');
+            
+            if (_.isNil(index)) logger.throw("text index required for $text query");
+            
+            _.forEach(textClauses, clause => { clause.index = index; });
+        }
+        cursor.near_clause = _.find(clauses, clause => !_.isNil(_geoField(clause)) && _isNear(clause.value)) || null;
+        
+        if (!_.isNil(cursor.near_clause)) {
+            let field = _geoField(cursor.near_clause);
+            let index = _.find(cursor.indexes, index => !_.isNil(index.geo) && index.fields[0] === field);
+            
+            if (!_.isNil(cursor.text_clause)) logger.throw("text and geoNear not allowed in the same query");
+            
+            if (_.isNil(index)) logger.throw("unable to find index for $geoNear query");
+            
+            cursor.near_clause.index = index;
+            
+            plans.push({ index: index, bounds: [index.geoBounds(cursor.near_clause.value)], near: cursor.near_clause.value });
+        } else if (!_.isNil(cursor.text_clause)) {
+            let index = cursor.text_clause.index;
+            
+            plans.push({ index: index, bounds: [_.map(index.parseSearch(cursor.text_clause.value).terms, _point)], text: true });
+        } else if (!_.isNil(cursor.minValue) || !_.isNil(cursor.maxValue)) {
+            // The key range replaces the bounds of the selection
+            let index = _keyRangeIndex(cursor, cursor.hintValue, cursor.minValue || cursor.maxValue);
+            
+            plans.push({ index: index, bounds: null, min: _rangeKey(index, cursor.minValue), max: _rangeKey(index, cursor.maxValue) });
+        } else if (!_.isNil(cursor.hintValue)) {
+            let index = _hintedIndex(cursor, cursor.hintValue);
+            
+            // A hinted index is used even if it can not bound the selection
+            if (!_.isNil(index)) plans.push(_indexBounds(index, fieldBounds, geoFields) || { index: index, bounds: [[{}]] });
+        } else {
+            for (let i = 0; i < cursor.indexes.length; i++) {
+                let plan = _indexBounds(cursor.indexes[i], fieldBounds, geoFields);
+                
+                if (!_.isNil(plan)) {
+                    plan.order = i;
+                    plans.push(plan);
+                }
+            }
+            
+            // Best plans first: more bounded fields, unique indexes, shorter indexes, and then the oldest index
+            plans.sort((a, b) => {
+                if (a.score !== b.score) return b.score - a.score;
+                
+                if (a.index.unique !== b.index.unique) return a.index.unique ? -1 : 1;
+                
+                if (a.index.fields.length !== b.index.fields.length) return a.index.fields.length - b.index.fields.length;
+                
+                return a.order - b.order;
+            });
+        }
+        
+        if (plans.length === 0) {
+            cursor.fetch_mode = Cursor.COLSCAN;
+            cursor.index_scan = null;
+        } else {
+            cursor.fetch_mode = Cursor.IDXSCAN;
+            cursor.index_scan = _.pick(plans[0], ['index', 'bounds', 'min', 'max', 'text', 'near']);
+        }
+        
+        cursor.rejected_plans = _.map(plans.slice(1), plan => ({ index: plan.index, bounds: plan.bounds }));
+        cursor.index_docs = null;
+    };
+    
+    /**
+     * Obtains the index forced by a hint
+     * 
+     * @method _hintedIndex
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor
+     * @param {String|Object} hint - The name of the index or its key pattern ({ $natural: 1 } for a COLSCAN)
+     * 
+     * @returns {Index} The hinted index, or null when forcing a COLSCAN
+     */
+    var _hintedIndex = function(cursor, hint) {
+        if (_.isPlainObject(hint) && _.has(hint, '$natural')) return null;
+        
+        var index = _.find(cursor.indexes, index => {
+            if (_.isString(hint)) return index.name === hint;
+            
+            // The order of the fields matters
+            return _.isEqual(_.toPairs(index.key), _.toPairs(hint));
+        });
+        
+        if (_.isNil(index)) logger.throw(`The hint does not correspond to an existing index: ${_.isString(hint) ? hint : JSON.stringify(hint)}`);
+        
+        return index;
+    };
+    
+    /**
+     * Obtains the index for a key range (min / max): the hinted one, or the one with the same fields
+     * 
+     * @method _keyRangeIndex
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor
+     * @param {String|Object} hint - The hint of the cursor, if any
+     * @param {Object} key - The key of the range ({ field1: <value>, field2: <value> })
+     * 
+     * @returns {Index} The index for the key range
+     */
+    var _keyRangeIndex = function(cursor, hint, key) {
+        var fields = _.keys(key);
+        var index = null;
+        
+        if (_.isNil(hint)) {
+            index = _.find(cursor.indexes, index => _.isEqual(index.fields, fields));
+            
+            if (_.isNil(index)) logger.throw(`No index found with the key pattern of min() / max(): ${JSON.stringify(key)}`);
+        } else {
+            index = _hintedIndex(cursor, hint);
+            
+            if (_.isNil(index)) logger.throw("min() / max() can not be used with a $natural hint");
+            
+            if (!_.isEqual(index.fields, fields)) logger.throw(`min() / max() must follow the key pattern of the index "${index.name}"`);
+        }
+        
+        return index;
+    };
+    
+    var _rangeKey = function(index, key) {
+        if (_.isNil(key)) return null;
+        
+        // The indexes store the ObjectIds by their string value
+        return _.map(index.fields, field => {
+            let value = key[field];
+            
+            return (!_.isNil(value) && value._bsontype === 'ObjectId') ? value.toString() : value;
+        });
+    };
+    
+    /**
+     * Obtains the bounds of an index prefix from the bounds of each field
+     * 
+     * @method _indexBounds
+     * @private
+     * 
+     * @param {Index} index - The candidate index
+     * @param {Object} fieldBounds - The bounds of the selection for each field
+     * @param {Object} [geoFields={}] - The geospatial operators of the selection for each field
+     * 
+     * @returns {Object} The plan ({ index, bounds, score }) or null if the index can not be used
+     */
+    var _indexBounds = function(index, fieldBounds, geoFields = {}) {
+        var bounds = [];
+        var score = 0;
+        
+        // The text indexes are only used by the text searches
+        if (index.text) return null;
+        
+        // The geospatial indexes only bound the geospatial queries
+        if (!_.isNil(index.geo)) {
+            let operators = geoFields[index.fields[0]];
+            
+            return _.isNil(operators) ? null : { index: index, bounds: [index.geoBounds(operators)], score: 1 };
+        }
+        
+        for (let i = 0; i < index.fields.length; i++) {
+            let field = fieldBounds[index.fields[i]];
+            
+            // An array is compared as a whole by the ranges, but only its elements are indexed
+            if (_.isNil(field) || (index.multikey && !field.equality)) break;
+            
+            let intervals = field.intervals;
+            
+            // The elements of a multikey index may be nested arrays, matched by their string value
+            if (index.multikey && field.loose) intervals = intervals.concat([ALL_ARRAYS]);
+            
+            bounds.push(intervals);
+            
+            score += field.equality ? 2 : 1;
+            
+            // Only the last field of the prefix can be bounded by ranges
+            if (!_.every(intervals, _isPoint)) break;
+        }
+        
+        if (bounds.length === 0) return null;
+        
+        // A sparse index only has the documents with some of its fields
+        if (index.sparse && !_.some(bounds, intervals => _.every(intervals, _excludesMissing))) return null;
+        
+        return { index: index, bounds: bounds, score: score };
+    };
+    
+    // Any string, as they are sorted between numbers and objects
+    var ALL_STRINGS = { min: '', minInclusive: true, max: {}, maxInclusive: false };
+    
+    // Any array, as they are sorted before the booleans (ObjectIds are indexed as strings)
+    var ALL_ARRAYS = { min: [], minInclusive: true, max: false, maxInclusive: false };
+    
+    var _point = function(value) {
+        return { min: value, minInclusive: true, max: value, maxInclusive: true };
+    };
+    
+    var _isPoint = function(interval) {
+        return _.has(interval, 'min') && _.has(interval, 'max') && interval.minInclusive && interval.maxInclusive &&
+            SelectorMatcher.cmp(interval.min, interval.max) === 0;
+    };
+    
+    var _excludesMissing = function(interval) {
+        return _.has(interval, 'min') && !_.isUndefined(interval.min);
+    };
+    
+    // The "$text" clauses of a selection, including the ones inside logical operators
+    var _textClauses = function(clauses) {
+        return _.flatMap(clauses, clause => {
+            if (clause.kind === 'text') return [clause];
+            
+            if (clause.kind === 'operator') return _textClauses(clause.value);
+            
+            return [];
+        });
+    };
+    
+    var GEO_OPERATORS = ['$near', '$nearSphere', '$geoWithin', '$within', '$geoIntersects'];
+    
+    // The field of a clause with geospatial operators, or null
+    var _geoField = function(clause) {
+        if ((clause.kind !== 'plain' && clause.kind !== 'object') || clause.type !== 'operator_object') return null;
+        
+        if (!_.some(GEO_OPERATORS, operator => _.has(clause.value, operator))) return null;
+        
+        return _.isArray(clause.key) ? clause.key.join('.') : clause.key;
+    };
+    
+    var _isNear = function(operators) {
+        return _.has(operators, '$near') || _.has(operators, '$nearSphere');
+    };
+    
+    var _isScalar = function(value) {
+        return _.isNull(value) || _.isString(value) || _.isBoolean(value) || (_.isNumber(value) && !_.isNaN(value));
+    };
+    
+    /**
+     * Obtains the intervals of values (as sorted in the indexes) that a field must have to match a clause
+     * 
+     * @method _clauseBounds
+     * @private
+     * 
+     * @param {Object} clause - The compiled clause
+     * 
+     * @returns {Object} The bounds ({ intervals, equality, loose }) or null if the clause can not be bounded
+     */
+    var _clauseBounds = function(clause) {
+        if (clause.kind !== 'plain') return null;
+        
+        var value = clause.value;
+        var intervals = null;
+        
+        switch (clause.type) {
+            case 'null':
+                return { intervals: [_point(null), _point(undefined)], equality: true };
+            case 'boolean':
+                return { intervals: [_point(value)], equality: true };
+            case 'string':
+                // Arrays, objects and regular expressions may be matched by their string value
+                if (value.indexOf(',') !== -1 || /^(\[object |\/)/.test(value)) return null;
+                
+                // The strings are matched as the values would be printed
+                intervals = [_point(value)];
+                
+                if (value === '') {
+                    intervals.push(_point(null), _point(undefined));
+                } else if (_.toString(_.toNumber(value)) === value) {
+                    intervals.push(_point(_.toNumber(value)));
+                }
+                
+                if (value === 'true' || value === 'false') intervals.push(_point(value === 'true'));
+                
+                let date = new Date(value);
+                if (!_.isNaN(date.getTime()) && date.toString() === value) intervals.push(_point(date));
+                
+                return { intervals: intervals, equality: true, loose: true };
+            case 'number':
+                if (_.isNaN(value)) return null;
+                
+                // The numbers are matched with anything that converts to them
+                intervals = [_point(value), ALL_STRINGS];
+                
+                if (_.isFinite(value)) intervals.push(_point(new Date(value)));
+                
+                if (value === 0) intervals.push(_point(null), _point(undefined), _point(false));
+                
+                if (value === 1) intervals.push(_point(true));
+                
+                return { intervals: intervals, equality: true, loose: true };
+            case 'operator_object':
+                return _operatorBounds(value);
+            default:
+                return null;
+        }
+    };
+    
+    /**
+     * Obtains the intervals of values that a field must have to match all the operators
+     * of a clause ($eq, $in, $gt, $gte, $lt and $lte)
+     * 
+     * @method _operatorBounds
+     * @private
+     * 
+     * @param {Object} operators - The operators of the clause
+     * 
+     * @returns {Object} The bounds ({ intervals, equality }) or null if the operators can not be bounded
+     */
+    var _operatorBounds = function(operators) {
+        if (_.has(operators, '$eq') && _isScalar(operators.$eq)) {
+            return { intervals: [_point(operators.$eq)], equality: true };
+        }
+        
+        if (_.isArray(operators.$in) && _.every(operators.$in, _isScalar)) {
+            return { intervals: _.map(_.uniq(operators.$in), _point), equality: true };
+        }
+        
+        var interval = {};
+        
+        for (let operator in operators) {
+            let value = operators[operator];
+            
+            if (['$gt', '$gte', '$lt', '$lte'].indexOf(operator) === -1) continue;
+            
+            if (!_isScalar(value) && !_.isDate(value)) return null;
+            
+            let inclusive = operator.length === 4;
+            
+            if (operator.indexOf('$gt') === 0) {
+                let x = _.has(interval, 'min') ? SelectorMatcher.cmp(value, interval.min) : 1;
+                
+                if (x > 0 || (x === 0 && !inclusive)) {
+                    interval.min = value;
+                    interval.minInclusive = inclusive;
+                }
+            } else {
+                let x = _.has(interval, 'max') ? SelectorMatcher.cmp(value, interval.max) : -1;
+                
+                if (x < 0 || (x === 0 && !inclusive)) {
+                    interval.max = value;
+                    interval.maxInclusive = inclusive;
+                }
+            }
+        }
+        
+        if (_.isEmpty(interval)) return null;
+        
+        return { intervals: [interval], equality: false };
+    };
+    
     /**
      * Obtains the total of documents of the cursor
      * 
@@ -507,19 +981,184 @@ module.exports = function(Selector, Logger, _) {
     };
     
     /**
-     * @todo Implement
+     * Reports on the query execution plan of the cursor, as MongoDB does. When executing the query, 
+     * the cursor is rewinded before and after.
+     * 
+     * @method Cursor#explain
+     * 
+     * @param {String|Boolean} [verbosity="executionStats"] - "queryPlanner" only describes the plans, 
+     *      while "executionStats" and "allPlansExecution" (or "true") also execute the query to obtain its statistics
+     * 
+     * @returns {Object} The explain document ({ queryPlanner: { winningPlan, rejectedPlans, ... }, 
+     *      executionStats: { nReturned, executionTimeMillis, totalKeysExamined, totalDocsExamined, ... } })
      */
-    Cursor.prototype.explain = function() {
-        // Reports on the query execution plan for a cursor.
-        throw new Error("Not yet implemented");
+    Cursor.prototype.explain = function(verbosity = 'executionStats') {
+        if (verbosity === true) verbosity = 'allPlansExecution';
+        if (verbosity === false) verbosity = 'queryPlanner';
+        
+        if (['queryPlanner', 'executionStats', 'allPlansExecution'].indexOf(verbosity) === -1) {
+            logger.throw(`Invalid verbosity "${verbosity}"`);
+        }
+        
+        var explain = {
+            queryPlanner: {
+                plannerVersion: 1,
+                indexFilterSet: false,
+                parsedQuery: _.isPlainObject(this.selector) ? this.selector : {},
+                winningPlan: _describePlan(this, this.index_scan),
+                rejectedPlans: _.map(this.rejected_plans, plan => _describePlan(this, plan))
+            }
+        };
+        
+        if (verbosity !== 'queryPlanner') {
+            this.rewind();
+            
+            let start = Date.now();
+            let docs = this.fetchAll();
+            
+            explain.executionStats = {
+                executionSuccess: true,
+                nReturned: docs.length,
+                executionTimeMillis: Date.now() - start,
+                totalKeysExamined: this.keys_examined,
+                totalDocsExamined: this.docs_examined
+            };
+            
+            this.rewind();
+        }
+        
+        return explain;
     };
     
     /**
-     * @todo Implement
+     * Describes a query plan as the stages of a MongoDB explain
+     * 
+     * @method _describePlan
+     * @private
+     * 
+     * @param {Cursor} cursor - The cursor
+     * @param {Object} plan - The index plan ({ index, bounds, text, near }), or null for a COLSCAN
+     * 
+     * @returns {Object} The stages of the plan
      */
-    Cursor.prototype.hint = function() {
-        // Forces MongoDB to use a specific index for a query.
-        throw new Error("Not yet implemented");
+    var _describePlan = function(cursor, plan) {
+        var stage = null;
+        
+        if (_.isNil(plan)) {
+            stage = { stage: 'COLSCAN', direction: 'forward' };
+        } else {
+            let index = plan.index;
+            let indexBounds = {};
+            
+            // A key range (min / max) is not bounded by fields
+            for (let i = 0; !_.isNil(plan.bounds) && i < index.fields.length; i++) {
+                let intervals = i < plan.bounds.length ? plan.bounds[i] : [{}];
+                
+                indexBounds[index.fields[i]] = _.map(intervals, interval => _formatInterval(interval, index.directions[i]));
+            }
+            
+            stage = {
+                stage: 'FETCH',
+                inputStage: {
+                    stage: 'IDXSCAN',
+                    keyPattern: _.clone(index.key),
+                    indexName: index.name,
+                    isMultiKey: index.multikey,
+                    isUnique: index.unique,
+                    isSparse: index.sparse,
+                    direction: 'forward',
+                    indexBounds: indexBounds
+                }
+            };
+            
+            if (!_.isNil(plan.min)) stage.inputStage.min = _.zipObject(index.fields, plan.min);
+            if (!_.isNil(plan.max)) stage.inputStage.max = _.zipObject(index.fields, plan.max);
+            
+            if (plan.text) {
+                stage = {
+                    stage: 'TEXT',
+                    indexName: index.name,
+                    parsedTextQuery: index.parseSearch(cursor.text_clause.value),
+                    textIndexVersion: index.options.textIndexVersion,
+                    inputStage: stage
+                };
+            } else if (!_.isNil(plan.near)) {
+                stage = {
+                    stage: index.geo === '2d' ? 'GEO_NEAR_2D' : 'GEO_NEAR_2DSPHERE',
+                    keyPattern: _.clone(index.key),
+                    indexName: index.name,
+                    inputStage: stage
+                };
+            }
+        }
+        
+        if (_.isPlainObject(cursor.selector) && !_.isEmpty(cursor.selector)) stage.filter = cursor.selector;
+        
+        return stage;
+    };
+    
+    /**
+     * Prints an interval of an index as MongoDB does ("[1, 5)", "[MinKey, MaxKey]"...), in the order of the index
+     * 
+     * @method _formatInterval
+     * @private
+     * 
+     * @param {Object} interval - The interval ({ min, max, minInclusive, maxInclusive })
+     * @param {Number} direction - The direction of the index field
+     * 
+     * @returns {String} The interval printed
+     */
+    var _formatInterval = function(interval, direction) {
+        var low = { value: 'MinKey', inclusive: true };
+        var high = { value: 'MaxKey', inclusive: true };
+        
+        if (_.has(interval, 'min')) low = { value: _formatBound(interval.min), inclusive: interval.minInclusive };
+        if (_.has(interval, 'max')) high = { value: _formatBound(interval.max), inclusive: interval.maxInclusive };
+        
+        if (direction === -1) {
+            let swap = low;
+            
+            low = high;
+            high = swap;
+        }
+        
+        return `${low.inclusive ? '[' : '('}${low.value}, ${high.value}${high.inclusive ? ']' : ')'}`;
+    };
+    
+    var _formatBound = function(value) {
+        if (_.isUndefined(value)) return 'undefined';
+        
+        if (_.isDate(value)) return `new Date(${value.getTime()})`;
+        
+        return JSON.stringify(value);
+    };
+    
+    /**
+     * Forces the cursor to use a specific index, even if it can not bound the selection
+     * 
+     * @method Cursor#hint
+     * 
+     * @param {String|Object} index - The name of the index or its key pattern ({ field1: 1, field2: -1 }). 
+     *      Use { $natural: 1 } to force a collection scan
+     * 
+     * @returns {Cursor} This instance so it can be chained with other methods
+     */
+    Cursor.prototype.hint = function(index) {
+        if (_.isNil(index)) logger.throw("You need to specify an index");
+        
+        // Check the hint before changing the cursor
+        if (!_.isNil(this.minValue) || !_.isNil(this.maxValue)) {
+            _keyRangeIndex(this, index, this.minValue || this.maxValue);
+        } else {
+            _hintedIndex(this, index);
+        }
+        
+        this.hintValue = index;
+        
+        _planQuery(this);
+        this.rewind();
+        
+        return this;
     };
     
     /**
@@ -547,19 +1186,51 @@ module.exports = function(Selector, Logger, _) {
     };
     
     /**
-     * @todo Implement
+     * Specifies an exclusive upper key for the index scanned. The index is the hinted one 
+     * (see {@link Cursor#hint}), or the one with the same fields than the key
+     * 
+     * @method Cursor#max
+     * 
+     * @param {Object} max - The key of the index ({ field1: <value>, field2: <value> }), following the index order
+     * 
+     * @returns {Cursor} This instance so it can be chained with other methods
      */
-    Cursor.prototype.max = function() {
-        // Specifies an exclusive upper index bound for a cursor. For use with cursor.hint()
-        throw new Error("Not yet implemented");
+    Cursor.prototype.max = function(max) {
+        _setKeyRange(this, max, 'maxValue', 'minValue');
+        
+        return this;
     };
     
     /**
-     * @todo Implement
+     * Specifies an inclusive lower key for the index scanned. The index is the hinted one 
+     * (see {@link Cursor#hint}), or the one with the same fields than the key
+     * 
+     * @method Cursor#min
+     * 
+     * @param {Object} min - The key of the index ({ field1: <value>, field2: <value> }), following the index order
+     * 
+     * @returns {Cursor} This instance so it can be chained with other methods
      */
-    Cursor.prototype.min = function() {
-        // Specifies an inclusive lower index bound for a cursor. For use with cursor.hint()
-        throw new Error("Not yet implemented");
+    Cursor.prototype.min = function(min) {
+        _setKeyRange(this, min, 'minValue', 'maxValue');
+        
+        return this;
+    };
+    
+    var _setKeyRange = function(cursor, key, property, other) {
+        if (!_.isPlainObject(key) || _.isEmpty(key)) logger.throw("You need to specify the key of the index");
+        
+        if (!_.isNil(cursor[other]) && !_.isEqual(_.keys(key), _.keys(cursor[other]))) {
+            logger.throw("min() and max() must use the same key pattern");
+        }
+        
+        // Check the key before changing the cursor
+        _keyRangeIndex(cursor, cursor.hintValue, key);
+        
+        cursor[property] = key;
+        
+        _planQuery(cursor);
+        cursor.rewind();
     };
     
     /**
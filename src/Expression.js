@@ -0,0 +1,578 @@
+/**
+ * @file Expression.js - Aggregation expressions, evaluated over a document
+ * @version 1.0.0
+ * 
+ * @author Eduardo Astolfi <eastolfi91@gmail.com>
+ * @copyright 2016 Eduardo Astolfi <eastolfi91@gmail.com>
+ * @license MIT Licensed
+ */
+
+var logger = null;
+
+module.exports = function(SelectorMatcher, Logger, _) {
+    
+    /**
+     * Expression
+     * 
+     * @module Expression
+     * @since 1.3.0
+     * 
+     * @classdesc Evaluates the aggregation expressions: field paths ("$field.subfield"), variables ("$$name"),
+     *      literals, objects and arrays of expressions, and operators ({ $eq: [<expression1>, <expression2>] })
+     */
+    class Expression {
+        /**
+         * Evaluates an expression over a document
+         * 
+         * @method Expression.evaluate
+         * 
+         * @param {*} expression - The expression
+         * @param {Object} doc - The document
+         * @param {Object} [variables={}] - The values of the variables ({ name: <value> } for "$$name")
+         * 
+         * @returns {*} The value of the expression (undefined for a missing field)
+         */
+        static evaluate(expression, doc, variables = {}) {
+            logger = Logger.instance;
+            
+            if (_.isString(expression)) {
+                if (expression.substr(0, 2) === '$$') return _getVariable(expression.substr(2), doc, variables);
+                
+                if (expression.substr(0, 1) === '$') return Expression.getPath(doc, expression.substr(1));
+                
+                return expression;
+            }
+            
+            if (_.isArray(expression)) return _.map(expression, value => Expression.evaluate(value, doc, variables));
+            
+            if (_.isPlainObject(expression)) {
+                let keys = _.keys(expression);
+                
+                if (keys.length === 1 && keys[0].substr(0, 1) === '$') return _operator(keys[0], expression[keys[0]], doc, variables);
+                
+                let value = {};
+                
+                for (let i = 0; i < keys.length; i++) {
+                    if (keys[i].substr(0, 1) === '$') logger.throw(`Unrecognized expression "${keys[i]}"`);
+                    
+                    let result = Expression.evaluate(expression[keys[i]], doc, variables);
+                    
+                    // The missing fields are not added
+                    if (!_.isUndefined(result)) value[keys[i]] = result;
+                }
+                
+                return value;
+            }
+            
+            return expression;
+        }
+        
+        /**
+         * Obtains the value of a field path. An array on the way gives the values of its elements.
+         * 
+         * @method Expression.getPath
+         * 
+         * @param {Object} doc - The document
+         * @param {String} path - The path, without "$" ("field.subfield")
+         * 
+         * @returns {*} The value of the path (undefined if it does not exist)
+         */
+        static getPath(doc, path) {
+            var parts = _.isArray(path) ? path : path.split('.');
+            var value = doc;
+            
+            for (let i = 0; i < parts.length; i++) {
+                if (_.isArray(value)) {
+                    let rest = parts.slice(i);
+                    
+                    return _.filter(_.map(value, element => Expression.getPath(element, rest)), element => !_.isUndefined(element));
+                }
+                
+                if (!_.isPlainObject(value)) return undefined;
+                
+                value = value[parts[i]];
+            }
+            
+            return value;
+        }
+        
+        /**
+         * Checks if a value is true for the expressions: everything but false, null, undefined and 0
+         * 
+         * @method Expression.isTrue
+         * 
+         * @param {*} value - The value
+         * 
+         * @returns {Boolean} Whether the value is true or not
+         */
+        static isTrue(value) {
+            return !(_.isNil(value) || value === false || value === 0);
+        }
+    }
+    
+    var _getVariable = function(name, doc, variables) {
+        var parts = name.split('.');
+        var value = null;
+        
+        // The system variables given by a stage ("ROOT" on a subdocument, "KEEP"...) are used first
+        if (_.has(variables, parts[0])) {
+            value = variables[parts[0]];
+        } else if (parts[0] === 'ROOT' || parts[0] === 'CURRENT') {
+            value = doc;
+        } else {
+            logger.throw(`Use of undefined variable: ${parts[0]}`);
+        }
+        
+        return parts.length > 1 ? Expression.getPath(value, parts.slice(1)) : value;
+    };
+    
+    // The arguments of an operator, evaluated
+    var _args = function(operator, value, doc, variables, count) {
+        var args = _.isArray(value) ? value : [value];
+        
+        if (!_.isNil(count) && args.length !== count) {
+            logger.throw(`Expression ${operator} takes exactly ${count} arguments. ${args.length} were passed in.`);
+        }
+        
+        return _.map(args, arg => Expression.evaluate(arg, doc, variables));
+    };
+    
+    /**
+     * Evaluates an operator
+     * 
+     * @method _operator
+     * @private
+     * 
+     * @param {String} operator - The operator ("$eq", "$and"...)
+     * @param {*} value - The arguments of the operator
+     * @param {Object} doc - The document
+     * @param {Object} variables - The values of the variables
+     * 
+     * @returns {*} The value of the operator
+     */
+    var _operator = function(operator, value, doc, variables) {
+        var args = null;
+        
+        switch (operator) {
+            case '$literal':
+                return value;
+            // Boolean operators
+            case '$and':
+                return _.every(_.isArray(value) ? value : [value], arg => Expression.isTrue(Expression.evaluate(arg, doc, variables)));
+            case '$or':
+                return _.some(_.isArray(value) ? value : [value], arg => Expression.isTrue(Expression.evaluate(arg, doc, variables)));
+            case '$not':
+                return !Expression.isTrue(_args(operator, value, doc, variables, 1)[0]);
+            // Comparison operators
+            case '$cmp':
+                args = _args(operator, value, doc, variables, 2);
+                
+                return Math.sign(SelectorMatcher.cmp(args[0], args[1]));
+            case '$eq':
+            case '$ne':
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                args = _args(operator, value, doc, variables, 2);
+                
+                return _compare(operator, SelectorMatcher.cmp(args[0], args[1]));
+            // Arithmetic operators
+            case '$add':
+            case '$subtract':
+            case '$multiply':
+            case '$divide':
+            case '$mod':
+                return _arithmetic(operator, _args(operator, value, doc, variables, operator === '$add' || operator === '$multiply' ? null : 2));
+            // String operators
+            case '$concat':
+                args = _args(operator, value, doc, variables);
+                
+                if (_.some(args, _.isNil)) return null;
+                
+                if (!_.every(args, _.isString)) logger.throw("$concat only supports strings");
+                
+                return args.join('');
+            case '$substr':
+                args = _args(operator, value, doc, variables, 3);
+                
+                if (!_.isNumber(args[1]) || !_.isNumber(args[2])) logger.throw("$substr requires numbers as its starting index and length");
+                
+                // A negative length takes the rest of the string
+                return _toString(args[0], '').substr(Math.max(args[1], 0), args[2] < 0 ? undefined : args[2]);
+            case '$toLower':
+                return _toString(_args(operator, value, doc, variables, 1)[0], '').toLowerCase();
+            case '$toUpper':
+                return _toString(_args(operator, value, doc, variables, 1)[0], '').toUpperCase();
+            case '$split':
+                args = _args(operator, value, doc, variables, 2);
+                
+                if (_.isNil(args[0])) return null;
+                
+                if (!_.isString(args[0]) || !_.isString(args[1])) logger.throw("$split requires a string and a string delimiter");
+                
+                if (args[1] === '') logger.throw("$split requires a non-empty delimiter");
+                
+                return args[0].split(args[1]);
+            // Conditional operators
+            case '$cond':
+                if (_.isPlainObject(value)) {
+                    if (!_.has(value, 'if') || !_.has(value, 'then') || !_.has(value, 'else')) logger.throw("$cond requires the 'if', 'then' and 'else' arguments");
+                    
+                    value = [value.if, value.then, value.else];
+                }
+                
+                if (!_.isArray(value) || value.length !== 3) logger.throw("Expression $cond takes exactly 3 arguments");
+                
+                return Expression.evaluate(Expression.isTrue(Expression.evaluate(value[0], doc, variables)) ? value[1] : value[2], doc, variables);
+            case '$ifNull':
+                if (!_.isArray(value) || value.length < 2) logger.throw("$ifNull needs at least two arguments");
+                
+                for (let i = 0; i < value.length - 1; i++) {
+                    let result = Expression.evaluate(value[i], doc, variables);
+                    
+                    if (!_.isNil(result)) return result;
+                }
+                
+                return Expression.evaluate(_.last(value), doc, variables);
+            case '$switch':
+                if (!_.isPlainObject(value) || !_.isArray(value.branches)) logger.throw("$switch requires an array of 'branches'");
+                
+                for (let i = 0; i < value.branches.length; i++) {
+                    let branch = value.branches[i];
+                    
+                    if (!_.isPlainObject(branch) || !_.has(branch, 'case') || !_.has(branch, 'then')) logger.throw("$switch requires each branch to have a 'case' and a 'then'");
+                    
+                    if (Expression.isTrue(Expression.evaluate(branch.case, doc, variables))) return Expression.evaluate(branch.then, doc, variables);
+                }
+                
+                if (!_.has(value, 'default')) logger.throw("$switch could not find a matching branch for an input, and no default was specified");
+                
+                return Expression.evaluate(value.default, doc, variables);
+            // Array operators
+            case '$in':
+                args = _args(operator, value, doc, variables, 2);
+                
+                if (!_.isArray(args[1])) logger.throw("$in requires an array as a second argument");
+                
+                return _.some(args[1], element => SelectorMatcher.cmp(args[0], element) === 0);
+            case '$size':
+                args = _args(operator, value, doc, variables, 1);
+                
+                if (!_.isArray(args[0])) logger.throw("The argument to $size must be an array");
+                
+                return args[0].length;
+            case '$arrayElemAt':
+                args = _args(operator, value, doc, variables, 2);
+                
+                if (_.isNil(args[0]) || _.isNil(args[1])) return null;
+                
+                if (!_.isArray(args[0]) || !_.isInteger(args[1])) logger.throw("$arrayElemAt requires an array and an integer index");
+                
+                // A negative index counts from the end, and an index out of the array is missing
+                return args[0][args[1] < 0 ? args[0].length + args[1] : args[1]];
+            case '$slice':
+                args = _args(operator, value, doc, variables);
+                
+                if (args.length !== 2 && args.length !== 3) logger.throw("Expression $slice takes 2 or 3 arguments");
+                
+                if (_.isNil(args[0])) return null;
+                
+                if (!_.isArray(args[0]) || !_.every(args.slice(1), _.isInteger)) logger.throw("$slice requires an array and integer positions");
+                
+                return _slice(args[0], args.slice(1));
+            case '$filter':
+            case '$map':
+                return _iterate(operator, value, doc, variables);
+            // Date operators
+            case '$year':
+            case '$month':
+            case '$dayOfMonth':
+                args = _dateArg(operator, value, doc, variables);
+                
+                if (_.isNil(args)) return null;
+                
+                if (operator === '$year') return args.getUTCFullYear();
+                
+                return operator === '$month' ? args.getUTCMonth() + 1 : args.getUTCDate();
+            case '$dateToString':
+                if (!_.isPlainObject(value) || !_.has(value, 'date')) logger.throw("$dateToString requires a 'date' argument");
+                
+                args = Expression.evaluate(value.date, doc, variables);
+                
+                if (_.isNil(args)) return _.has(value, 'onNull') ? Expression.evaluate(value.onNull, doc, variables) : null;
+                
+                if (!_.isDate(args)) logger.throw("$dateToString requires a date");
+                
+                return _formatDate(args, _.isNil(value.format) ? '%Y-%m-%dT%H:%M:%S.%LZ' : value.format);
+            // Type conversion operators
+            case '$toString':
+                return _convert(_args(operator, value, doc, variables, 1)[0], 'string');
+            case '$toInt':
+                return _convert(_args(operator, value, doc, variables, 1)[0], 'int');
+            case '$toDouble':
+                return _convert(_args(operator, value, doc, variables, 1)[0], 'double');
+            case '$toBool':
+                return _convert(_args(operator, value, doc, variables, 1)[0], 'bool');
+            case '$toDate':
+                return _convert(_args(operator, value, doc, variables, 1)[0], 'date');
+            case '$convert':
+                if (!_.isPlainObject(value) || !_.has(value, 'input') || !_.has(value, 'to')) logger.throw("$convert requires the 'input' and 'to' arguments");
+                
+                args = Expression.evaluate(value.input, doc, variables);
+                
+                if (_.isNil(args) && _.has(value, 'onNull')) return Expression.evaluate(value.onNull, doc, variables);
+                
+                try {
+                    return _convert(args, Expression.evaluate(value.to, doc, variables));
+                } catch (error) {
+                    if (!_.has(value, 'onError')) throw error;
+                    
+                    return Expression.evaluate(value.onError, doc, variables);
+                }
+            default:
+                logger.throw(`Unrecognized expression "${operator}"`);
+        }
+    };
+    
+    var _compare = function(operator, x) {
+        switch (operator) {
+            case '$eq':
+                return x === 0;
+            case '$ne':
+                return x !== 0;
+            case '$gt':
+                return x > 0;
+            case '$gte':
+                return x >= 0;
+            case '$lt':
+                return x < 0;
+            case '$lte':
+                return x <= 0;
+        }
+    };
+    
+    /**
+     * Evaluates an arithmetic operator. A null or missing argument gives null, and dates can be added 
+     * or subtracted some milliseconds (or subtracted another date, giving the milliseconds between them).
+     * 
+     * @method _arithmetic
+     * @private
+     * 
+     * @param {String} operator - The operator ("$add", "$subtract", "$multiply", "$divide" or "$mod")
+     * @param {Array} args - The evaluated arguments
+     * 
+     * @returns {Number|Date} The result of the operation
+     */
+    var _arithmetic = function(operator, args) {
+        if (_.some(args, _.isNil)) return null;
+        
+        var dates = _.filter(args, _.isDate);
+        
+        if (!_.every(args, arg => _.isNumber(arg) || _.isDate(arg))) logger.throw(`${operator} only supports numeric or date types`);
+        
+        switch (operator) {
+            case '$add':
+                if (dates.length > 1) logger.throw("Only one date allowed in an $add expression");
+                
+                return dates.length === 0 ? _.sum(args) : new Date(_.sumBy(args, arg => _.isDate(arg) ? arg.getTime() : arg));
+            case '$subtract':
+                if (_.isDate(args[0])) {
+                    return _.isDate(args[1]) ? args[0].getTime() - args[1].getTime() : new Date(args[0].getTime() - args[1]);
+                }
+                
+                if (_.isDate(args[1])) logger.throw("Can't $subtract a date from a number");
+                
+                return args[0] - args[1];
+        }
+        
+        if (dates.length > 0) logger.throw(`${operator} only supports numeric types`);
+        
+        switch (operator) {
+            case '$multiply':
+                return _.reduce(args, (product, arg) => product * arg, 1);
+            case '$divide':
+                if (args[1] === 0) logger.throw("can't $divide by zero");
+                
+                return args[0] / args[1];
+            case '$mod':
+                if (args[1] === 0) logger.throw("can't $mod by zero");
+                
+                return args[0] % args[1];
+        }
+    };
+    
+    var _toString = function(value, nil) {
+        return _.isNil(value) ? nil : _convert(value, 'string');
+    };
+    
+    var _slice = function(array, positions) {
+        if (positions.length === 1) {
+            let n = positions[0];
+            
+            return n < 0 ? array.slice(Math.max(array.length + n, 0)) : array.slice(0, n);
+        }
+        
+        if (positions[1] <= 0) logger.throw("The third argument of $slice must be positive");
+        
+        var start = positions[0] < 0 ? Math.max(array.length + positions[0], 0) : positions[0];
+        
+        return array.slice(start, start + positions[1]);
+    };
+    
+    /**
+     * Evaluates the "$filter" and "$map" operators, which evaluate an expression for each element of an array 
+     * with the element in a variable ("$$this" by default)
+     * 
+     * @method _iterate
+     * @private
+     * 
+     * @param {String} operator - The operator ("$filter" or "$map")
+     * @param {Object} value - The arguments ({ input, as, cond, limit } for "$filter" and { input, as, in } for "$map")
+     * @param {Object} doc - The document
+     * @param {Object} variables - The values of the variables
+     * 
+     * @returns {Array} The elements passing the condition, or the value of the expression for each element
+     */
+    var _iterate = function(operator, value, doc, variables) {
+        var expression = operator === '$filter' ? 'cond' : 'in';
+        
+        if (!_.isPlainObject(value) || !_.has(value, 'input') || !_.has(value, expression)) {
+            logger.throw(`${operator} requires the 'input' and '${expression}' arguments`);
+        }
+        
+        var as = _.isNil(value.as) ? 'this' : value.as;
+        
+        if (!_.isString(as) || !/^[a-z][a-zA-Z0-9_]*$/.test(as)) logger.throw(`Invalid variable name "${as}" in ${operator}`);
+        
+        var input = Expression.evaluate(value.input, doc, variables);
+        
+        if (_.isNil(input)) return null;
+        
+        if (!_.isArray(input)) logger.throw(`The input of ${operator} must be an array`);
+        
+        var evaluate = element => Expression.evaluate(value[expression], doc, _.assign({}, variables, { [as]: element }));
+        
+        if (operator === '$map') return _.map(input, evaluate);
+        
+        var limit = _.isNil(value.limit) ? null : Expression.evaluate(value.limit, doc, variables);
+        
+        if (!_.isNil(limit) && (!_.isInteger(limit) || limit < 1)) logger.throw("The limit of $filter must be a positive integer");
+        
+        var result = _.filter(input, element => Expression.isTrue(evaluate(element)));
+        
+        return _.isNull(limit) ? result : result.slice(0, limit);
+    };
+    
+    // The date of a date operator: an expression or { date: <expression> }
+    var _dateArg = function(operator, value, doc, variables) {
+        var date = _.isPlainObject(value) && _.has(value, 'date') ? value.date : value;
+        
+        date = _args(operator, date, doc, variables, 1)[0];
+        
+        if (_.isNil(date)) return null;
+        
+        if (!_.isDate(date)) logger.throw(`${operator} requires a date`);
+        
+        return date;
+    };
+    
+    /**
+     * Formats a date (in UTC) with the specifiers of MongoDB: %Y, %m, %d, %H, %M, %S, %L, %j, %w and %%
+     * 
+     * @method _formatDate
+     * @private
+     * 
+     * @param {Date} date - The date
+     * @param {String} format - The format
+     * 
+     * @returns {String} The formatted date
+     */
+    var _formatDate = function(date, format) {
+        if (!_.isString(format)) logger.throw("The format of $dateToString must be a string");
+        
+        var start = Date.UTC(date.getUTCFullYear(), 0, 1);
+        var specifiers = {
+            Y: _.padStart(date.getUTCFullYear(), 4, '0'),
+            m: _.padStart(date.getUTCMonth() + 1, 2, '0'),
+            d: _.padStart(date.getUTCDate(), 2, '0'),
+            H: _.padStart(date.getUTCHours(), 2, '0'),
+            M: _.padStart(date.getUTCMinutes(), 2, '0'),
+            S: _.padStart(date.getUTCSeconds(), 2, '0'),
+            L: _.padStart(date.getUTCMilliseconds(), 3, '0'),
+            j: _.padStart(Math.floor((date.getTime() - start) / 86400000) + 1, 3, '0'),
+            w: _.toString(date.getUTCDay() + 1),
+            '%': '%'
+        };
+        
+        return format.replace(/%(.?)/g, (match, specifier) => {
+            if (!_.has(specifiers, specifier)) logger.throw(`Invalid format character "%${specifier}" in $dateToString`);
+            
+            return specifiers[specifier];
+        });
+    };
+    
+    /**
+     * Converts a value to a type. A null or missing value gives null.
+     * 
+     * @method _convert
+     * @private
+     * 
+     * @param {*} value - The value
+     * @param {String} type - The type ("string", "int", "long", "double", "decimal", "bool" or "date")
+     * 
+     * @returns {*} The converted value
+     */
+    var _convert = function(value, type) {
+        if (_.isNil(value)) return null;
+        
+        var number = null;
+        
+        switch (type) {
+            case 'string':
+                if (_.isDate(value)) return value.toISOString();
+                
+                if (_.isPlainObject(value) || _.isArray(value)) logger.throw("Unsupported conversion from object to string");
+                
+                return _.toString(value);
+            case 'int':
+            case 'long':
+            case 'double':
+            case 'decimal':
+                if (_.isNumber(value)) {
+                    number = value;
+                } else if (_.isBoolean(value)) {
+                    number = value ? 1 : 0;
+                } else if (_.isDate(value) && type !== 'int') {
+                    number = value.getTime();
+                } else if (_.isString(value) && /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/.test(value)) {
+                    number = _.toNumber(value);
+                    
+                    if ((type === 'int' || type === 'long') && !_.isInteger(number)) logger.throw(`Failed to parse number "${value}" in $convert`);
+                } else {
+                    logger.throw(`Unsupported conversion to ${type}: ${JSON.stringify(value)}`);
+                }
+                
+                return type === 'int' || type === 'long' ? Math.trunc(number) : number;
+            case 'bool':
+                // Everything but false and 0 is true, even the empty strings
+                return !(value === false || value === 0);
+            case 'date':
+                if (_.isDate(value)) return value;
+                
+                if (_.isNumber(value) || _.isString(value)) {
+                    let date = new Date(value);
+                    
+                    if (!_.isNaN(date.getTime())) return date;
+                }
+                
+                logger.throw(`Unsupported conversion to date: ${JSON.stringify(value)}`);
+                
+                break;
+            default:
+                logger.throw(`Unknown type name "${type}" in $convert`);
+        }
+    };
+    
+    return Expression;
+};
\ No newline at end of file
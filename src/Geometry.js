@@ -0,0 +1,749 @@
+/**
+ * @file Geometry.js - GeoJSON and legacy coordinates for the geospatial operators and indexes
+ * @version 1.0.0
+ * 
+ * @author Eduardo Astolfi <eastolfi91@gmail.com>
+ * @copyright 2016 Eduardo Astolfi <eastolfi91@gmail.com>
+ * @license MIT Licensed
+ */
+
+var logger = null;
+
+module.exports = function(Logger, _) {
+    
+    /**
+     * Geometry
+     * 
+     * @module Geometry
+     * @since 1.3.0
+     * 
+     * @classdesc Parses the geometries (GeoJSON Point, LineString, Polygon and their Multi* versions, or legacy
+     *      coordinate pairs) and tests them against the geospatial operators. The distances are planar for the legacy
+     *      coordinates, and spherical for GeoJSON and the "*Sphere" operators. The edges of the lines and polygons
+     *      are straight lines on the coordinates plane.
+     */
+    class Geometry {
+        /**
+         * Parses a geometry: a GeoJSON object ({ type: "Point", coordinates: [<lng>, <lat>] }), or a legacy
+         * coordinate pair ([<x>, <y>] or { <x>, <y> })
+         * 
+         * @method Geometry.parse
+         * 
+         * @param {Object|Array} value - The value to parse
+         * 
+         * @returns {Object} The geometry as GeoJSON ({ type, coordinates }), or null if it is not a valid geometry
+         */
+        static parse(value) {
+            if (_isPosition(value)) return { type: 'Point', coordinates: _position(value) };
+            
+            if (_.isPlainObject(value)) {
+                if (_.isString(value.type)) {
+                    let coordinates = _parseCoordinates(value.type, value.coordinates);
+                    
+                    return _.isNil(coordinates) ? null : { type: value.type, coordinates: coordinates };
+                }
+                
+                // Legacy embedded document: its first two values are the coordinates
+                let values = _.values(value);
+                
+                if (values.length === 2 && _isPosition(values)) return { type: 'Point', coordinates: values };
+            }
+            
+            return null;
+        }
+        
+        /**
+         * Checks if the coordinates of a geometry are valid longitudes and latitudes
+         * 
+         * @method Geometry.isSpherical
+         * 
+         * @param {Object} geometry - The geometry, as parsed by {@link Geometry.parse}
+         * 
+         * @returns {Boolean} Whether the geometry is on the sphere or not
+         */
+        static isSpherical(geometry) {
+            return _.every(_positions(geometry), p => p[0] >= -180 && p[0] <= 180 && p[1] >= -90 && p[1] <= 90);
+        }
+        
+        /**
+         * Obtains the bounding box of a geometry
+         * 
+         * @method Geometry.bbox
+         * 
+         * @param {Object} geometry - The geometry, as parsed by {@link Geometry.parse}
+         * 
+         * @returns {Array} The bounding box ([minX, minY, maxX, maxY])
+         */
+        static bbox(geometry) {
+            var positions = _positions(geometry);
+            var xs = _.map(positions, 0);
+            var ys = _.map(positions, 1);
+            
+            return [_.min(xs), _.min(ys), _.max(xs), _.max(ys)];
+        }
+        
+        /**
+         * Parses the point of a $near or $nearSphere operator ({ $near: [<x>, <y>], $maxDistance: <distance> },
+         * or { $near: { $geometry: <Point>, $maxDistance: <meters> } })
+         * 
+         * @method Geometry.parseNear
+         * 
+         * @param {Object} operators - The operators of the field
+         * 
+         * @returns {Object} The near query ({ point, spherical, meters, minDistance, maxDistance }), where the distances are
+         *      in meters for GeoJSON, in radians for legacy coordinates with $nearSphere, or in the units of the coordinates
+         */
+        static parseNear(operators) {
+            logger = Logger.instance;
+            
+            var operator = _.has(operators, '$nearSphere') ? '$nearSphere' : '$near';
+            var value = operators[operator];
+            var near = {
+                spherical: operator === '$nearSphere',
+                meters: false,
+                minDistance: operators.$minDistance,
+                maxDistance: operators.$maxDistance
+            };
+            
+            if (_.isPlainObject(value) && _.has(value, '$geometry')) {
+                value = _.assign({}, value);
+                
+                near.spherical = true;
+                near.meters = true;
+                
+                if (_.has(value, '$minDistance')) near.minDistance = value.$minDistance;
+                if (_.has(value, '$maxDistance')) near.maxDistance = value.$maxDistance;
+                
+                value = value.$geometry;
+            }
+            
+            near.point = Geometry.parse(value);
+            
+            if (_.isNil(near.point) || near.point.type !== 'Point') logger.throw(`Invalid point in the ${operator} query`);
+            
+            _.forEach(['minDistance', 'maxDistance'], key => {
+                if (_.isNil(near[key])) {
+                    delete near[key];
+                } else if (!_.isNumber(near[key]) || near[key] < 0) {
+                    logger.throw(`$${key} must be a non-negative number`);
+                }
+            });
+            
+            return near;
+        }
+        
+        /**
+         * Parses the shape of a $geoWithin operator: { $box: [[<x1>, <y1>], [<x2>, <y2>]] }, { $polygon: [[<x>, <y>], ...] },
+         * { $center: [[<x>, <y>], <radius>] }, { $centerSphere: [[<x>, <y>], <radians>] } or { $geometry: <Polygon|MultiPolygon> }
+         * 
+         * @method Geometry.parseShape
+         * 
+         * @param {Object} value - The value of the operator
+         * 
+         * @returns {Object} The shape: a geometry with polygons, or a circle ({ type: "Circle", center, radius, spherical })
+         */
+        static parseShape(value) {
+            logger = Logger.instance;
+            
+            var shape = null;
+            
+            if (_.isPlainObject(value)) {
+                if (_.has(value, '$box')) {
+                    let box = value.$box;
+                    
+                    if (_.isArray(box) && box.length === 2 && _isPosition(box[0]) && _isPosition(box[1])) {
+                        let min = _position(box[0]),
+                            max = _position(box[1]);
+                        
+                        shape = {
+                            type: 'Polygon',
+                            coordinates: [[min, [max[0], min[1]], max, [min[0], max[1]], min]]
+                        };
+                    }
+                } else if (_.has(value, '$polygon')) {
+                    let points = value.$polygon;
+                    
+                    if (_.isArray(points) && points.length >= 3 && _.every(points, _isPosition)) {
+                        let ring = _.map(points, _position);
+                        
+                        shape = { type: 'Polygon', coordinates: [ring.concat([ring[0]])] };
+                    }
+                } else if (_.has(value, '$center') || _.has(value, '$centerSphere')) {
+                    let spherical = _.has(value, '$centerSphere');
+                    let circle = spherical ? value.$centerSphere : value.$center;
+                    
+                    if (_.isArray(circle) && circle.length === 2 && _isPosition(circle[0]) && _.isNumber(circle[1]) && circle[1] >= 0) {
+                        shape = { type: 'Circle', center: _position(circle[0]), radius: circle[1], spherical: spherical };
+                    }
+                } else if (_.has(value, '$geometry')) {
+                    shape = Geometry.parse(value.$geometry);
+                    
+                    if (!_.isNil(shape) && shape.type !== 'Polygon' && shape.type !== 'MultiPolygon') shape = null;
+                }
+            }
+            
+            if (_.isNil(shape)) logger.throw("Invalid shape in the $geoWithin query: " + JSON.stringify(value));
+            
+            return shape;
+        }
+        
+        /**
+         * Obtains the region of the coordinates that a geospatial query can match
+         * 
+         * @method Geometry.queryBox
+         * 
+         * @param {Object} operators - The operators of the field ({ $near, $nearSphere, $geoWithin, $geoIntersects... })
+         * 
+         * @returns {Array} The bounding box of the query ([minX, minY, maxX, maxY]), or null if it is unbounded
+         */
+        static queryBox(operators) {
+            if (_.has(operators, '$near') || _.has(operators, '$nearSphere')) {
+                let near = Geometry.parseNear(operators);
+                
+                if (_.isNil(near.maxDistance)) return null;
+                
+                let radius = near.meters ? near.maxDistance / Geometry.EARTH_RADIUS : near.maxDistance;
+                
+                return _circleBox(near.point.coordinates, radius, near.spherical);
+            }
+            
+            if (_.has(operators, '$geoWithin') || _.has(operators, '$within')) {
+                let shape = Geometry.parseShape(_.has(operators, '$geoWithin') ? operators.$geoWithin : operators.$within);
+                
+                if (shape.type === 'Circle') return _circleBox(shape.center, shape.radius, shape.spherical);
+                
+                return Geometry.bbox(shape);
+            }
+            
+            if (_.has(operators, '$geoIntersects')) return Geometry.bbox(_parseGeometry(operators.$geoIntersects));
+            
+            return null;
+        }
+        
+        /**
+         * Calculates the distance from a near query to the closest point of a geometry
+         * 
+         * @method Geometry.distance
+         * 
+         * @param {Object} geometry - The geometry, as parsed by {@link Geometry.parse}
+         * @param {Object} near - The near query, as parsed by {@link Geometry.parseNear}
+         * 
+         * @returns {Number} The distance, in the units of the near query
+         */
+        static distance(geometry, near) {
+            var point = near.point.coordinates;
+            var distance = _distanceToGeometry(point, geometry, near.spherical);
+            
+            return near.meters ? distance * Geometry.EARTH_RADIUS : distance;
+        }
+        
+        /**
+         * Tests a value against a $near or $nearSphere operator, with its $minDistance and $maxDistance
+         * 
+         * @method Geometry.near
+         * 
+         * @param {*} value - The value of the document
+         * @param {Object} operators - The operators of the field
+         * 
+         * @returns {Boolean} Whether the value is a geometry within the distances or not
+         */
+        static near(value, operators) {
+            var geometry = Geometry.parse(value);
+            
+            if (_.isNil(geometry)) return false;
+            
+            var near = Geometry.parseNear(operators);
+            var distance = Geometry.distance(geometry, near);
+            
+            if (_.has(near, 'minDistance') && distance < near.minDistance) return false;
+            
+            if (_.has(near, 'maxDistance') && distance > near.maxDistance) return false;
+            
+            return true;
+        }
+        
+        /**
+         * Tests a value against a $geoWithin operator: the whole geometry has to be inside the shape
+         * 
+         * @method Geometry.within
+         * 
+         * @param {*} value - The value of the document
+         * @param {Object} shapeValue - The value of the operator (see {@link Geometry.parseShape})
+         * 
+         * @returns {Boolean} Whether the value is a geometry within the shape or not
+         */
+        static within(value, shapeValue) {
+            var geometry = Geometry.parse(value);
+            var shape = Geometry.parseShape(shapeValue);
+            
+            if (_.isNil(geometry)) return false;
+            
+            if (shape.type === 'Circle') {
+                // A circle is convex, so its vertices are enough
+                return _.every(_positions(geometry), p => _distance(p, shape.center, shape.spherical) <= shape.radius);
+            }
+            
+            var polygons = _polygons(shape);
+            
+            if (!_.every(_positions(geometry), p => _.some(polygons, polygon => _inPolygon(p, polygon)))) return false;
+            
+            // No edge can go out of the shape
+            var edges = _segments(shape);
+            
+            return !_.some(_segments(geometry), segment => _.some(edges, edge => _crosses(segment, edge)));
+        }
+        
+        /**
+         * Tests a value against a $geoIntersects operator: the geometries share at least one point
+         * 
+         * @method Geometry.intersects
+         * 
+         * @param {*} value - The value of the document
+         * @param {Object} shapeValue - The value of the operator ({ $geometry: <GeoJSON> })
+         * 
+         * @returns {Boolean} Whether the value is a geometry intersecting the other one or not
+         */
+        static intersects(value, shapeValue) {
+            var geometry = Geometry.parse(value);
+            var other = _parseGeometry(shapeValue);
+            
+            if (_.isNil(geometry)) return false;
+            
+            var segments = _segments(geometry),
+                otherSegments = _segments(other);
+            
+            if (_.some(segments, segment => _.some(otherSegments, otherSegment => _intersects(segment, otherSegment)))) return true;
+            
+            var touches = function(a, b) {
+                var bSegments = _segments(b),
+                    bPolygons = _polygons(b),
+                    bPositions = _positions(b);
+                
+                return _.some(_positions(a), p => {
+                    if (_.some(bPositions, q => p[0] === q[0] && p[1] === q[1])) return true;
+                    
+                    if (_.some(bSegments, segment => _onSegment(p, segment[0], segment[1]))) return true;
+                    
+                    return _.some(bPolygons, polygon => _inPolygon(p, polygon));
+                });
+            };
+            
+            return touches(geometry, other) || touches(other, geometry);
+        }
+        
+        /**
+         * Obtains the cell (a geohash) containing a geometry. The cells are nested, so the cell of a point is
+         * within the cells of all its prefixes.
+         * 
+         * @method Geometry.cell
+         * 
+         * @param {Object} geometry - The geometry, as parsed by {@link Geometry.parse}
+         * @param {Array} bounds - The region of the coordinates ([minX, minY, maxX, maxY])
+         * @param {Number} precision - The number of characters of the cell of a point
+         * 
+         * @returns {String} The cell of the geometry (shorter as the geometry grows)
+         */
+        static cell(geometry, bounds, precision) {
+            var box = Geometry.bbox(geometry);
+            var low = _encode([box[0], box[1]], bounds, precision),
+                high = _encode([box[2], box[3]], bounds, precision);
+            
+            var i = 0;
+            while (i < precision && low.charAt(i) === high.charAt(i)) i++;
+            
+            return low.substr(0, i);
+        }
+        
+        /**
+         * Obtains some cells covering a region
+         * 
+         * @method Geometry.cover
+         * 
+         * @param {Array} box - The region to cover ([minX, minY, maxX, maxY])
+         * @param {Array} bounds - The region of the coordinates ([minX, minY, maxX, maxY])
+         * @param {Number} precision - The max length of the cells
+         * @param {Number} [maxCells=16] - The max number of cells
+         * 
+         * @returns {Array} The cells, sorted
+         */
+        static cover(box, bounds, precision, maxCells = 16) {
+            var done = [];
+            var partial = [''];
+            
+            for (let level = 0; level < precision && partial.length > 0; level++) {
+                let covered = [];
+                let refined = [];
+                
+                for (let i = 0; i < partial.length; i++) {
+                    for (let j = 0; j < BASE32.length; j++) {
+                        let cell = partial[i] + BASE32.charAt(j);
+                        let cellBox = _decode(cell, bounds);
+                        
+                        if (!_overlaps(cellBox, box)) continue;
+                        
+                        if (_contains(box, cellBox)) {
+                            covered.push(cell);
+                        } else {
+                            refined.push(cell);
+                        }
+                    }
+                }
+                
+                // Keep the previous level when the new one has too many cells
+                if (done.length + covered.length + refined.length > maxCells) break;
+                
+                done = done.concat(covered);
+                partial = refined;
+            }
+            
+            return done.concat(partial).sort();
+        }
+    }
+    
+    // Meters (as MongoDB does)
+    Geometry.EARTH_RADIUS = 6378100;
+    
+    var BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+    
+    var _isPosition = function(value) {
+        return _.isArray(value) && value.length >= 2 && _.isFinite(value[0]) && _.isFinite(value[1]);
+    };
+    
+    var _position = function(value) {
+        return [value[0], value[1]];
+    };
+    
+    var _isRing = function(ring) {
+        if (!_.isArray(ring) || ring.length < 4 || !_.every(ring, _isPosition)) return false;
+        
+        var first = ring[0],
+            last = ring[ring.length - 1];
+        
+        return first[0] === last[0] && first[1] === last[1];
+    };
+    
+    /**
+     * Validates the coordinates of a GeoJSON geometry
+     * 
+     * @method _parseCoordinates
+     * @private
+     * 
+     * @param {String} type - The type of the geometry
+     * @param {Array} coordinates - The coordinates of the geometry
+     * 
+     * @returns {Array} The coordinates, or null if they are not valid
+     */
+    var _parseCoordinates = function(type, coordinates) {
+        var valid = false;
+        var isLine = line => _.isArray(line) && line.length >= 2 && _.every(line, _isPosition);
+        var isPolygon = polygon => _.isArray(polygon) && polygon.length >= 1 && _.every(polygon, _isRing);
+        
+        switch (type) {
+            case 'Point':
+                valid = _isPosition(coordinates);
+                
+                break;
+            case 'LineString':
+                valid = isLine(coordinates);
+                
+                break;
+            case 'Polygon':
+                valid = isPolygon(coordinates);
+                
+                break;
+            case 'MultiPoint':
+                valid = _.isArray(coordinates) && coordinates.length > 0 && _.every(coordinates, _isPosition);
+                
+                break;
+            case 'MultiLineString':
+                valid = _.isArray(coordinates) && coordinates.length > 0 && _.every(coordinates, isLine);
+                
+                break;
+            case 'MultiPolygon':
+                valid = _.isArray(coordinates) && coordinates.length > 0 && _.every(coordinates, isPolygon);
+                
+                break;
+        }
+        
+        return valid ? coordinates : null;
+    };
+    
+    var _parseGeometry = function(value) {
+        var geometry = _.isPlainObject(value) ? Geometry.parse(value.$geometry) : null;
+        
+        if (_.isNil(geometry)) logger.throw("Invalid $geometry in the query: " + JSON.stringify(value));
+        
+        return geometry;
+    };
+    
+    // All the positions of a geometry
+    var _positions = function(geometry) {
+        switch (geometry.type) {
+            case 'Point':
+                return [geometry.coordinates];
+            case 'LineString':
+            case 'MultiPoint':
+                return geometry.coordinates;
+            case 'Polygon':
+            case 'MultiLineString':
+                return _.flatten(geometry.coordinates);
+            case 'MultiPolygon':
+                return _.flattenDepth(geometry.coordinates, 2);
+        }
+        
+        return [];
+    };
+    
+    // The edges of the lines and the rings of a geometry
+    var _segments = function(geometry) {
+        var lines = [];
+        
+        switch (geometry.type) {
+            case 'LineString':
+                lines = [geometry.coordinates];
+                
+                break;
+            case 'Polygon':
+            case 'MultiLineString':
+                lines = geometry.coordinates;
+                
+                break;
+            case 'MultiPolygon':
+                lines = _.flatten(geometry.coordinates);
+                
+                break;
+        }
+        
+        var segments = [];
+        
+        for (let i = 0; i < lines.length; i++) {
+            for (let j = 1; j < lines[i].length; j++) {
+                segments.push([lines[i][j - 1], lines[i][j]]);
+            }
+        }
+        
+        return segments;
+    };
+    
+    var _polygons = function(geometry) {
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        
+        return [];
+    };
+    
+    // Sign of the turn from a-b to a-c
+    var _orientation = function(a, b, c) {
+        var value = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+        
+        return value > 0 ? 1 : (value < 0 ? -1 : 0);
+    };
+    
+    var _onSegment = function(p, a, b) {
+        return _orientation(a, b, p) === 0 &&
+            p[0] >= Math.min(a[0], b[0]) && p[0] <= Math.max(a[0], b[0]) &&
+            p[1] >= Math.min(a[1], b[1]) && p[1] <= Math.max(a[1], b[1]);
+    };
+    
+    // The segments share some point
+    var _intersects = function(s1, s2) {
+        var o1 = _orientation(s1[0], s1[1], s2[0]),
+            o2 = _orientation(s1[0], s1[1], s2[1]),
+            o3 = _orientation(s2[0], s2[1], s1[0]),
+            o4 = _orientation(s2[0], s2[1], s1[1]);
+        
+        if (o1 !== o2 && o3 !== o4) return true;
+        
+        return _onSegment(s2[0], s1[0], s1[1]) || _onSegment(s2[1], s1[0], s1[1]) ||
+            _onSegment(s1[0], s2[0], s2[1]) || _onSegment(s1[1], s2[0], s2[1]);
+    };
+    
+    // The segments cross each other, out of their ends
+    var _crosses = function(s1, s2) {
+        var o1 = _orientation(s1[0], s1[1], s2[0]),
+            o2 = _orientation(s1[0], s1[1], s2[1]),
+            o3 = _orientation(s2[0], s2[1], s1[0]),
+            o4 = _orientation(s2[0], s2[1], s1[1]);
+        
+        return o1 * o2 < 0 && o3 * o4 < 0;
+    };
+    
+    var _inRing = function(p, ring) {
+        var inside = false;
+        
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            let a = ring[i],
+                b = ring[j];
+            
+            if (_onSegment(p, a, b)) return true;
+            
+            if ((a[1] > p[1]) !== (b[1] > p[1]) && p[0] < (b[0] - a[0]) * (p[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+                inside = !inside;
+            }
+        }
+        
+        return inside;
+    };
+    
+    // Inside the outer ring (or on its border), and out of the holes
+    var _inPolygon = function(p, polygon) {
+        if (!_inRing(p, polygon[0])) return false;
+        
+        for (let i = 1; i < polygon.length; i++) {
+            let hole = polygon[i];
+            
+            if (_inRing(p, hole) && !_.some(_segments({ type: 'LineString', coordinates: hole }), s => _onSegment(p, s[0], s[1]))) {
+                return false;
+            }
+        }
+        
+        return true;
+    };
+    
+    var RADIANS = Math.PI / 180;
+    
+    /**
+     * Calculates the distance between two positions
+     * 
+     * @method _distance
+     * @private
+     * 
+     * @param {Array} a - The first position
+     * @param {Array} b - The second position
+     * @param {Boolean} spherical - Whether the positions are longitudes and latitudes or not
+     * 
+     * @returns {Number} The distance: on the plane, or in radians on the sphere
+     */
+    var _distance = function(a, b, spherical) {
+        if (!spherical) return Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2));
+        
+        // Haversine formula
+        var dLat = (b[1] - a[1]) * RADIANS,
+            dLng = (b[0] - a[0]) * RADIANS;
+        
+        var h = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(a[1] * RADIANS) * Math.cos(b[1] * RADIANS) * Math.pow(Math.sin(dLng / 2), 2);
+        
+        return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(Math.max(0, 1 - h)));
+    };
+    
+    var _distanceToGeometry = function(p, geometry, spherical) {
+        if (_.some(_polygons(geometry), polygon => _inPolygon(p, polygon))) return 0;
+        
+        var distances = _.map(_positions(geometry), q => _distance(p, q, spherical));
+        
+        // The closest point of each edge
+        _.forEach(_segments(geometry), segment => {
+            let a = segment[0],
+                b = segment[1];
+            let dx = b[0] - a[0],
+                dy = b[1] - a[1];
+            let length = dx * dx + dy * dy;
+            
+            if (length === 0) return;
+            
+            let t = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / length;
+            
+            if (t > 0 && t < 1) distances.push(_distance(p, [a[0] + t * dx, a[1] + t * dy], spherical));
+        });
+        
+        return _.min(distances);
+    };
+    
+    var _circleBox = function(center, radius, spherical) {
+        if (!spherical) return [center[0] - radius, center[1] - radius, center[0] + radius, center[1] + radius];
+        
+        var dLat = radius / RADIANS;
+        var minLat = center[1] - dLat,
+            maxLat = center[1] + dLat;
+        
+        // Around the poles (or the antimeridian) every longitude may be within the circle
+        if (minLat <= -90 || maxLat >= 90) return [-180, Math.max(minLat, -90), 180, Math.min(maxLat, 90)];
+        
+        var dLng = Math.asin(Math.min(1, Math.sin(radius) / Math.cos(center[1] * RADIANS))) / RADIANS;
+        
+        if (center[0] - dLng < -180 || center[0] + dLng > 180) return [-180, minLat, 180, maxLat];
+        
+        return [center[0] - dLng, minLat, center[0] + dLng, maxLat];
+    };
+    
+    var _overlaps = function(a, b) {
+        return a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+    };
+    
+    // The box "a" contains the box "b"
+    var _contains = function(a, b) {
+        return a[0] <= b[0] && a[1] <= b[1] && a[2] >= b[2] && a[3] >= b[3];
+    };
+    
+    /**
+     * Encodes a position as a geohash: each character splits the region in 32 cells, alternating the axes
+     * 
+     * @method _encode
+     * @private
+     * 
+     * @param {Array} p - The position
+     * @param {Array} bounds - The region of the coordinates ([minX, minY, maxX, maxY])
+     * @param {Number} precision - The number of characters
+     * 
+     * @returns {String} The geohash of the position
+     */
+    var _encode = function(p, bounds, precision) {
+        var box = _.clone(bounds);
+        var hash = '';
+        var even = true;
+        var bit = 0,
+            ch = 0;
+        
+        while (hash.length < precision) {
+            let axis = even ? 0 : 1;
+            let mid = (box[axis] + box[axis + 2]) / 2;
+            
+            ch <<= 1;
+            
+            if (p[axis] >= mid) {
+                ch |= 1;
+                box[axis] = mid;
+            } else {
+                box[axis + 2] = mid;
+            }
+            
+            even = !even;
+            
+            if (++bit === 5) {
+                hash += BASE32.charAt(ch);
+                bit = 0;
+                ch = 0;
+            }
+        }
+        
+        return hash;
+    };
+    
+    // The region of a geohash
+    var _decode = function(hash, bounds) {
+        var box = _.clone(bounds);
+        var even = true;
+        
+        for (let i = 0; i < hash.length; i++) {
+            let ch = BASE32.indexOf(hash.charAt(i));
+            
+            for (let bit = 4; bit >= 0; bit--) {
+                let axis = even ? 0 : 1;
+                let mid = (box[axis] + box[axis + 2]) / 2;
+                
+                if ((ch >> bit) & 1) {
+                    box[axis] = mid;
+                } else {
+                    box[axis + 2] = mid;
+                }
+                
+                even = !even;
+            }
+        }
+        
+        return box;
+    };
+    
+    return Geometry;
+};
\ No newline at end of file
@@ -0,0 +1,862 @@
+/**
+ * @file Index.js - Secondary indexes over the documents of a collection
+ * @version 1.0.0
+ * 
+ * @author Eduardo Astolfi <eastolfi91@gmail.com>
+ * @copyright 2016 Eduardo Astolfi <eastolfi91@gmail.com>
+ * @license MIT Licensed
+ */
+
+var logger = null;
+
+module.exports = function(SelectorMatcher, TextSearch, Geometry, Logger, _) {
+
+    /**
+     * Index
+     * 
+     * @module Index
+     * @constructor
+     * @since 1.3.0
+     * 
+     * @classdesc Sorted list of keys pointing to the documents of a collection
+     * 
+     * @param {Object|Array|String} fieldOrSpec - The fields of the index ("field", ["field1", "field2"], { field1: 1, field2: -1 }). 
+     *      A text index has the "text" type on its fields ({ field1: "text", field2: "text" }), or on "$**" for indexing all the strings,
+     *      and a geospatial index has the "2dsphere" or "2d" type on its field ({ location: "2dsphere" })
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {String} [options.name] - Override the autogenerated index name
+     * @param {Boolean} [options.unique=false] - Creates an unique index
+     * @param {Boolean} [options.sparse=false] - Creates a sparse index
+     * @param {Boolean} [options.dropDups=false] - Removes the documents with duplicated keys when creating an unique index
+     * @param {Number} [options.expireAfterSeconds] - Makes a TTL index, expiring the documents some seconds after the date of the field
+     * @param {Object} [options.weights] - On a text index, the weight of each field for the scores ({ field1: 10 }, 1 by default)
+     * @param {String} [options.default_language="english"] - On a text index, the language for stemming the terms and skipping the stop words
+     * @param {String} [options.language_override="language"] - On a text index, the field of the documents with their own language
+     * @param {Number} [options.min=-180] - On a 2d index, the lower bound of the coordinates
+     * @param {Number} [options.max=180] - On a 2d index, the upper bound of the coordinates
+     * @param {Number} [options.bits=26] - On a 2d index, the precision of the locations (from 1 to 32)
+     */
+    class Index {
+        constructor(fieldOrSpec, options = {}) {
+            logger = Logger.instance;
+            
+            this.key = Index.normalizeSpec(fieldOrSpec);
+            this.name = options.name || Index.generateName(this.key);
+            this.unique = !!options.unique;
+            this.sparse = !!options.sparse;
+            this.options = _.omit(options, ['name', 'unique', 'sparse', 'dropDups', 'safe', 'background']);
+            this.expireAfterSeconds = null;
+            this.text = _.includes(_.values(this.key), 'text');
+            this.geo = _.find(_.values(this.key), type => type === '2dsphere' || type === '2d') || null;
+            
+            // The terms of a text index are keyed as MongoDB does ({ _fts: "text", _ftsx: 1 })
+            if (this.text) _initTextIndex(this, options);
+            
+            // The locations of a geospatial index are keyed by the cell containing them
+            if (this.geo) _initGeoIndex(this, options);
+            
+            this.fields = this.text ? ['_fts'] : _.keys(this.key);
+            this.directions = _.map(this.fields, field => this.key[field] === -1 ? -1 : 1);
+            
+            if (!_.isNil(options.expireAfterSeconds)) {
+                let seconds = options.expireAfterSeconds;
+                
+                if (!_.isNumber(seconds) || _.isNaN(seconds) || seconds < 0) logger.throw("expireAfterSeconds must be a non-negative number");
+                
+                if (this.fields.length > 1) logger.throw("TTL indexes are single-field indexes, compound indexes do not support TTL");
+                
+                if (this.text) logger.throw("TTL indexes are not supported on text indexes");
+                
+                if (this.geo) logger.throw("TTL indexes are not supported on geospatial indexes");
+                
+                this.expireAfterSeconds = seconds;
+            }
+            
+            this.entries = [];
+            this.multikey = false;
+        }
+        
+        /**
+         * Obtains the keys of a document for this index. An array value generates one key per element, 
+         * a text index generates one key per term and a geospatial index one key per location.
+         * 
+         * @method Index#getKeys
+         * 
+         * @param {Object} doc - The document
+         * 
+         * @returns {Array} The keys of the document (empty if it is not indexed, as in sparse indexes)
+         */
+        getKeys(doc) {
+            if (this.text) {
+                let tokens = TextSearch.tokenize(_.map(_getTexts(this, doc), 'text').join(' '), _getLanguage(this, doc));
+                
+                return _.map(_.uniq(_.map(tokens, 'term')), term => [term]);
+            }
+            
+            if (this.geo) {
+                let geometries = _getGeometries(this, doc);
+                
+                if (geometries.length > 1) this.multikey = true;
+                
+                return _.map(_.uniq(_.map(geometries, geometry => Geometry.cell(geometry, this.geoBox, this.geoPrecision))), cell => [cell]);
+            }
+            
+            var values = [];
+            var missing = 0;
+            var arrays = 0;
+            
+            for (let i = 0; i < this.fields.length; i++) {
+                let state = { array: false };
+                let fieldValues = _getPathValues(doc, this.fields[i].split('.'), state);
+                
+                if (fieldValues.length === 1 && _.isUndefined(fieldValues[0])) missing++;
+                
+                if (state.array) arrays++;
+                
+                values.push(_.map(fieldValues, _normalizeValue));
+            }
+            
+            if (arrays > 1) logger.throw(`Cannot index parallel arrays on index "${this.name}"`);
+            
+            // Once an array is indexed, the index can not be used for some range queries
+            if (arrays > 0) this.multikey = true;
+            
+            if (this.sparse && missing === this.fields.length) return [];
+            
+            // Expand the multikey values into one key for each element
+            var keys = [[]];
+            for (let i = 0; i < values.length; i++) {
+                let expanded = [];
+                
+                for (let j = 0; j < keys.length; j++) {
+                    for (let k = 0; k < values[i].length; k++) {
+                        expanded.push(keys[j].concat([values[i][k]]));
+                    }
+                }
+                
+                keys = expanded;
+            }
+            
+            return _.uniqWith(keys, (a, b) => this.compareKeys(a, b) === 0);
+        }
+        
+        /**
+         * Compares two keys of this index, following the direction of each field
+         * 
+         * @method Index#compareKeys
+         * 
+         * @param {Array} a - The first key
+         * @param {Array} b - The second key
+         * 
+         * @returns {Number} Negative if a goes first, positive if b goes first or 0 if they are equal
+         */
+        compareKeys(a, b) {
+            for (let i = 0; i < this.fields.length; i++) {
+                let x = SelectorMatcher.cmp(a[i], b[i]);
+                
+                if (x !== 0) return x < 0 ? -this.directions[i] : this.directions[i];
+            }
+            
+            return 0;
+        }
+        
+        /**
+         * Adds a document to the index
+         * 
+         * @method Index#insert
+         * 
+         * @param {Object} doc - The document
+         * @param {Array} [keys] - The keys of the document, if already calculated
+         */
+        insert(doc, keys) {
+            if (_.isNil(keys)) keys = this.getKeys(doc);
+            
+            for (let i = 0; i < keys.length; i++) {
+                let pos = _upperBound(this, keys[i]);
+                
+                this.entries.splice(pos, 0, { key: keys[i], doc: doc });
+            }
+        }
+        
+        /**
+         * Removes a document from the index
+         * 
+         * @method Index#remove
+         * 
+         * @param {Object} doc - The document, as it was when inserted
+         */
+        remove(doc) {
+            var keys = this.getKeys(doc);
+            var removed = 0;
+            
+            for (let i = 0; i < keys.length; i++) {
+                let pos = _lowerBound(this, keys[i]);
+                
+                while (pos < this.entries.length && this.compareKeys(this.entries[pos].key, keys[i]) === 0) {
+                    if (this.entries[pos].doc === doc) {
+                        this.entries.splice(pos, 1);
+                        removed++;
+                        
+                        break;
+                    }
+                    
+                    pos++;
+                }
+            }
+            
+            // The document was modified after being indexed, so look for it everywhere
+            if (removed < keys.length) {
+                this.entries = _.filter(this.entries, entry => entry.doc !== doc);
+            }
+        }
+        
+        /**
+         * Removes all the entries of the index
+         * 
+         * @method Index#clear
+         */
+        clear() {
+            this.entries = [];
+            this.multikey = false;
+        }
+        
+        /**
+         * Rebuilds the index with a list of documents
+         * 
+         * @method Index#rebuild
+         * 
+         * @param {Array} docs - The documents to be indexed
+         */
+        rebuild(docs) {
+            this.clear();
+            
+            for (let i = 0; i < docs.length; i++) {
+                this.insert(docs[i]);
+            }
+        }
+        
+        /**
+         * Looks for the keys of a document already indexed for other document, when the index is unique.
+         * A missing field is considered as null, so only one document can miss it (unless the index is sparse).
+         * 
+         * @method Index#findDuplicate
+         * 
+         * @param {Array} keys - The keys of the document
+         * @param {Object} [ignore=null] - The document being replaced, whose entries do not count as duplicates
+         * 
+         * @returns {Array} The first duplicated key, or null if there are none
+         */
+        findDuplicate(keys, ignore = null) {
+            if (!this.unique) return null;
+            
+            for (let i = 0; i < keys.length; i++) {
+                let bounds = _.map(keys[i], value => {
+                    if (_.isNil(value)) return [_point(null), _point(undefined)];
+                    
+                    return [_point(value)];
+                });
+                
+                let entries = this.scan(bounds);
+                
+                for (let j = 0; j < entries.length; j++) {
+                    if (entries[j].doc !== ignore) return keys[i];
+                }
+            }
+            
+            return null;
+        }
+        
+        /**
+         * Creates the error thrown when a document breaks this unique index
+         * 
+         * @method Index#duplicateKeyError
+         * 
+         * @param {String} namespace - The full name of the collection
+         * @param {Array} key - The duplicated key
+         * 
+         * @returns {Error} The error, with the "code" (11000), the "index" name, its "keyPattern" and the duplicated "keyValue"
+         */
+        duplicateKeyError(namespace, key) {
+            var keyValue = {};
+            
+            for (let i = 0; i < this.fields.length; i++) {
+                keyValue[this.fields[i]] = _.isUndefined(key[i]) ? null : key[i];
+            }
+            
+            var error = new Error(`E11000 duplicate key error collection: ${namespace} index: ${this.name} dup key: ${JSON.stringify(keyValue)}`);
+            
+            error.code = 11000;
+            error.index = this.name;
+            error.keyPattern = _.clone(this.key);
+            error.keyValue = keyValue;
+            
+            return error;
+        }
+        
+        /**
+         * Obtains the documents expired on a TTL index: the ones whose date (or the oldest one of an array) 
+         * is at least "expireAfterSeconds" old. Other values never expire.
+         * 
+         * @method Index#getExpired
+         * 
+         * @param {Date} now - The current date
+         * 
+         * @returns {Array} The expired documents
+         */
+        getExpired(now) {
+            if (_.isNil(this.expireAfterSeconds)) return [];
+            
+            var limit = new Date(now.getTime() - this.expireAfterSeconds * 1000);
+            var entries = this.scan([[{ min: new Date(MIN_DATE), minInclusive: true, max: limit, maxInclusive: true }]]);
+            
+            return _.uniq(_.map(entries, 'doc'));
+        }
+        
+        /**
+         * Parses a text search with the rules of a text index, so its terms can be looked up in the index
+         * 
+         * @method Index#parseSearch
+         * 
+         * @param {Object} search - The text search ({ $search, $language })
+         * 
+         * @returns {Object} The search parsed ({ terms, negatedTerms, phrases, negatedPhrases }), as it is indexed
+         */
+        parseSearch(search) {
+            return TextSearch.parseSearch(search.$search, search.$language || this.options.default_language);
+        }
+        
+        /**
+         * Scores a document of a text index against a text search
+         * 
+         * @method Index#textScore
+         * 
+         * @param {Object} doc - The document
+         * @param {Object} search - The text search ({ $search, $language, $caseSensitive, $diacriticSensitive })
+         * 
+         * @returns {Number} The score of the document, or 0 if it does not match the search
+         */
+        textScore(doc, search) {
+            if (!this.text) return 0;
+            
+            var options = {
+                caseSensitive: !!search.$caseSensitive,
+                diacriticSensitive: !!search.$diacriticSensitive
+            };
+            
+            var query = TextSearch.parseSearch(search.$search, search.$language || this.options.default_language, options);
+            
+            return TextSearch.score(_getTexts(this, doc), query, _getLanguage(this, doc), options);
+        }
+        
+        /**
+         * Obtains the bounds of a geospatial query on a geospatial index: the cells that may contain its matches
+         * 
+         * @method Index#geoBounds
+         * 
+         * @param {Object} operators - The operators of the field ({ $near, $maxDistance }, { $geoWithin }, { $geoIntersects })
+         * 
+         * @returns {Array} The intervals of the cells, as {@link Index#scan} expects them for the field
+         */
+        geoBounds(operators) {
+            var box = Geometry.queryBox(operators);
+            
+            if (_.isNil(box)) return [{}];
+            
+            var cells = Geometry.cover(box, this.geoBox, this.geoPrecision);
+            var intervals = [];
+            var prefixes = [];
+            
+            for (let i = 0; i < cells.length; i++) {
+                // The locations within the cell, and the bigger ones containing it
+                intervals.push({ min: cells[i], minInclusive: true, max: cells[i] + '~', maxInclusive: false });
+                
+                for (let j = 0; j < cells[i].length; j++) {
+                    prefixes.push(cells[i].substr(0, j));
+                }
+            }
+            
+            intervals = intervals.concat(_.map(_.uniq(prefixes), _point));
+            
+            return _.sortBy(intervals, 'min');
+        }
+        
+        /**
+         * Calculates the distance from a $near or $nearSphere query to the closest location of a document
+         * 
+         * @method Index#geoDistance
+         * 
+         * @param {Object} doc - The document
+         * @param {Object} operators - The operators of the field ({ $near, $maxDistance })
+         * 
+         * @returns {Number} The distance, or Infinity if the document has no location
+         */
+        geoDistance(doc, operators) {
+            var near = Geometry.parseNear(operators);
+            var distances = _.map(_parseGeometries(_.get(doc, this.fields[0])), geometry => Geometry.distance(geometry, near));
+            
+            return distances.length > 0 ? _.min(distances) : Infinity;
+        }
+        
+        /**
+         * Obtains the entries of the index between two keys, in index order
+         * 
+         * @method Index#range
+         * 
+         * @param {Array} [min=null] - The inclusive lower key (from the first entry if not given)
+         * @param {Array} [max=null] - The exclusive upper key (until the last entry if not given)
+         * 
+         * @returns {Array} The entries ({ key, doc }) between the keys
+         */
+        range(min = null, max = null) {
+            var start = _.isNil(min) ? 0 : _lowerBound(this, min);
+            var end = _.isNil(max) ? this.entries.length : _lowerBound(this, max);
+            
+            return this.entries.slice(start, Math.max(start, end));
+        }
+        
+        /**
+         * Obtains the entries of the index within some bounds. Each field of the index prefix has a list of intervals
+         * ({ min, max, minInclusive, maxInclusive }, where a missing "min" or "max" means an unbounded interval),
+         * and every field but the last one must be bounded by points (min === max).
+         * 
+         * @method Index#scan
+         * 
+         * @param {Array} bounds - The list of intervals for each field of the index prefix
+         * 
+         * @returns {Array} The entries ({ key, doc }) within the bounds, in index order
+         */
+        scan(bounds) {
+            var entries = [];
+            var combinations = [[]];
+            
+            // Every combination of intervals is a contiguous range of entries
+            for (let i = 0; i < bounds.length; i++) {
+                let expanded = [];
+                
+                for (let j = 0; j < combinations.length; j++) {
+                    for (let k = 0; k < bounds[i].length; k++) {
+                        expanded.push(combinations[j].concat([bounds[i][k]]));
+                    }
+                }
+                
+                combinations = expanded;
+            }
+            
+            for (let i = 0; i < combinations.length; i++) {
+                let combination = combinations[i];
+                
+                let start = _search(this, entry => _compareToBounds(this, entry.key, combination) >= 0);
+                let end = _search(this, entry => _compareToBounds(this, entry.key, combination) > 0);
+                
+                for (let j = start; j < end; j++) {
+                    entries.push(this.entries[j]);
+                }
+            }
+            
+            return entries;
+        }
+        
+        /**
+         * Obtains the information of the index, as MongoDB lists it
+         * 
+         * @method Index#info
+         * 
+         * @returns {Object} The index information
+         */
+        info() {
+            var info = {
+                v: 1,
+                key: _.clone(this.key),
+                name: this.name
+            };
+            
+            if (this.unique) info.unique = true;
+            if (this.sparse) info.sparse = true;
+            
+            return _.assign(info, this.options);
+        }
+        
+        /**
+         * Normalizes an index specification into an object ({ field1: 1, field2: -1 })
+         * 
+         * @method Index.normalizeSpec
+         * 
+         * @param {Object|Array|String} fieldOrSpec - The fields of the index
+         * 
+         * @returns {Object} The specification of the index
+         */
+        static normalizeSpec(fieldOrSpec) {
+            var spec = {};
+            
+            if (_.isString(fieldOrSpec)) {
+                spec[fieldOrSpec] = 1;
+            } else if (_.isArray(fieldOrSpec)) {
+                for (let i = 0; i < fieldOrSpec.length; i++) {
+                    let field = fieldOrSpec[i];
+                    
+                    if (_.isString(field)) {
+                        spec[field] = 1;
+                    } else if (_.isArray(field)) {
+                        spec[field[0]] = _.isNil(field[1]) ? 1 : field[1];
+                    } else if (_.isPlainObject(field)) {
+                        _.assign(spec, field);
+                    }
+                }
+            } else if (_.isPlainObject(fieldOrSpec)) {
+                _.assign(spec, fieldOrSpec);
+            }
+            
+            if (_.isEmpty(spec)) logger.throw("The index specification must contain at least one field");
+            
+            for (let field in spec) {
+                if (!_.includes([1, -1, 'text', '2dsphere', '2d'], spec[field])) {
+                    logger.throw(`Invalid index direction for the field "${field}"`);
+                }
+            }
+            
+            return spec;
+        }
+        
+        /**
+         * Generates the default name of an index ("field1_1_field2_-1")
+         * 
+         * @method Index.generateName
+         * 
+         * @param {Object} spec - The specification of the index
+         * 
+         * @returns {String} The name of the index
+         */
+        static generateName(spec) {
+            var parts = [];
+            
+            for (let field in spec) {
+                parts.push(field);
+                parts.push(spec[field]);
+            }
+            
+            return parts.join('_');
+        }
+    }
+    
+    /**
+     * Obtains the values of a path, traversing the arrays found on the way
+     * 
+     * @method _getPathValues
+     * @private
+     * 
+     * @param {Object} value - The object where we are looking
+     * @param {Array} parts - The fields of the path
+     * @param {Object} state - Flags if an array has been traversed ({ array: true })
+     * 
+     * @returns {Array} The values found ([undefined] if the path does not exist)
+     */
+    var _getPathValues = function(value, parts, state) {
+        if (_.isArray(value)) state.array = true;
+        
+        if (parts.length === 0) {
+            if (_.isArray(value)) return value.length > 0 ? _.uniqWith(value, _sameValue) : [undefined];
+            
+            return [value];
+        }
+        
+        if (_.isArray(value)) {
+            // "arrayField.<numeric_index>"
+            if (/^[0-9]+$/.test(parts[0])) return _getPathValues(value[_.toNumber(parts[0])], parts.slice(1), state);
+            
+            var values = [];
+            for (let i = 0; i < value.length; i++) {
+                if (_.isPlainObject(value[i])) {
+                    values = values.concat(_getPathValues(value[i], parts, state));
+                }
+            }
+            
+            return values.length > 0 ? values : [undefined];
+        }
+        
+        if (!_.isObject(value)) return [undefined];
+        
+        return _getPathValues(value[parts[0]], parts.slice(1), state);
+    };
+    
+    /**
+     * Sets up a text index: its weights, languages and key
+     * 
+     * @method _initTextIndex
+     * @private
+     * 
+     * @param {Index} index - The index
+     * @param {Object} options - The options of the index
+     */
+    var _initTextIndex = function(index, options) {
+        var weights = {};
+        
+        for (let field in index.key) {
+            if (index.key[field] !== 'text') logger.throw("Compound text indexes are not supported");
+            
+            weights[field] = 1;
+        }
+        
+        _.forEach(options.weights, (weight, field) => {
+            if (!_.isNumber(weight) || weight < 1 || weight > 99999) logger.throw(`Invalid weight for the field "${field}"`);
+            
+            weights[field] = weight;
+        });
+        
+        var language = options.default_language || 'english';
+        
+        if (!TextSearch.hasLanguage(language)) logger.throw(`Unsupported language: "${language}"`);
+        
+        index.key = { _fts: 'text', _ftsx: 1 };
+        
+        _.assign(index.options, {
+            weights: weights,
+            default_language: language,
+            language_override: options.language_override || 'language',
+            textIndexVersion: 3
+        });
+    };
+    
+    /**
+     * Sets up a geospatial index: the region of its coordinates and the precision of its cells
+     * 
+     * @method _initGeoIndex
+     * @private
+     * 
+     * @param {Index} index - The index
+     * @param {Object} options - The options of the index
+     */
+    var _initGeoIndex = function(index, options) {
+        if (_.keys(index.key).length > 1) logger.throw("Compound geospatial indexes are not supported");
+        
+        var bits = _.isNil(options.bits) ? 26 : options.bits;
+        
+        if (!_.isInteger(bits) || bits < 1 || bits > 32) logger.throw("bits for a geospatial index must be between 1 and 32");
+        
+        index.geoPrecision = Math.ceil(bits * 2 / 5);
+        
+        if (index.geo === '2dsphere') {
+            index.geoBox = [-180, -90, 180, 90];
+            
+            index.options['2dsphereIndexVersion'] = 3;
+        } else {
+            let min = _.isNil(options.min) ? -180 : options.min,
+                max = _.isNil(options.max) ? 180 : options.max;
+            
+            if (!_.isNumber(min) || !_.isNumber(max) || min >= max) logger.throw("max must be greater than min for a 2d index");
+            
+            index.geoBox = [min, min, max, max];
+        }
+    };
+    
+    // A location, or a list of them
+    var _parseGeometries = function(value) {
+        if (_.isNil(value)) return [];
+        
+        var geometry = Geometry.parse(value);
+        
+        if (!_.isNil(geometry)) return [geometry];
+        
+        return _.isArray(value) ? _.map(value, Geometry.parse) : [null];
+    };
+    
+    /**
+     * Obtains the locations of a document indexed by a geospatial index
+     * 
+     * @method _getGeometries
+     * @private
+     * 
+     * @param {Index} index - The geospatial index
+     * @param {Object} doc - The document
+     * 
+     * @returns {Array} The locations, as GeoJSON (empty if the document has none)
+     */
+    var _getGeometries = function(index, doc) {
+        var box = index.geoBox;
+        var geometries = _parseGeometries(_.get(doc, index.fields[0]));
+        
+        for (let i = 0; i < geometries.length; i++) {
+            let geometry = geometries[i];
+            
+            if (_.isNil(geometry)) logger.throw(`Can't extract geo keys on index "${index.name}": invalid location`);
+            
+            let bbox = Geometry.bbox(geometry);
+            
+            if (bbox[0] < box[0] || bbox[1] < box[1] || bbox[2] > box[2] || bbox[3] > box[3]) {
+                logger.throw(`Can't extract geo keys on index "${index.name}": location out of bounds`);
+            }
+        }
+        
+        return geometries;
+    };
+    
+    /**
+     * Obtains the strings of a document indexed by a text index
+     * 
+     * @method _getTexts
+     * @private
+     * 
+     * @param {Index} index - The text index
+     * @param {Object} doc - The document
+     * 
+     * @returns {Array} The strings, with the weight of their field ({ text, weight })
+     */
+    var _getTexts = function(index, doc) {
+        var weights = index.options.weights;
+        var texts = [];
+        
+        if (_.has(weights, '$**')) {
+            // The fields with its own weight keep it
+            _getStrings(doc, '', texts, path => _.has(weights, path) ? weights[path] : weights['$**']);
+        } else {
+            for (let field in weights) {
+                let values = _getPathValues(doc, field.split('.'), { array: false });
+                
+                for (let i = 0; i < values.length; i++) {
+                    if (_.isString(values[i])) texts.push({ text: values[i], weight: weights[field] });
+                }
+            }
+        }
+        
+        return texts;
+    };
+    
+    var _getStrings = function(value, path, texts, getWeight) {
+        if (_.isString(value)) {
+            texts.push({ text: value, weight: getWeight(path) });
+        } else if (_.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                _getStrings(value[i], path, texts, getWeight);
+            }
+        } else if (_.isPlainObject(value)) {
+            for (let key in value) {
+                _getStrings(value[key], path === '' ? key : `${path}.${key}`, texts, getWeight);
+            }
+        }
+    };
+    
+    // The language of the document, unless it is not supported
+    var _getLanguage = function(index, doc) {
+        var language = _.get(doc, index.options.language_override);
+        
+        return TextSearch.hasLanguage(language) ? language : index.options.default_language;
+    };
+    
+    // SelectorMatcher.equal does not tell the dates apart
+    var _sameValue = function(a, b) {
+        if (_.isDate(a) || _.isDate(b)) return _.isDate(a) && _.isDate(b) && a.getTime() === b.getTime();
+        
+        return SelectorMatcher.equal(a, b);
+    };
+    
+    /**
+     * Normalizes a value before indexing it, so it compares as the selectors do
+     * 
+     * @method _normalizeValue
+     * @private
+     * 
+     * @param {*} value - The value to be indexed
+     * 
+     * @returns {*} The value to be stored in the index
+     */
+    var _normalizeValue = function(value) {
+        // The selectors match the ObjectIds by their string value
+        if (!_.isNil(value) && value._bsontype === 'ObjectId') return value.toString();
+        
+        return value;
+    };
+    
+    /**
+     * Checks where a key is placed in the index regarding a combination of intervals
+     * 
+     * @method _compareToBounds
+     * @private
+     * 
+     * @param {Index} index - The index
+     * @param {Array} key - The key of an entry
+     * @param {Array} intervals - One interval for each field of the index prefix
+     * 
+     * @returns {Number} Negative if the key goes before the intervals, positive if it goes after or 0 if it is within
+     */
+    var _compareToBounds = function(index, key, intervals) {
+        for (let i = 0; i < intervals.length; i++) {
+            let interval = intervals[i];
+            let direction = index.directions[i];
+            
+            if (_.has(interval, 'min')) {
+                let x = SelectorMatcher.cmp(key[i], interval.min);
+                
+                if (x < 0 || (x === 0 && !interval.minInclusive)) return -direction;
+            }
+            
+            if (_.has(interval, 'max')) {
+                let x = SelectorMatcher.cmp(key[i], interval.max);
+                
+                if (x > 0 || (x === 0 && !interval.maxInclusive)) return direction;
+            }
+        }
+        
+        return 0;
+    };
+    
+    // The oldest valid date (dates are sorted by time)
+    var MIN_DATE = -8640000000000000;
+    
+    var _point = function(value) {
+        return { min: value, minInclusive: true, max: value, maxInclusive: true };
+    };
+    
+    // First position of the index where the predicate is true (it must be false for all the previous entries)
+    var _search = function(index, predicate) {
+        var low = 0,
+            high = index.entries.length;
+        
+        while (low < high) {
+            let mid = (low + high) >>> 1;
+            
+            if (predicate(index.entries[mid])) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        
+        return low;
+    };
+    
+    var _lowerBound = function(index, key) {
+        var low = 0,
+            high = index.entries.length;
+        
+        while (low < high) {
+            let mid = (low + high) >>> 1;
+            
+            if (index.compareKeys(index.entries[mid].key, key) < 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return low;
+    };
+    
+    var _upperBound = function(index, key) {
+        var low = 0,
+            high = index.entries.length;
+        
+        while (low < high) {
+            let mid = (low + high) >>> 1;
+            
+            if (index.compareKeys(index.entries[mid].key, key) <= 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return low;
+    };
+    
+    return Index;
+};
\ No newline at end of file
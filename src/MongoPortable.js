@@ -21,6 +21,13 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * @classdesc Portable database with persistence and MongoDB-like API
      * 
      * @param {string} databaseName - Name of the database.
+     * @param {Object} [options] - Additional options
+     * 
+     * @param {Object} [options.log] - Options of the logger
+     * @param {Number} [options.ttlMonitorSleepSecs=60] - Seconds between each removal of the expired documents 
+     *      of the TTL indexes (0 disables it). The monitor only runs while any collection has a TTL index
+     * @param {Boolean} [options.javascriptEnabled=true] - Allows the queries to run JavaScript code ($where). 
+     *      Disable it when the queries may come from untrusted sources
      */
     class MongoPortable extends EventEmitter {
         constructor(databaseName, options = {}) {
@@ -52,8 +59,13 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
             }
         
             this.databaseName = databaseName;
+            this.javascriptEnabled = options.javascriptEnabled !== false;
         
             MongoPortable.connections[databaseName] = new ObjectId();
+            
+            // The TTL monitor is started with the first TTL index (see MongoPortable#_checkTTLMonitor)
+            this._ttlMonitor = null;
+            this._ttlMonitorSleepSecs = _.isNil(options.ttlMonitorSleepSecs) ? 60 : options.ttlMonitorSleepSecs;
         }
     }
     
@@ -284,7 +296,7 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
     
             existing = true;
         } else {
-            self._collections[collectionName] = new Collection(self, collectionName, self.pkFactory, options);
+            self._collections[collectionName] = new Collection(self, collectionName, options);
             /**
              * "createCollection" event.
              *
@@ -350,6 +362,8 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
             
             delete self._collections[collectionName];
             
+            self._checkTTLMonitor();
+            
             if (callback && _.isFunction(callback)) callback();
             
             return true;
@@ -448,10 +462,12 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * 
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
      * 
-     * @todo Implement
+     * @returns {String} The name of the index
+     * 
+     * {@link Collection#createIndex}
      */
     MongoPortable.prototype.createIndex = function(collectionName, fieldOrSpec, options, callback) {
-        logger.throw('Not implemented yet!');
+        return this.collection(collectionName).createIndex(fieldOrSpec, options, callback);
     };
     
     /**
@@ -482,10 +498,12 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * 
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
      * 
-     * @todo Implement
+     * @returns {String} The name of the index
+     * 
+     * {@link Collection#ensureIndex}
      */
     MongoPortable.prototype.ensureIndex = function(collectionName, fieldOrSpec, options, callback) {
-        logger.throw('Not implemented yet!');
+        return this.collection(collectionName).ensureIndex(fieldOrSpec, options, callback);
     };
     
     /**
@@ -497,10 +515,22 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * @param {String} indexName - Name of the index to drop.
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
      * 
-     * @todo Implement
+     * @returns {Boolean} "true" if dropped successfully
+     * 
+     * {@link Collection#dropIndex}
      */
     MongoPortable.prototype.dropIndex = function(collectionName, indexName, callback) {
-        logger.throw('Not implemented yet!');
+        if (this._collections[collectionName]) {
+            return this._collections[collectionName].dropIndex(indexName, callback);
+        } else {
+            let msg = "No collection found";
+            
+            logger.error(msg);
+            
+            if (callback && _.isFunction(callback)) callback(new Error(msg), false);
+            
+            return false;
+        }
     };
     
     /**
@@ -512,10 +542,22 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * @param {String} collectionName - The name of the collection to reindex
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
      * 
-     * @todo Implement
+     * @returns {Boolean} "true" if rebuilt successfully
+     * 
+     * {@link Collection#reIndex}
      **/
     MongoPortable.prototype.reIndex = function(collectionName, callback) {
-        logger.throw('Not implemented yet!');
+        if (this._collections[collectionName]) {
+            return this._collections[collectionName].reIndex(callback);
+        } else {
+            let msg = "No collection found";
+            
+            logger.error(msg);
+            
+            if (callback && _.isFunction(callback)) callback(new Error(msg), false);
+            
+            return false;
+        }
     };
     
     /**
@@ -526,15 +568,32 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
      * @param {String} collectionName - The name of the collection.
      * @param {Object} [options] Additional options during update.
      * 
-     * @param {Boolean} [full=false] - Returns the full raw index information.
-     * @param {String} [readPreference] - The preferred read preference ((Server.PRIMARY, Server.PRIMARY_PREFERRED, Server.SECONDARY, Server.SECONDARY_PREFERRED, Server.NEAREST).
+     * @param {Boolean} [options.full=false] - Returns the full raw index information.
+     * @param {String} [options.readPreference] - The preferred read preference ((Server.PRIMARY, Server.PRIMARY_PREFERRED, Server.SECONDARY, Server.SECONDARY_PREFERRED, Server.NEAREST).
      * 
      * @param {Function} [callback=null] - Callback function to be called at the end with the results
      * 
-     * @todo Implement
+     * @returns {Object|Array} The fields of each index by its name, or the full information if [options.full=true]
+     * 
+     * {@link Collection#indexInformation}
      */
     MongoPortable.prototype.indexInformation = function(collectionName, options, callback) {
-        logger.throw('Not implemented yet!');
+        if (_.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+        
+        if (this._collections[collectionName]) {
+            return this._collections[collectionName].indexInformation(options, callback);
+        } else {
+            let msg = "No collection found";
+            
+            logger.error(msg);
+            
+            if (callback && _.isFunction(callback)) callback(new Error(msg), null);
+            
+            return null;
+        }
     };
     
     /**
@@ -557,6 +616,8 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
             
             delete MongoPortable.connections[this.databaseName];
             
+            _stopTTLMonitor(this);
+            
             this._collections = [];
             this._stores = [];
             
@@ -625,6 +686,64 @@ module.exports = function(Collection, ObjectId, EventEmitter, Logger, _) {
         return true;
     };
     
+    /**
+     * Starts the TTL monitor when a collection has a TTL index (one created with "expireAfterSeconds"), 
+     * and stops it when there are no TTL indexes left. Called by the collections when their indexes change.
+     * 
+     * @method MongoPortable#_checkTTLMonitor
+     * @private
+     */
+    MongoPortable.prototype._checkTTLMonitor = function() {
+        var hasTTLIndexes = _.some(this._collections, collection => _.some(collection._indexes, index => !_.isNil(index.expireAfterSeconds)));
+        
+        if (hasTTLIndexes && _.isNil(this._ttlMonitor)) {
+            _startTTLMonitor(this, this._ttlMonitorSleepSecs);
+        } else if (!hasTTLIndexes) {
+            _stopTTLMonitor(this);
+        }
+    };
+    
+    /**
+     * Starts removing periodically the expired documents of the TTL indexes of every collection
+     * 
+     * @method MongoPortable#_startTTLMonitor
+     * @private
+     * 
+     * @param {MongoPortable} db - The database
+     * @param {Number} seconds - The seconds between each removal
+     */
+    var _startTTLMonitor = function(db, seconds) {
+        if (!_.isNumber(seconds) || !(seconds > 0)) return;
+        
+        db._ttlMonitor = setInterval(() => {
+            _.forEach(db._collections, collection => {
+                try {
+                    collection.expire();
+                } catch (error) {
+                    logger.error(error);
+                }
+            });
+        }, seconds * 1000);
+        
+        // The monitor must not keep a Node.js process alive
+        if (_.isFunction(db._ttlMonitor.unref)) db._ttlMonitor.unref();
+    };
+    
+    /**
+     * Stops the removal of the expired documents, if running
+     * 
+     * @method MongoPortable#_stopTTLMonitor
+     * @private
+     * 
+     * @param {MongoPortable} db - The database
+     */
+    var _stopTTLMonitor = function(db) {
+        if (_.isNil(db._ttlMonitor)) return;
+        
+        clearInterval(db._ttlMonitor);
+        db._ttlMonitor = null;
+    };
+    
     if (!Object.prototype.renameProperty) {
         /**
          * Renames an object property.
@@ -1,12 +1,13 @@
 var logger = null;
 
-module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
+module.exports = function(ObjectId, SelectorMatcher, Expression, Logger, _) {
     
     class Selector {
-        constructor(selector, type = Selector.MATCH_SELECTOR) {
+        constructor(selector, type = Selector.MATCH_SELECTOR, options = {}) {
             logger = Logger.instance;
             
             this.selector_compiled = null;
+            this.variables = options.variables || {};
     		
     		if (type === Selector.MATCH_SELECTOR) {
     			this.selector_compiled = this.compile(selector);
@@ -60,14 +61,14 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
     			};
     			
     			//_initObject.call(matcher, selector);
-    			this.clauses = _buildSelector(selector);
+    			this.clauses = _buildSelector(selector, this.variables);
     			
     			logger.debug('clauses created: ' + JSON.stringify(this.clauses));
     		} else {
     			logger.debug('selector -> { field: value }');
     			
     			//_initObject.call(matcher, selector);
-    			this.clauses = _buildSelector(selector);
+    			this.clauses = _buildSelector(selector, this.variables);
     			
     			logger.debug('clauses created: ' + JSON.stringify(this.clauses));
     		}
@@ -152,7 +153,13 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
                 for (var key in spec) {
                     if (_.hasIn(spec, key)) {
                         _spec.push(key);
-                        _spec.push(spec[key]);
+                        
+                        // { score: { $meta: "textScore" } } sorts by the projected score, the highest first
+                        if (_isMeta(spec[key])) {
+                            _spec.push(-1);
+                        } else {
+                            _spec.push(spec[key]);
+                        }
                     }
                 }
                 
@@ -275,14 +282,20 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
             } else if (_.isPlainObject(spec)) {
                 // TODO Nested path -> .find({}, { "field1.field12": "asc" })
                 var _spec = [];
+                var metas = {};
                 for (var key in spec) {
                     if (_.hasIn(spec, key)) {
-                        _spec.push(key);
-                        _spec.push(spec[key]);
+                        // { score: { $meta: "textScore" } } neither includes nor excludes fields
+                        if (_isMeta(spec[key])) {
+                            metas[key] = { $meta: spec[key].$meta };
+                        } else {
+                            _spec.push(key);
+                            _spec.push(spec[key]);
+                        }
                     }
                 }
                 
-                return this.compileFields(_spec, aggregation);
+                return _.assign(this.compileFields(_spec, aggregation), metas);
             } else {
                 throw Error("Bad fields specification: ", JSON.stringify(spec));
             }
@@ -307,7 +320,11 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
         }
     }
     
-    var _buildSelector = function(selector) {
+    var _isMeta = function(value) {
+        return _.isPlainObject(value) && _.has(value, '$meta');
+    };
+    
+    var _buildSelector = function(selector, variables = {}) {
     	logger.debug('Called: _buildSelector');
         
         var clauses = [];
@@ -318,7 +335,7 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
             if (key.charAt(0) === '$') {
                 logger.debug('selector -> operator => { $and: [{...}, {...}] }');
                 
-                clauses.push(_buildDocumentSelector(key, value));
+                clauses.push(_buildDocumentSelector(key, value, variables));
             } else {
                 logger.debug('selector -> plain => { field1: <value> }');
                 
@@ -329,7 +346,7 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
         return clauses;
     };
     
-    var _buildDocumentSelector = function(key, value) {
+    var _buildDocumentSelector = function(key, value, variables) {
         var clause = {};
         
         switch (key) {
@@ -346,21 +363,68 @@ module.exports = function(ObjectId, SelectorMatcher, Logger, _) {
                 
                 clause.value = [];
                 for (let i = 0; i < value.length; i++) {
-                    clause.value = _.union(clause.value, _buildSelector(value[i]));
+                    clause.value = _.union(clause.value, _buildSelector(value[i], variables));
                 }
                 
+                break;
+            case '$text':
+                // The text index is set by the cursor
+                if (!_.isPlainObject(value) || !_.isString(value.$search)) throw Error("$text needs a $search string");
+                
+                clause.kind = 'text';
+                clause.value = value;
+                
+                break;
+            case '$where':
+                clause.kind = 'where';
+                clause.value = _compileWhere(value);
+                
+                break;
+            case '$expr':
+                // The variables are bound when compiling, as the clauses may be tested by other matchers ($and, $or...)
+                clause.kind = 'expr';
+                clause.value = doc => Expression.isTrue(Expression.evaluate(value, doc, variables));
+                
                 break;
             default:
                 throw Error("Unrecogized key in selector: ", key);
         }
         
-        // TODO cases: $where, $elemMatch
+        // TODO cases: $elemMatch
         
         logger.debug('clause created: ' + JSON.stringify(clause));
         
         return clause;
     };
     
+    // Globals hidden from the $where strings (as parameters left undefined)
+    var SHADOWED_GLOBALS = [
+        'window', 'self', 'global', 'globalThis', 'process', 'require', 'module', 'exports', 'document', 
+        'setTimeout', 'setInterval', 'setImmediate', 'fetch', 'XMLHttpRequest', 'importScripts'
+    ];
+    
+    /**
+     * Compiles the predicate of a $where: a function, or a string with a function or an expression ("this.a > obj.b").
+     * The strings are compiled with the most dangerous globals shadowed, but this is not a sandbox: the code can 
+     * still reach the global scope. Only disabling JavaScript ("javascriptEnabled: false") protects against untrusted queries.
+     * 
+     * @method _compileWhere
+     * @private
+     * 
+     * @param {Function|String} value - The predicate
+     * 
+     * @returns {Function} The predicate compiled, to be called with "this" and "obj" as the document
+     */
+    var _compileWhere = function(value) {
+        if (_.isFunction(value)) return value;
+        
+        if (!_.isString(value)) logger.throw("$where needs a function or a string");
+        
+        if (/^\s*function\b/.test(value)) return new Function(...SHADOWED_GLOBALS, `return (${value});`)();
+        
+        return new Function('obj', ...SHADOWED_GLOBALS, `return (${value});`);
+    };
+    
     var _buildKeypathSelector = function (keypath, value) {
         logger.debug('Called: _buildKeypathSelector');
         
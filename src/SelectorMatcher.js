@@ -1,6 +1,6 @@
 var logger = null;
 
-module.exports = function(Logger, _) {
+module.exports = function(Geometry, Logger, _) {
 
     class SelectorMatcher {
     	constructor(selector) {
@@ -45,6 +45,24 @@ module.exports = function(Logger, _) {
     			    logger.debug(`clause -> operator '${clause.key}'`);
     			    
     			    _match = _testLogicalClause(clause, document, clause.key);
+    				
+    				logger.debug('clause result -> ' + _match);
+    			} else if (clause.kind === 'where') {
+    			    logger.debug('clause -> $where');
+    			    
+    			    _match = _testWhereClause(clause, document);
+    				
+    				logger.debug('clause result -> ' + _match);
+    			} else if (clause.kind === 'text') {
+    			    logger.debug(`clause -> text search "${clause.value.$search}"`);
+    			    
+    			    _match = _testTextClause(clause, document);
+    				
+    				logger.debug('clause result -> ' + _match);
+    			} else if (clause.kind === 'expr') {
+    			    logger.debug('clause -> $expr');
+    			    
+    			    _match = clause.value(document);
     		        
     				logger.debug('clause result -> ' + _match);
     			}
@@ -265,6 +283,15 @@ module.exports = function(Logger, _) {
             
             if (_.isNull(a)) return 0;
             
+            if (_.isDate(a)) return a.getTime() - b.getTime();
+            
+            if (a._bsontype === 'ObjectId') {
+                a = a.toString();
+                b = b.toString();
+                
+                return a < b ? -1 : (a === b ? 0 : 1);
+            }
+            
             if (_.isRegExp(a)) throw Error("Sorting not supported on regular expression"); // TODO
             
             // if (_.isFunction(a)) return {type: 13, order: 100, fnc: _.isFunction};
@@ -439,23 +466,25 @@ module.exports = function(Logger, _) {
     var _testObjectClause = function(clause, doc, key) {
         logger.debug('Called _testObjectClause');
         
-        var val = null;
-        
         if (key.length > 0) {
             var path = key.pop();
-            val = doc[path];
             
             logger.debug('check on field ' + path);
             
-            // TODO add _.isNumber(val) and treat it as an array
-            if (val) {
-                logger.log(val);
-                logger.debug('going deeper');
+            // "arrayField.field" matches when any of the elements matches
+            if (_.isArray(doc) && !/^[0-9]+$/.test(path)) {
+                logger.debug('going deeper on each element');
                 
-                return _testObjectClause(clause, val, key);
+                return _.some(doc, element => _testObjectClause(clause, element, key.concat(path)));
             }
+            
+            var val = _.isObject(doc) ? doc[path] : undefined;
+            
+            logger.debug('going deeper');
+            
+            return _testObjectClause(clause, val, key);
         } else {
-            logger.debug('lowest path: ' + path);
+            logger.debug('lowest path');
             
             return _testClause(clause, doc);
         }
@@ -492,6 +521,23 @@ module.exports = function(Logger, _) {
         return matches || false;
     };
     
+    var _testWhereClause = function(clause, doc) {
+        logger.debug('Called _testWhereClause');
+        
+        // The predicate works on a copy, so it can not modify the stored document
+        var _doc = _.cloneDeep(doc);
+        
+        return !!clause.value.call(_doc, _doc);
+    };
+    
+    var _testTextClause = function(clause, doc) {
+        logger.debug('Called _testTextClause');
+        
+        if (_.isNil(clause.index)) throw Error("text index required for $text query");
+        
+        return clause.index.textScore(doc, clause.value) > 0;
+    };
+    
     var _testOperatorClause = function(clause, value) {
         logger.debug('Called _testOperatorClause');
         
@@ -568,11 +614,17 @@ module.exports = function(Logger, _) {
                 logger.debug('testing operator $type');
                 
                 // $type: 1 is true for an array if any element in the array is of
-                // type 1. but an array doesn't have type array unless it contains
-                // an array..
-                // var Selector._f._type(docVal);
-                // return Selector._f._type(docVal).type === operatorValue;
-                throw Error("$type unimplemented");
+                // type 1, and $type: "array" is true for the array itself (the elements 
+                // and the array are tested separately by SelectorMatcher.matches_plus)
+                var types = _.isArray(operatorValue) ? operatorValue : [operatorValue];
+                
+                for (let i = 0; i < types.length; i++) {
+                    let bsonType = BsonTypes.getByType(types[i]);
+                    
+                    if (!_.isUndefined(docVal) && _.isFunction(bsonType.isType) && bsonType.isType(docVal)) return true;
+                }
+                
+                return false;
             // Evaluation Query Operators
             case '$mod':
                 logger.debug('testing operator $mod');
@@ -618,15 +670,39 @@ module.exports = function(Logger, _) {
             case '$text':
                 logger.debug('testing operator $text');
                 
-                // TODO implement
-                throw Error("$text unimplemented");
+                // $text is handled in the 'text' kind treatment
+                throw Error("$text is only allowed at the top level of the selector");
             case '$where':
                 logger.debug('testing operator $where');
                 
-                // TODO implement
-                throw Error("$where unimplemented");
+                // $where is handled in the 'where' kind treatment
+                throw Error("$where is only allowed at the top level of the selector");
+            case '$expr':
+                logger.debug('testing operator $expr');
+                
+                // $expr is handled in the 'expr' kind treatment
+                throw Error("$expr is only allowed at the top level of the selector");
             // Geospatial Query Operators
-            // TODO -> in operator kind
+            case '$near':
+            case '$nearSphere':
+                logger.debug('testing operator ' + key);
+                
+                return Geometry.near(docVal, clauseValue);
+            case '$maxDistance':
+            case '$minDistance':
+                logger.debug('testing operator ' + key + ' (ignored)');
+                
+                // Ignore, as it is to the $near
+                return true;
+            case '$geoWithin':
+            case '$within':
+                logger.debug('testing operator ' + key);
+                
+                return Geometry.within(docVal, operatorValue);
+            case '$geoIntersects':
+                logger.debug('testing operator $geoIntersects');
+                
+                return Geometry.intersects(docVal, operatorValue);
             // Query Operator Array
             case '$all':
                 logger.debug('testing operator $all');
@@ -650,12 +726,16 @@ module.exports = function(Logger, _) {
         }
     };
     
+    // The numbers are doubles, but the integers are also "int" (32-bit) or "long"
+    var INT32_MIN = -2147483648,
+        INT32_MAX = 2147483647;
+    
     var BsonTypes = {
     	_types: [
     		{ alias: 'minKey', number: -1, order: 1, isType: null },
-    		{ alias: 'null', number: 10, order: 2, isType: null },
-    		{ alias: 'int', number: 16, order: 3, isType: _.isInteger },
-    		{ alias: 'long', number: 18, order: 3, isType: _.isNumber },
+    		{ alias: 'null', number: 10, order: 2, isType: _.isNull },
+    		{ alias: 'int', number: 16, order: 3, isType: val => _.isInteger(val) && val >= INT32_MIN && val <= INT32_MAX },
+    		{ alias: 'long', number: 18, order: 3, isType: val => _.isInteger(val) && (val < INT32_MIN || val > INT32_MAX) },
     		{ alias: 'double', number: 1, order: 3, isType: _.isNumber },
     		{ alias: 'number', number: null, order: 3, isType: _.isNumber },
     		{ alias: 'string', number: 2, order: 4, isType: _.isString },
@@ -663,10 +743,10 @@ module.exports = function(Logger, _) {
     		{ alias: 'object', number: 3, order: 5, isType: _.isPlainObject },
     		{ alias: 'array', number: 4, order: 6, isType: _.isArray },
     		{ alias: 'binData', number: 5, order: 7, isType: null },
-    		{ alias: 'objectId', number: 7, order: 8, isTypefnc: null },
+    		{ alias: 'objectId', number: 7, order: 8, isType: val => !_.isNil(val) && val._bsontype === 'ObjectId' },
     		{ alias: 'bool', number: 8, order: 9, isType: _.isBoolean },
-    		{ alias: 'date', number: 9, order: 10, isTypefnc: _.isDate },         // format
-    		{ alias: 'timestamp', number: 17, order: 11, isType: _.isDate },   // format
+    		{ alias: 'date', number: 9, order: 10, isType: _.isDate },         // format
+    		{ alias: 'timestamp', number: 17, order: 11, isType: null },   // format
     		{ alias: 'regex', number: 11, order: 12, isType: _.isRegExp },
     		{ alias: 'maxKey', number: 127, order: 13, isType: null }
     		
@@ -682,6 +762,22 @@ module.exports = function(Logger, _) {
     			if (this._types[i].alias === alias) return this._types[i];
     		}
     	},
+    	getByNumber: function(number) {
+    		for (var i = 0; i < this._types.length; i++) {
+    			if (this._types[i].number === number) return this._types[i];
+    		}
+    	},
+    	getByType: function(type) {
+    	    var bsonType = null;
+    	    
+    	    if (_.isNumber(type)) bsonType = this.getByNumber(type);
+    	    
+    	    if (_.isString(type)) bsonType = this.getByAlias(type);
+    	    
+    	    if (_.isNil(bsonType)) throw Error("Unknown type: " + type);
+    	    
+    	    return bsonType;
+    	},
     	getByValue: function(val) {
     	    if (_.isNumber(val)) return this.getByAlias("double");
             
@@ -695,6 +791,10 @@ module.exports = function(Logger, _) {
             
             if (_.isRegExp(val)) return this.getByAlias("regex");
             
+            if (_.isDate(val)) return this.getByAlias("date");
+            
+            if (val._bsontype === 'ObjectId') return this.getByAlias("objectId");
+            
             if (_.isPlainObject(val)) return this.getByAlias("object");
             
             if (_.isSymbol(val)) return this.getByAlias("symbol");
@@ -0,0 +1,378 @@
+/**
+ * @file TextSearch.js - Language rules for the text indexes and the $text operator
+ * @version 1.0.0
+ * 
+ * @author Eduardo Astolfi <eastolfi91@gmail.com>
+ * @copyright 2016 Eduardo Astolfi <eastolfi91@gmail.com>
+ * @license MIT Licensed
+ */
+
+var logger = null;
+
+module.exports = function(Logger, _) {
+    
+    /**
+     * TextSearch
+     * 
+     * @module TextSearch
+     * @since 1.3.0
+     * 
+     * @classdesc Splits the texts into terms (without the stop words, and stemmed), parses the "$search" strings
+     *      and scores the documents as MongoDB does
+     */
+    class TextSearch {
+        /**
+         * Checks if a language is supported by the text search
+         * 
+         * @method TextSearch.hasLanguage
+         * 
+         * @param {String} language - The name of the language ("english", "none"...)
+         * 
+         * @returns {Boolean} Whether the language is supported or not
+         */
+        static hasLanguage(language) {
+            return _.isString(language) && _.has(LANGUAGES, language.toLowerCase());
+        }
+        
+        /**
+         * Normalizes a text for comparing it, removing the case and the diacritics unless the search is sensitive to them
+         * 
+         * @method TextSearch.normalize
+         * 
+         * @param {String} text - The text to normalize
+         * @param {Object} [options] - Additional options
+         * 
+         * @param {Boolean} [options.caseSensitive=false] - Keeps the case of the text
+         * @param {Boolean} [options.diacriticSensitive=false] - Keeps the diacritics of the text ("é", "ñ"...)
+         * 
+         * @returns {String} The text normalized
+         */
+        static normalize(text, options = {}) {
+            text = _.toString(text);
+            
+            if (!options.diacriticSensitive) text = _.deburr(text);
+            
+            if (!options.caseSensitive) text = text.toLowerCase();
+            
+            return text;
+        }
+        
+        /**
+         * Splits a text into its terms, skipping the stop words and stemming the words of the language
+         * 
+         * @method TextSearch.tokenize
+         * 
+         * @param {String} text - The text to tokenize
+         * @param {String} [language="english"] - The language of the text
+         * @param {Object} [options] - Same as {@link TextSearch.normalize}
+         * 
+         * @returns {Array} The tokens of the text ({ raw, term }), where "raw" is the normalized word and "term" its stem
+         */
+        static tokenize(text, language = 'english', options = {}) {
+            logger = Logger.instance;
+            
+            var rules = _getLanguage(language);
+            var words = _.toString(text).split(DELIMITERS);
+            var tokens = [];
+            
+            for (let i = 0; i < words.length; i++) {
+                if (words[i] === '') continue;
+                
+                let raw = TextSearch.normalize(words[i], options);
+                let lower = raw.toLowerCase();
+                
+                if (_.has(rules.stopWords, lower)) continue;
+                
+                let term = rules.stem(lower);
+                
+                tokens.push({
+                    raw: raw,
+                    term: options.caseSensitive ? _applyCase(raw, term) : term
+                });
+            }
+            
+            return tokens;
+        }
+        
+        /**
+         * Parses a "$search" string: the words are terms (any of them matches), the quoted texts are phrases
+         * (all of them must match) and a leading hyphen negates a term or a phrase ("coffee -shop", "-\"coffee shop\"")
+         * 
+         * @method TextSearch.parseSearch
+         * 
+         * @param {String} search - The search string
+         * @param {String} [language="english"] - The language of the search
+         * @param {Object} [options] - Same as {@link TextSearch.normalize}
+         * 
+         * @returns {Object} The query parsed ({ terms, negatedTerms, phrases, negatedPhrases })
+         */
+        static parseSearch(search, language = 'english', options = {}) {
+            logger = Logger.instance;
+            
+            if (!_.isString(search)) logger.throw("$search must be a string");
+            
+            var query = {
+                terms: [],
+                negatedTerms: [],
+                phrases: [],
+                negatedPhrases: []
+            };
+            
+            var chunks = search.match(/-?"[^"]*("|$)|[^\s"]+/g) || [];
+            
+            for (let i = 0; i < chunks.length; i++) {
+                let chunk = chunks[i];
+                let negated = chunk.charAt(0) === '-';
+                
+                if (negated) chunk = chunk.substr(1);
+                
+                let terms = _.map(TextSearch.tokenize(chunk, language, options), 'term');
+                
+                if (chunk.charAt(0) === '"') {
+                    let phrase = TextSearch.normalize(chunk.replace(/"/g, ''), options).trim();
+                    
+                    if (phrase === '') continue;
+                    
+                    if (negated) {
+                        query.negatedPhrases.push(phrase);
+                    } else {
+                        // The terms of the phrase are also scored
+                        query.phrases.push(phrase);
+                        query.terms = query.terms.concat(terms);
+                    }
+                } else if (negated) {
+                    query.negatedTerms = query.negatedTerms.concat(terms);
+                } else {
+                    query.terms = query.terms.concat(terms);
+                }
+            }
+            
+            return _.mapValues(query, _.uniq);
+        }
+        
+        /**
+         * Scores some texts against a parsed query. The score of each term grows with its frequency and the weight
+         * of the field, and the score of the texts is the sum of the scores of the terms searched.
+         * 
+         * @method TextSearch.score
+         * 
+         * @param {Array} texts - The texts to score ({ text, weight })
+         * @param {Object} query - The query, as parsed by {@link TextSearch.parseSearch}
+         * @param {String} [language="english"] - The language of the texts
+         * @param {Object} [options] - Same as {@link TextSearch.normalize}
+         * 
+         * @returns {Number} The score of the texts, or 0 if they do not match the query
+         */
+        static score(texts, query, language = 'english', options = {}) {
+            var scores = {};
+            var normalized = [];
+            
+            for (let i = 0; i < texts.length; i++) {
+                let tokens = TextSearch.tokenize(texts[i].text, language, options);
+                let stats = {};
+                
+                normalized.push(TextSearch.normalize(texts[i].text, options));
+                
+                for (let j = 0; j < tokens.length; j++) {
+                    let token = tokens[j];
+                    
+                    if (!_.has(stats, token.term)) stats[token.term] = { exp: 0, count: 0, freq: 0, exact: false };
+                    
+                    let data = stats[token.term];
+                    
+                    // Each repetition of a term adds less to its frequency
+                    data.exp = data.exp === 0 ? 1 : data.exp * 2;
+                    data.count++;
+                    data.freq += 1 / data.exp;
+                    
+                    if (token.raw === token.term) data.exact = true;
+                }
+                
+                for (let term in stats) {
+                    let data = stats[term];
+                    let coeff = (0.5 * data.count / tokens.length) + 0.5;
+                    
+                    // The words that were not stemmed weigh a little more
+                    let adjustment = data.exact ? 1.1 : 1;
+                    
+                    scores[term] = (_.has(scores, term) ? scores[term] : 0) + texts[i].weight * data.freq * coeff * adjustment;
+                }
+            }
+            
+            var contains = phrase => _.some(normalized, text => text.indexOf(phrase) !== -1);
+            
+            if (_.some(query.negatedTerms, term => _.has(scores, term))) return 0;
+            
+            if (_.some(query.negatedPhrases, contains)) return 0;
+            
+            if (!_.every(query.phrases, contains)) return 0;
+            
+            var score = 0;
+            
+            for (let i = 0; i < query.terms.length; i++) {
+                if (_.has(scores, query.terms[i])) score += scores[query.terms[i]];
+            }
+            
+            return score;
+        }
+    }
+    
+    // Whitespaces and punctuation
+    var DELIMITERS = /[\s!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~\u00A1-\u00BF\u00D7\u00F7\u2000-\u206F]+/;
+    
+    var ENGLISH_STOP_WORDS = [
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+        'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could',
+        'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had', 'has',
+        'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his', 'how', 'i', 'if',
+        'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my', 'myself', 'no', 'nor',
+        'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours', 'ourselves', 'out',
+        'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs',
+        'them', 'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+        'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who',
+        'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+    ];
+    
+    /**
+     * Obtains the rules of a language
+     * 
+     * @method _getLanguage
+     * @private
+     * 
+     * @param {String} language - The name of the language
+     * 
+     * @returns {Object} The rules of the language ({ stopWords, stem })
+     */
+    var _getLanguage = function(language) {
+        if (!TextSearch.hasLanguage(language)) logger.throw(`Unsupported language: "${language}"`);
+        
+        return LANGUAGES[language.toLowerCase()];
+    };
+    
+    // Keeps the case of the original word on the stemmed term
+    var _applyCase = function(word, term) {
+        var result = '';
+        
+        for (let i = 0; i < term.length; i++) {
+            result += (i < word.length && word.charAt(i).toLowerCase() === term.charAt(i)) ? word.charAt(i) : term.charAt(i);
+        }
+        
+        return result;
+    };
+    
+    /**
+     * Stems an english word with the Porter algorithm ({@link https://tartarus.org/martin/PorterStemmer/})
+     * 
+     * @method _porterStem
+     * @private
+     * 
+     * @param {String} word - The word, in lower case
+     * 
+     * @returns {String} The stem of the word
+     */
+    var _porterStem = (function() {
+        var step2 = {
+            ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+            entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+            iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+        };
+        var step3 = {
+            icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+        };
+        
+        var c = '[^aeiou]',           // consonant
+            v = '[aeiouy]',           // vowel
+            C = c + '[^aeiouy]*',     // consonant sequence
+            V = v + '[aeiou]*';       // vowel sequence
+        
+        var mGreater0 = new RegExp('^(' + C + ')?' + V + C),                     // [C]VC... is m > 0
+            mEquals1 = new RegExp('^(' + C + ')?' + V + C + '(' + V + ')?$'),   // [C]VC[V] is m = 1
+            mGreater1 = new RegExp('^(' + C + ')?' + V + C + V + C),            // [C]VCVC... is m > 1
+            hasVowel = new RegExp('^(' + C + ')?' + v),
+            endsCVC = new RegExp('^' + C + v + '[^aeiouwxy]$');
+        
+        return function(word) {
+            var match = null;
+            
+            if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+            
+            // An initial "y" is a consonant
+            var initialY = word.charAt(0) === 'y';
+            
+            if (initialY) word = 'Y' + word.substr(1);
+            
+            // Step 1a: plurals
+            if ((match = /^(.+?)(ss|i)es$/.exec(word))) {
+                word = match[1] + match[2];
+            } else if ((match = /^(.+?)([^s])s$/.exec(word))) {
+                word = match[1] + match[2];
+            }
+            
+            // Step 1b: past participles
+            if ((match = /^(.+?)eed$/.exec(word))) {
+                if (mGreater0.test(match[1])) word = word.slice(0, -1);
+            } else if ((match = /^(.+?)(ed|ing)$/.exec(word)) && hasVowel.test(match[1])) {
+                word = match[1];
+                
+                if (/(at|bl|iz)$/.test(word)) {
+                    word += 'e';
+                } else if (/([^aeiouylsz])\1$/.test(word)) {
+                    word = word.slice(0, -1);
+                } else if (endsCVC.test(word)) {
+                    word += 'e';
+                }
+            }
+            
+            // Step 1c: "y" to "i"
+            if ((match = /^(.+?)y$/.exec(word)) && hasVowel.test(match[1])) {
+                word = match[1] + 'i';
+            }
+            
+            // Step 2: double suffixes
+            if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(word))) {
+                if (mGreater0.test(match[1])) word = match[1] + step2[match[2]];
+            }
+            
+            // Step 3: "-ic-", "-full", "-ness"...
+            if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(word))) {
+                if (mGreater0.test(match[1])) word = match[1] + step3[match[2]];
+            }
+            
+            // Step 4: "-ant", "-ence"...
+            if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(word))) {
+                if (mGreater1.test(match[1])) word = match[1];
+            } else if ((match = /^(.+?)(s|t)(ion)$/.exec(word))) {
+                if (mGreater1.test(match[1] + match[2])) word = match[1] + match[2];
+            }
+            
+            // Step 5: final "e" and "ll"
+            if ((match = /^(.+?)e$/.exec(word))) {
+                let stem = match[1];
+                
+                if (mGreater1.test(stem) || (mEquals1.test(stem) && !endsCVC.test(stem))) word = stem;
+            }
+            
+            if (/ll$/.test(word) && mGreater1.test(word)) word = word.slice(0, -1);
+            
+            if (initialY) word = 'y' + word.substr(1);
+            
+            return word;
+        };
+    })();
+    
+    var LANGUAGES = {
+        english: {
+            stopWords: _.zipObject(ENGLISH_STOP_WORDS, _.map(ENGLISH_STOP_WORDS, () => true)),
+            stem: _porterStem
+        },
+        none: {
+            // Simple tokenization, without stop words nor stemming
+            stopWords: {},
+            stem: word => word
+        }
+    };
+    
+    LANGUAGES.en = LANGUAGES.english;
+    
+    return TextSearch;
+};
\ No newline at end of file
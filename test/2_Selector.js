@@ -9,8 +9,10 @@ Logger.getInstance({ hideAllLogs: true });
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
 
 describe("Selector", function() {
     describe("#Constructor", function() {
@@ -256,6 +258,22 @@ describe("Selector", function() {
                 }).test(doc)).to.not.be.true;
             });
             
+            it("should match on the fields of an array of objects", function() {
+                var doc = {
+                    items: [{ sku: 'a', qty: 0 }, { sku: 'b', qty: 5 }]
+                };
+                
+                expect(new Selector({ "items.sku": "b" }).test(doc)).to.be.true;
+                expect(new Selector({ "items.qty": 0 }).test(doc)).to.be.true;
+                expect(new Selector({ "items.1.sku": "b" }).test(doc)).to.be.true;
+                expect(new Selector({ "items.missing": null }).test(doc)).to.be.true;
+                
+                expect(new Selector({ "items.sku": "c" }).test(doc)).to.be.false;
+                expect(new Selector({ "items.0.sku": "b" }).test(doc)).to.be.false;
+                expect(new Selector({ "items.qty": 1 }).test(doc)).to.be.false;
+                expect(new Selector({ "missing.qty": 1 }).test(doc)).to.be.false;
+            });
+            
             describe("Match on a operator value", function() {
                 describe(" - Comparison Query Operators" , function() {
                     it("it should match with $gt", function() {
@@ -387,8 +405,66 @@ describe("Selector", function() {
                         }).test(doc)).to.be.true;
                     });
                     
-                    it.skip("it should match with $type", function() {
+                    it("it should match with $type", function() {
+                        var doc = {
+                            stringField: "5",
+                            intField: 5,
+                            doubleField: 5.5,
+                            longField: 5000000000,
+                            boolField: false,
+                            nullField: null,
+                            dateField: new Date(),
+                            regexField: /5/,
+                            objectField: { a: 5 },
+                            idField: new ObjectId(),
+                            arrayField: ["a", 1, [2]]
+                        };
                         
+                        var matches = function(field, type) {
+                            var selection = {};
+                            
+                            selection[field] = { $type: type };
+                            
+                            return new Selector(selection).test(doc);
+                        };
+                        
+                        // Aliases and numbers
+                        expect(matches("stringField", "string")).to.be.true;
+                        expect(matches("stringField", 2)).to.be.true;
+                        expect(matches("stringField", "number")).to.be.false;
+                        expect(matches("intField", "int")).to.be.true;
+                        expect(matches("intField", "double")).to.be.true;
+                        expect(matches("intField", "number")).to.be.true;
+                        expect(matches("intField", "long")).to.be.false;
+                        expect(matches("doubleField", 1)).to.be.true;
+                        expect(matches("doubleField", "int")).to.be.false;
+                        expect(matches("longField", 18)).to.be.true;
+                        expect(matches("boolField", "bool")).to.be.true;
+                        expect(matches("nullField", "null")).to.be.true;
+                        expect(matches("nullField", "object")).to.be.false;
+                        expect(matches("dateField", "date")).to.be.true;
+                        expect(matches("dateField", "object")).to.be.false;
+                        expect(matches("regexField", 11)).to.be.true;
+                        expect(matches("objectField", "object")).to.be.true;
+                        expect(matches("idField", "objectId")).to.be.true;
+                        expect(matches("idField", "object")).to.be.false;
+                        
+                        // Missing fields
+                        expect(matches("unexistingField", "null")).to.be.false;
+                        
+                        // Several types
+                        expect(matches("stringField", ["number", "string"])).to.be.true;
+                        expect(matches("boolField", [1, 2])).to.be.false;
+                        
+                        // The array, or any of its elements
+                        expect(matches("arrayField", "array")).to.be.true;
+                        expect(matches("arrayField", "string")).to.be.true;
+                        expect(matches("arrayField", "int")).to.be.true;
+                        expect(matches("arrayField", "bool")).to.be.false;
+                        expect(matches("intField", "array")).to.be.false;
+                        
+                        expect(function() { matches("intField", "unknown"); }).to.throw(Error);
+                        expect(function() { matches("intField", 99); }).to.throw(Error);
                     });
                 });
                 
@@ -532,35 +608,205 @@ describe("Selector", function() {
                         }).test(doc)).to.be.true;
                     });
                     
-                    it.skip("it should match with $text", function() {
+                    it("it should match with $text", function() {
                         var doc = {
-                            operatorField: 5
+                            operatorField: "coffee"
+                        };
+                        
+                        var selector = new Selector({
+                            $text: {
+                                $search: "coffee"
+                            }
+                        });
+                        
+                        expect(selector.clauses[0].kind).to.be.equal("text");
+                        
+                        // The text index is needed
+                        expect(function() { selector.test(doc); }).to.throw(Error);
+                        
+                        expect(function() {
+                            new Selector({ $text: { $search: 5 } });
+                        }).to.throw(Error);
+                    });
+                    
+                    it("it should match with $where", function() {
+                        var doc = {
+                            operatorField: 5,
+                            credits: 10,
+                            debits: 10
+                        };
+                        
+                        expect(new Selector({
+                            $where: function() { return this.credits === this.debits; }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            $where: "this.credits === this.debits && obj.operatorField > 4"
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            $where: "function() { return this.operatorField > 5; }"
+                        }).test(doc)).to.be.false;
+                        
+                        // Combined with other clauses
+                        expect(new Selector({
+                            operatorField: 6,
+                            $where: "this.credits === this.debits"
+                        }).test(doc)).to.be.false;
+                        
+                        expect(new Selector({
+                            $or: [{ operatorField: 6 }, { $where: "this.debits > 5" }]
+                        }).test(doc)).to.be.true;
+                        
+                        // The document can not be modified
+                        expect(new Selector({
+                            $where: function() { this.credits = 0; return true; }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(doc.credits).to.be.equal(10);
+                        
+                        expect(function() { new Selector({ $where: 5 }); }).to.throw(Error);
+                        
+                        // Some globals are hidden from the strings
+                        expect(new Selector({
+                            $where: "typeof process === 'undefined' && typeof require === 'undefined'"
+                        }).test(doc)).to.be.true;
+                    });
+                    
+                    it("it should match with $expr", function() {
+                        var doc = {
+                            operatorField: 5,
+                            credits: 10,
+                            debits: 8,
+                            items: [{ qty: 1 }, { qty: 3 }]
+                        };
+                        
+                        expect(new Selector({
+                            $expr: { $gt: ['$credits', '$debits'] }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            $expr: { $in: [3, '$items.qty'] }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            $or: [{ operatorField: 6 }, { $expr: { $eq: ['$operatorField', '$$limit'] } }]
+                        }, Selector.MATCH_SELECTOR, { variables: { limit: 5 } }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            $expr: { $not: [{ $lte: ['$debits', { $literal: 8 }] }] }
+                        }).test(doc)).to.be.false;
+                        
+                        expect(function() { new Selector({ $expr: '$$missing' }).test(doc); }).to.throw(Error);
+                        expect(function() { new Selector({ $expr: { $unknown: 1 } }).test(doc); }).to.throw(Error);
+                        expect(function() { new Selector({ operatorField: { $expr: true } }).test(doc); }).to.throw(Error);
+                    });
+                });
+                
+                describe(" - Geospatial Query Operators" , function() {
+                    it("it should match with $geoWithin", function() {
+                        var doc = {
+                            operatorField1: [2, 2],
+                            operatorField2: { type: "LineString", coordinates: [[1, 1], [3, 3]] },
+                            operatorField3: { lng: 10, lat: 10 }
+                        };
+                        
+                        expect(new Selector({
+                            operatorField1: {
+                                $geoWithin: { $box: [[0, 0], [4, 4]] }
+                            }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField2: {
+                                $geoWithin: { $polygon: [[0, 0], [4, 0], [4, 4]] }
+                            }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField2: {
+                                $geoWithin: { $center: [[0, 0], 3] }
+                            }
+                        }).test(doc)).to.not.be.true;
+                        
+                        expect(new Selector({
+                            operatorField3: {
+                                $geoWithin: { $centerSphere: [[10, 11], 0.02] }
+                            }
+                        }).test(doc)).to.be.true;
+                        
+                        // A polygon with a hole
+                        expect(new Selector({
+                            operatorField1: {
+                                $geoWithin: {
+                                    $geometry: { type: "Polygon", coordinates: [[[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]], [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]] }
+                                }
+                            }
+                        }).test(doc)).to.not.be.true;
+                        
+                        expect(function() {
+                            new Selector({ operatorField1: { $geoWithin: { $box: [0, 0] } } }).test(doc);
+                        }).to.throw(Error);
+                    });
+                    
+                    it("it should match with $geoIntersects", function() {
+                        var doc = {
+                            operatorField: { type: "LineString", coordinates: [[0, 0], [4, 4]] }
                         };
                         
                         expect(new Selector({
                             operatorField: {
-                                $not: 3
+                                $geoIntersects: { $geometry: { type: "LineString", coordinates: [[0, 4], [4, 0]] } }
+                            }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField: {
+                                $geoIntersects: { $geometry: { type: "Point", coordinates: [1, 1] } }
                             }
                         }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField: {
+                                $geoIntersects: { $geometry: { type: "Polygon", coordinates: [[[5, 0], [6, 0], [6, 1], [5, 0]]] } }
+                            }
+                        }).test(doc)).to.not.be.true;
                     });
                     
-                    it.skip("it should match with $where", function() {
+                    it("it should match with $near and $nearSphere", function() {
                         var doc = {
-                            operatorField: 5
+                            operatorField: [3, 4]
                         };
                         
                         expect(new Selector({
                             operatorField: {
-                                $not: 3
+                                $near: [0, 0],
+                                $maxDistance: 5
+                            }
+                        }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField: {
+                                $near: [0, 0],
+                                $minDistance: 6
+                            }
+                        }).test(doc)).to.not.be.true;
+                        
+                        // 1 degree of latitude is about 111 km
+                        expect(new Selector({
+                            operatorField: {
+                                $nearSphere: { $geometry: { type: "Point", coordinates: [3, 5] }, $maxDistance: 112000 }
                             }
                         }).test(doc)).to.be.true;
+                        
+                        expect(new Selector({
+                            operatorField: {
+                                $nearSphere: { $geometry: { type: "Point", coordinates: [3, 5] }, $maxDistance: 110000 }
+                            }
+                        }).test(doc)).to.not.be.true;
                     });
                 });
                 
-                describe.skip(" - Geospatial Query Operators" , function() {
-                    // TODO
-                });
-                
                 describe(" - Query Query Operators" , function() {
                     it("it should match with $all", function() {
                         var doc = {
@@ -10,11 +10,15 @@ var EventEmitter = require("../lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("../lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("../lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("../lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("../lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("../lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("../lib/TextSearch")(Logger, _);
+var Index = require("../lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("../lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("../lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 var TEST_DDBB = "test_database";
@@ -292,4 +296,299 @@ describe("Cursor", function() {
             expect(doc.numberField).to.be.equal(9);
         });
     });
+    
+    describe("#Query Planner", function() {
+        before(function() {
+            var coll = db.collection("coll_planner");
+            
+            coll.insert({ name: 'ann', age: 22, city: 'Paris', tags: ['a', 'b'] }, {chain: true})
+                .insert({ name: 'bob', age: 25, city: 'Rome', tags: ['b'] }, {chain: true})
+                .insert({ name: 'cid', age: 31, city: 'Paris', tags: [] }, {chain: true})
+                .insert({ name: 'dan', age: "25", city: 'Oslo' }, {chain: true})
+                .insert({ name: 'eve', city: 'Rome', tags: ['c', 'a'] });
+        });
+        
+        it("should scan the whole collection when there are no usable indexes", function() {
+            var coll = db.collection("coll_planner");
+            
+            var cursor = coll.find({ name: 'ann' });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.COLSCAN);
+            expect(cursor.fetch()).to.have.length(1);
+        });
+        
+        it("should use an index for equalities", function() {
+            var coll = db.collection("coll_planner");
+            
+            coll.createIndex({ name: 1 });
+            coll.createIndex({ tags: 1 });
+            
+            var cursor = coll.find({ name: 'bob' });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.IDXSCAN);
+            expect(cursor.index_scan.index.name).to.be.equal('name_1');
+            
+            var docs = cursor.fetch();
+            
+            expect(docs).to.have.length(1);
+            expect(docs[0].age).to.be.equal(25);
+            
+            // Multikey index
+            cursor = coll.find({ tags: 'a' });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.IDXSCAN);
+            expect(_.map(cursor.fetch(), 'name').sort()).to.be.eql(['ann', 'eve']);
+        });
+        
+        it("should use an index for $in and ranges", function() {
+            var coll = db.collection("coll_planner");
+            
+            coll.createIndex({ age: -1 });
+            
+            var cursor = coll.find({ name: { $in: ['ann', 'eve', 'zoe'] } });
+            
+            expect(cursor.index_scan.index.name).to.be.equal('name_1');
+            expect(_.map(cursor.fetch(), 'name')).to.be.eql(['ann', 'eve']);
+            
+            cursor = coll.find({ age: { $gte: 22, $lt: 31 } });
+            
+            expect(cursor.index_scan.index.name).to.be.equal('age_-1');
+            expect(_.map(cursor.fetch(), 'name')).to.be.eql(['bob', 'ann']);
+            
+            cursor = coll.find({ age: { $lt: 25 } });
+            
+            expect(_.map(cursor.fetch(), 'name').sort()).to.be.eql(['ann', 'eve']);
+        });
+        
+        it("should choose the index with more bounded fields", function() {
+            var coll = db.collection("coll_planner");
+            
+            coll.createIndex({ city: 1, age: 1 });
+            
+            var cursor = coll.find({ city: 'Paris', age: { $gt: 25 } });
+            
+            expect(cursor.index_scan.index.name).to.be.equal('city_1_age_1');
+            expect(cursor.index_scan.bounds).to.have.length(2);
+            expect(_.map(cursor.fetch(), 'name')).to.be.eql(['cid']);
+            
+            cursor = coll.find({ city: 'Rome', name: 'bob' });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.IDXSCAN);
+            expect(_.map(cursor.fetch(), 'name')).to.be.eql(['bob']);
+        });
+        
+        it("should scan the collection when the selection can not be bounded", function() {
+            var coll = db.collection("coll_planner");
+            
+            expect(coll.find({ name: { $ne: 'ann' } }).fetch_mode).to.be.equal(Cursor.COLSCAN);
+            expect(coll.find({ name: /^a/ }).fetch_mode).to.be.equal(Cursor.COLSCAN);
+            expect(coll.find({ 'tags.0': 'a' }).fetch_mode).to.be.equal(Cursor.COLSCAN);
+            
+            // The ranges compare the arrays as a whole
+            var cursor = coll.find({ tags: { $gt: 'a' } });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.COLSCAN);
+            expect(cursor.fetch()).to.have.length(4);
+        });
+        
+        it("should match the same documents with or without an index", function() {
+            var coll = db.collection("coll_planner");
+            var selections = [
+                { age: 25 }, { age: "25" }, { age: null }, { tags: null }, { tags: 'b' }, { city: { $eq: 'Oslo' } },
+                { age: { $in: [22, "25"] } }, { age: { $gte: "25" } }, { name: { $lte: 'bob' } }
+            ];
+            
+            for (let i = 0; i < selections.length; i++) {
+                let indexed = coll.find(selections[i]).fetch();
+                let scanned = new Cursor(coll.docs, selections[i]).fetch();
+                
+                expect(_.map(indexed, 'name').sort()).to.be.eql(_.map(scanned, 'name').sort());
+            }
+        });
+        
+        it("should not share the fetched documents with the collection", function() {
+            var coll = db.collection("coll_planner");
+            
+            var doc = coll.findOne({ name: 'ann' });
+            
+            doc.age = 99;
+            doc.tags.push('z');
+            
+            expect(coll.findOne({ name: 'ann' }).age).to.be.equal(22);
+            expect(coll.find({ tags: 'z' }).count()).to.be.equal(0);
+        });
+    });
+    
+    describe("#Explain", function() {
+        before(function() {
+            var coll = db.collection("coll_explain");
+            
+            for (let i = 0; i < 10; i++) {
+                coll.insert({ num: i, even: i % 2 === 0 });
+            }
+            
+            coll.createIndex({ num: 1 });
+            coll.createIndex({ even: 1, num: -1 });
+        });
+        
+        it("should explain a collection scan", function() {
+            var coll = db.collection("coll_explain");
+            
+            var explain = coll.find({ other: 5 }).explain();
+            
+            expect(explain.queryPlanner.winningPlan).to.be.eql({
+                stage: 'COLSCAN',
+                direction: 'forward',
+                filter: { other: 5 }
+            });
+            expect(explain.queryPlanner.rejectedPlans).to.be.eql([]);
+            
+            expect(explain.executionStats.executionSuccess).to.be.true;
+            expect(explain.executionStats.nReturned).to.be.equal(0);
+            expect(explain.executionStats.totalKeysExamined).to.be.equal(0);
+            expect(explain.executionStats.totalDocsExamined).to.be.equal(10);
+            expect(explain.executionStats.executionTimeMillis).to.be.at.least(0);
+        });
+        
+        it("should explain an index scan", function() {
+            var coll = db.collection("coll_explain");
+            
+            var cursor = coll.find({ num: { $gte: 3, $lt: 6 } });
+            var explain = cursor.explain("executionStats");
+            
+            var plan = explain.queryPlanner.winningPlan;
+            
+            expect(plan.stage).to.be.equal('FETCH');
+            expect(plan.inputStage.stage).to.be.equal('IDXSCAN');
+            expect(plan.inputStage.indexName).to.be.equal('num_1');
+            expect(plan.inputStage.keyPattern).to.be.eql({ num: 1 });
+            expect(plan.inputStage.indexBounds).to.be.eql({ num: ["[3, 6)"] });
+            
+            expect(explain.executionStats.nReturned).to.be.equal(3);
+            expect(explain.executionStats.totalKeysExamined).to.be.equal(3);
+            expect(explain.executionStats.totalDocsExamined).to.be.equal(3);
+            
+            // The cursor can still be fetched
+            expect(cursor.fetch()).to.have.length(3);
+        });
+        
+        it("should list the rejected plans", function() {
+            var coll = db.collection("coll_explain");
+            
+            var explain = coll.find({ even: true, num: { $gt: 4 } }).explain("queryPlanner");
+            
+            expect(explain.executionStats).to.not.exist;
+            expect(explain.queryPlanner.parsedQuery).to.be.eql({ even: true, num: { $gt: 4 } });
+            
+            expect(explain.queryPlanner.winningPlan.inputStage.indexName).to.be.equal('even_1_num_-1');
+            expect(explain.queryPlanner.winningPlan.inputStage.indexBounds).to.be.eql({
+                even: ["[true, true]"],
+                num: ["[MaxKey, 4)"]
+            });
+            
+            expect(explain.queryPlanner.rejectedPlans).to.have.length(1);
+            expect(explain.queryPlanner.rejectedPlans[0].inputStage.indexName).to.be.equal('num_1');
+            expect(explain.queryPlanner.rejectedPlans[0].inputStage.indexBounds).to.be.eql({ num: ["(4, MaxKey]"] });
+            
+            expect(function() { coll.find().explain("unknown"); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Hint", function() {
+        before(function() {
+            var coll = db.collection("coll_hint");
+            
+            for (let i = 0; i < 10; i++) {
+                coll.insert({ num: i, group: i % 3 });
+            }
+            
+            coll.createIndex({ num: 1 });
+            coll.createIndex({ group: 1, num: -1 }, { name: "by_group" });
+        });
+        
+        it("should force the use of an index", function() {
+            var coll = db.collection("coll_hint");
+            
+            var cursor = coll.find({ num: { $lt: 3 }, group: 0 });
+            
+            expect(cursor.index_scan.index.name).to.be.equal("by_group");
+            
+            cursor.hint({ num: 1 });
+            
+            expect(cursor.index_scan.index.name).to.be.equal("num_1");
+            expect(_.map(cursor.fetch(), "num")).to.be.eql([0]);
+            
+            // Not bounded by the selection
+            cursor = coll.find({ num: { $lt: 3 } }).hint("by_group");
+            
+            var explain = cursor.explain();
+            
+            expect(explain.queryPlanner.winningPlan.inputStage.indexBounds).to.be.eql({
+                group: ["[MinKey, MaxKey]"],
+                num: ["[MaxKey, MinKey]"]
+            });
+            expect(explain.executionStats.totalKeysExamined).to.be.equal(10);
+            expect(_.map(cursor.fetch(), "num").sort()).to.be.eql([0, 1, 2]);
+            
+            // Collection scan
+            cursor = coll.find({ num: 5 }, null, { hint: { $natural: 1 } });
+            
+            expect(cursor.fetch_mode).to.be.equal(Cursor.COLSCAN);
+            expect(cursor.fetch()).to.have.length(1);
+        });
+        
+        it("should fail when hinting an unknown index", function() {
+            var coll = db.collection("coll_hint");
+            
+            var cursor = coll.find({ num: 5 });
+            
+            expect(function() { cursor.hint("unknown"); }).to.throw(/unknown/);
+            expect(function() { cursor.hint({ num: -1 }); }).to.throw(Error);
+            expect(function() { cursor.hint(); }).to.throw(Error);
+            expect(function() { coll.find({ num: 5 }, null, { hint: { num: 1, group: 1 } }); }).to.throw(Error);
+            
+            // The cursor is not changed
+            expect(cursor.index_scan.index.name).to.be.equal("num_1");
+        });
+        
+        it("should limit the keys scanned with min and max", function() {
+            var coll = db.collection("coll_hint");
+            
+            var cursor = coll.find().min({ num: 3 }).max({ num: 7 });
+            
+            expect(cursor.index_scan.index.name).to.be.equal("num_1");
+            expect(_.map(cursor.fetch(), "num")).to.be.eql([3, 4, 5, 6]);
+            
+            // Following the index order
+            cursor = coll.find({ num: { $ne: 5 } }).hint("by_group").min({ group: 1, num: 7 }).max({ group: 2, num: 5 });
+            
+            var explain = cursor.explain();
+            
+            expect(explain.queryPlanner.winningPlan.inputStage.min).to.be.eql({ group: 1, num: 7 });
+            expect(explain.executionStats.totalKeysExamined).to.be.equal(4);
+            expect(_.map(cursor.fetch(), "num")).to.be.eql([7, 4, 1, 8]);
+            
+            cursor = coll.find().max({ group: 1, num: 9 });
+            
+            expect(_.map(cursor.fetch(), "num")).to.be.eql([9, 6, 3, 0]);
+        });
+        
+        it("should fail with invalid key ranges", function() {
+            var coll = db.collection("coll_hint");
+            
+            var cursor = coll.find();
+            
+            expect(function() { cursor.min(); }).to.throw(Error);
+            expect(function() { cursor.min({ unknown: 1 }); }).to.throw(Error);
+            expect(function() { cursor.min({ num: 1, group: 1 }); }).to.throw(Error);
+            expect(function() { cursor.hint("num_1").max({ group: 1, num: 9 }); }).to.throw(Error);
+            expect(function() { cursor.hint({ $natural: 1 }).max({ num: 9 }); }).to.throw(Error);
+            
+            cursor = coll.find().min({ num: 1 });
+            
+            expect(function() { cursor.max({ group: 1, num: 9 }); }).to.throw(Error);
+            expect(function() { cursor.hint("by_group"); }).to.throw(Error);
+            expect(cursor.fetch()).to.have.length(9);
+        });
+    });
 });
\ No newline at end of file
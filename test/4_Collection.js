@@ -10,11 +10,15 @@ var EventEmitter = require("../lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("../lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("../lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("../lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("../lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("../lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("../lib/TextSearch")(Logger, _);
+var Index = require("../lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("../lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("../lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 var TEST_DOC = null;
@@ -451,8 +455,25 @@ describe("Collection", function() {
                         );
                     });
                     
-                    it.skip("should update with the $mul operator", function() {
+                    it("should update with the $mul operator", function() {
+                        var coll = db.collection("FIELD_OP");
+                        
+                        var updatedInfo = coll.update({ stringField: "yep6" }, { $mul: { numberField: 2, unexistingField: 5 } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({stringField: "yep6"});
+                        
+                        expect(doc.numberField).to.be.equal(14);
+                        expect(doc.unexistingField).to.be.equal(0);
                         
+                        expect(function() {
+                            coll.update({ stringField: "yep6" }, { $mul: { numberField: "2" } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ stringField: "yep6" }, { $mul: { stringField: 2 } });
+                        }).to.throw(Error);
                     });
                     
                     it("should update with the $rename operator", function(done) {
@@ -483,8 +504,45 @@ describe("Collection", function() {
                         });
                     });
                     
-                    it.skip("should update with the $setOnInsert operator", function() {
+                    it("should update with the $setOnInsert operator", function() {
+                        var coll = db.collection("FIELD_OP");
+                        
+                        // Not applied when updating
+                        var updatedInfo = coll.update({ stringField: "yep6" }, { $set: { updated: true }, $setOnInsert: { inserted: true } }, { upsert: true });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({stringField: "yep6"});
                         
+                        expect(doc.updated).to.be.true;
+                        expect(doc.inserted).to.not.exist;
+                        
+                        // Applied over the equality fields of the selection when upserting
+                        updatedInfo = coll.update(
+                            {
+                                stringField: "upserted_op",
+                                "objectField.field": { $eq: "yes" },
+                                numberField: { $gt: 3 }
+                            }, {
+                                $set: { updated: true },
+                                $inc: { counter: 1 },
+                                $setOnInsert: { inserted: true }
+                            }, {
+                                upsert: true
+                            }
+                        );
+                        
+                        expectUpdateInfo(null, updatedInfo, 0, 1);
+                        
+                        doc = coll.findOne({stringField: "upserted_op"});
+                        
+                        expect(doc).to.exist;
+                        expect(doc._id).to.exist;
+                        expect(doc.objectField).to.be.eql({ field: "yes" });
+                        expect(doc.numberField).to.not.exist;
+                        expect(doc.updated).to.be.true;
+                        expect(doc.counter).to.be.equal(1);
+                        expect(doc.inserted).to.be.true;
                     });
                     
                     it("should update with the $set operator", function(done) {
@@ -557,16 +615,78 @@ describe("Collection", function() {
                         expect(doc.newArray[1]).to.be.equal(null);
                     });
                     
-                    it.skip("should update with the $min operator", function() {
+                    it("should update with the $min operator", function() {
+                        var coll = db.collection("FIELD_OP");
+                        
+                        var updatedInfo = coll.update({ stringField: "yep6" }, { $min: { numberField: 20, lowest: 3 } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
                         
+                        var doc = coll.findOne({stringField: "yep6"});
+                        
+                        expect(doc.numberField).to.be.equal(14);
+                        expect(doc.lowest).to.be.equal(3);
+                        
+                        coll.update({ stringField: "yep6" }, { $min: { numberField: 10 } });
+                        
+                        doc = coll.findOne({stringField: "yep6"});
+                        
+                        expect(doc.numberField).to.be.equal(10);
                     });
                     
-                    it.skip("should update with the $max operator", function() {
+                    it("should update with the $max operator", function() {
+                        var coll = db.collection("FIELD_OP");
+                        
+                        var updatedInfo = coll.update({ stringField: "yep6" }, { $max: { numberField: 5, highest: new Date(0) } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({stringField: "yep6"});
+                        
+                        expect(doc.numberField).to.be.equal(10);
+                        expect(doc.highest).to.be.eql(new Date(0));
+                        
+                        coll.update({ stringField: "yep6" }, { $max: { numberField: 12, highest: new Date(1000) } });
+                        
+                        doc = coll.findOne({stringField: "yep6"});
                         
+                        expect(doc.numberField).to.be.equal(12);
+                        expect(doc.highest).to.be.eql(new Date(1000));
                     });
                     
-                    it.skip("should update with the $currentDate operator", function() {
+                    it("should update with the $currentDate operator", function() {
+                        var coll = db.collection("FIELD_OP");
+                        
+                        var now = new Date(2017, 1, 1);
+                        var clock = coll.clock;
+                        coll.clock = function() { return now; };
+                        
+                        var updatedInfo = coll.update(
+                            {
+                                stringField: "yep8"
+                            }, {
+                                $currentDate: {
+                                    lastModified: true,
+                                    "dates.modified": { $type: "date" },
+                                    "dates.timestamp": { $type: "timestamp" }
+                                }
+                            }
+                        );
+                        
+                        coll.clock = clock;
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({stringField: "yep8"});
+                        
+                        expect(doc.lastModified).to.be.instanceof(Date);
+                        expect(doc.lastModified.getTime()).to.be.equal(now.getTime());
+                        expect(doc.dates.modified.getTime()).to.be.equal(now.getTime());
+                        expect(doc.dates.timestamp).to.be.equal(now.getTime());
                         
+                        expect(function() {
+                            coll.update({ stringField: "yep8" }, { $currentDate: { lastModified: { $type: "string" } } });
+                        }).to.throw(Error);
                     });
                 });
                 
@@ -691,6 +811,79 @@ describe("Collection", function() {
                         expect(doc.arrayField2[0]).to.be.equal("first");
                     });
                     
+                    it("should update with the $push operator modifiers", function() {
+                        var coll = db.collection("PUSH_OP");
+                        
+                        coll.insert({ _id: 1, scores: [5, 8], events: [{ name: "a", at: 1 }, { name: "b", at: 2 }] });
+                        
+                        // $each and $position
+                        var updatedInfo = coll.update({ _id: "1" }, { $push: { scores: { $each: [1, 2], $position: 1 }, added: { $each: [3] } } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({ _id: "1" });
+                        
+                        expect(doc.scores).to.be.eql([5, 1, 2, 8]);
+                        expect(doc.added).to.be.eql([3]);
+                        
+                        coll.update({ _id: "1" }, { $push: { scores: { $each: [7], $position: -1 } } });
+                        
+                        expect(coll.findOne({ _id: "1" }).scores).to.be.eql([5, 1, 2, 7, 8]);
+                        
+                        // $sort and $slice over scalars
+                        coll.update({ _id: "1" }, { $push: { scores: { $each: [6, 3], $sort: -1, $slice: 3 } } });
+                        
+                        expect(coll.findOne({ _id: "1" }).scores).to.be.eql([8, 7, 6]);
+                        
+                        coll.update({ _id: "1" }, { $push: { scores: { $each: [], $sort: 1 } } });
+                        
+                        expect(coll.findOne({ _id: "1" }).scores).to.be.eql([6, 7, 8]);
+                        
+                        // Keeping the last elements, sorted by a subdocument field
+                        coll.update(
+                            {
+                                _id: "1"
+                            }, {
+                                $push: {
+                                    events: {
+                                        $each: [{ name: "d", at: 4 }, { name: "c", at: 3 }],
+                                        $sort: { at: 1 },
+                                        $slice: -3
+                                    }
+                                }
+                            }
+                        );
+                        
+                        expect(_.map(coll.findOne({ _id: "1" }).events, 'name')).to.be.eql(["b", "c", "d"]);
+                        
+                        coll.update({ _id: "1" }, { $push: { events: { $each: [], $slice: 0 } } });
+                        
+                        expect(coll.findOne({ _id: "1" }).events).to.be.eql([]);
+                        
+                        // Invalid modifiers
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $push: { scores: { $slice: 1 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $push: { scores: { $each: 1 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $push: { scores: { $each: [1], $slice: 1.5 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $push: { scores: { $each: [1], $sort: 2 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $push: { scores: { $each: [1], $unknown: 1 } } });
+                        }).to.throw(Error);
+                        
+                        expect(coll.findOne({ _id: "1" }).scores).to.be.eql([6, 7, 8]);
+                    });
+                    
                     it("should update with the $pushAll operator", function() {    // TODO Change, as is deprecated in MongoDB 2.4+
                         var coll = db.collection("FIELD_OP");
                         
@@ -790,9 +983,158 @@ describe("Collection", function() {
                     });
                 });
                 
-                describe.skip("- Bitwise Update Operators", function() {
+                describe("- Positional Update Operators", function() {
+                    before(function() {
+                        db.collection("POSITIONAL_OP")
+                            .insert({ _id: 1, grades: [80, 85, 90], items: [{ sku: "a", qty: 1 }, { sku: "b", qty: 5 }, { sku: "c", qty: 10 }] }, { chain: true })
+                            .insert({ _id: 2, grades: [88, 90, 92], items: [{ sku: "a", qty: 2 }, { sku: "b", qty: 8 }] });
+                    });
+                    
+                    it("should update with the $ operator", function() {
+                        var coll = db.collection("POSITIONAL_OP");
+                        
+                        var updatedInfo = coll.update({ _id: "1", grades: 85 }, { $set: { "grades.$": 82 } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        expect(coll.findOne({ _id: "1" }).grades).to.be.eql([80, 82, 90]);
+                        
+                        updatedInfo = coll.update({ _id: "1", "items.sku": "b" }, { $inc: { "items.$.qty": 2 }, $set: { "items.$.updated": true } });
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({ _id: "1" });
+                        
+                        expect(doc.items[0]).to.be.eql({ sku: "a", qty: 1 });
+                        expect(doc.items[1]).to.be.eql({ sku: "b", qty: 7, updated: true });
+                        expect(doc.items[2]).to.be.eql({ sku: "c", qty: 10 });
+                        
+                        // Inside an $and
+                        coll.update({ $and: [{ _id: "1" }, { "items.qty": { $gt: 8 } }] }, { $set: { "items.$.sku": "d" } });
+                        
+                        expect(coll.findOne({ _id: "1" }).items[2].sku).to.be.equal("d");
+                        
+                        // Without a condition over the array
+                        expect(function() {
+                            coll.update({ _id: "1" }, { $set: { "items.$.qty": 0 } });
+                        }).to.throw(Error);
+                    });
+                    
+                    it("should update with the $[] operator", function() {
+                        var coll = db.collection("POSITIONAL_OP");
+                        
+                        var updatedInfo = coll.update({}, { $inc: { "grades.$[]": 10, "items.$[].qty": 1 } }, { multi: true });
+                        
+                        expectUpdateInfo(null, updatedInfo, 2, 0);
+                        
+                        var doc = coll.findOne({ _id: "2" });
+                        
+                        expect(doc.grades).to.be.eql([98, 100, 102]);
+                        expect(doc.items).to.be.eql([{ sku: "a", qty: 3 }, { sku: "b", qty: 9 }]);
+                        
+                        expect(coll.findOne({ _id: "1" }).grades).to.be.eql([90, 92, 100]);
+                        
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "unexisting.$[].field": 1 } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "items.0.sku.$[]": 1 } });
+                        }).to.throw(Error);
+                    });
+                    
+                    it("should update with the $[<identifier>] operator", function() {
+                        var coll = db.collection("POSITIONAL_OP");
+                        
+                        var updatedInfo = coll.update(
+                            {
+                                _id: "2"
+                            }, {
+                                $set: {
+                                    "grades.$[high]": 100,
+                                    "items.$[item].discount": true
+                                }
+                            }, {
+                                arrayFilters: [
+                                    { high: { $gte: 100 } },
+                                    { "item.sku": "b", "item.qty": { $gt: 5 } }
+                                ]
+                            }
+                        );
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({ _id: "2" });
+                        
+                        expect(doc.grades).to.be.eql([98, 100, 100]);
+                        expect(doc.items).to.be.eql([{ sku: "a", qty: 3 }, { sku: "b", qty: 9, discount: true }]);
+                        
+                        // Missing filter
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "grades.$[high]": 0 } });
+                        }).to.throw(Error);
+                        
+                        // Unused filter
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "grades.0": 0 } }, { arrayFilters: [{ high: 100 }] });
+                        }).to.throw(Error);
+                        
+                        // Several identifiers in a filter
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "grades.$[high]": 0 } }, { arrayFilters: [{ high: 100, low: 0 }] });
+                        }).to.throw(Error);
+                        
+                        // Invalid identifier
+                        expect(function() {
+                            coll.update({ _id: "2" }, { $set: { "grades.$[High]": 0 } }, { arrayFilters: [{ High: 100 }] });
+                        }).to.throw(Error);
+                        
+                        expect(coll.findOne({ _id: "2" }).grades).to.be.eql([98, 100, 100]);
+                    });
+                });
+                
+                describe("- Bitwise Update Operators", function() {
                     it("should update with the $bit operator", function() {
+                        var coll = db.collection("FIELD_OP");
                         
+                        // 9 = 1001
+                        var updatedInfo = coll.update(
+                            {
+                                stringField: "yep8"
+                            }, {
+                                $bit: {
+                                    numberField: { and: 10 },   // 1001 & 1010 = 1000
+                                    orField: { or: 5 },         // 0000 | 0101 = 0101
+                                    xorField: { xor: 3 }        // 0000 ^ 0011 = 0011
+                                }
+                            }
+                        );
+                        
+                        expectUpdateInfo(null, updatedInfo, 1, 0);
+                        
+                        var doc = coll.findOne({stringField: "yep8"});
+                        
+                        expect(doc.numberField).to.be.equal(8);
+                        expect(doc.orField).to.be.equal(5);
+                        expect(doc.xorField).to.be.equal(3);
+                        
+                        coll.update({ stringField: "yep8" }, { $bit: { numberField: { or: 3, xor: 1 } } });
+                        
+                        doc = coll.findOne({stringField: "yep8"});
+                        
+                        expect(doc.numberField).to.be.equal(10);
+                        
+                        expect(function() {
+                            coll.update({ stringField: "yep8" }, { $bit: { numberField: { not: 1 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ stringField: "yep8" }, { $bit: { numberField: { and: 1.5 } } });
+                        }).to.throw(Error);
+                        
+                        expect(function() {
+                            coll.update({ stringField: "yep8" }, { $bit: { stringField: { and: 1 } } });
+                        }).to.throw(Error);
                     });
                 });
                 
@@ -842,6 +1184,71 @@ describe("Collection", function() {
                 expect(doc.numberField).to.be.equal(2);
             });
             
+            it("should be able to update with a pipeline", function() {
+                var coll = db.collection("PIPELINE_UPDATE");
+                
+                coll.insert({ _id: 1, item: "a", price: 10, qty: 2, notes: "x" });
+                coll.insert({ _id: 2, item: "b", price: 4, qty: 5, notes: "y" });
+                
+                var updatedInfo = coll.update(
+                    {
+                        price: { $gte: 0 }
+                    }, [
+                        { $set: { total: { $multiply: ["$price", "$qty"] } } },
+                        { $addFields: { discounted: { $gt: ["$total", 15] } } },
+                        { $unset: "notes" }
+                    ], {
+                        multi: true
+                    }
+                );
+                
+                expect(updatedInfo.updated.count).to.be.equal(2);
+                
+                var doc = coll.findOne({ _id: "1" });
+                
+                expect(doc.total).to.be.equal(20);
+                expect(doc.discounted).to.be.true;
+                expect(doc.notes).to.not.exist;
+                
+                doc = coll.findOne({ _id: "2" });
+                
+                expect(doc.total).to.be.equal(20);
+                expect(doc.price).to.be.equal(4);
+                
+                // The "_id" is kept
+                coll.update({ _id: "1" }, [{ $replaceWith: { item: "$item", size: { $size: [["$price", "$qty"]] } } }]);
+                
+                expect(coll.findOne({ _id: "1" })).to.be.eql({ _id: "1", item: "a", size: 2 });
+                
+                coll.update({ _id: "2" }, [{ $project: { item: 1, qty: 1 } }, { $replaceRoot: { newRoot: { item: { $toUpper: "$item" }, qty: "$qty" } } }]);
+                
+                expect(coll.findOne({ _id: "2" })).to.be.eql({ _id: "2", item: "B", qty: 5 });
+                
+                // Upserting over the equality fields of the selection
+                updatedInfo = coll.update({ item: "c", qty: 3 }, [{ $set: { double: { $multiply: ["$qty", 2] } } }], { upsert: true });
+                
+                expect(updatedInfo.inserted.count).to.be.equal(1);
+                
+                doc = coll.findOne({ item: "c" });
+                
+                expect(doc.qty).to.be.equal(3);
+                expect(doc.double).to.be.equal(6);
+                
+                expect(function() {
+                    coll.update({ _id: "1" }, [{ $match: { item: "a" } }]);
+                }).to.throw(Error);
+                
+                expect(function() {
+                    coll.update({ _id: "1" }, [{ $set: { a: 1 }, $unset: "item" }]);
+                }).to.throw(Error);
+                
+                expect(function() {
+                    coll.update({ _id: "1" }, [{ $set: { _id: "3" } }]);
+                }).to.throw(Error);
+                
+                expect(coll.findOne({ _id: "1" })).to.be.eql({ _id: "1", item: "a", size: 2 });
+            });
+            
             it("should be able to update several documents", function() {
                 var coll = db.collection(TEST_COLL);
                 
@@ -1025,6 +1432,640 @@ describe("Collection", function() {
         });
     });
     
+    describe("#Find and Modify", function() {
+        var coll = null;
+        var events = null;
+        
+        before(function() {
+            coll = db.collection("coll_find_modify");
+            
+            coll.insert({ _id: 1, name: "job1", priority: 2, state: "ready" }, { chain: true })
+                .insert({ _id: 2, name: "job2", priority: 5, state: "ready" }, { chain: true })
+                .insert({ _id: 3, name: "job3", priority: 1, state: "ready" });
+            
+            var record = function(type) {
+                return function(args) {
+                    if (args.collection.name === "coll_find_modify") events.push(type);
+                };
+            };
+            
+            db.addStore({
+                insert: record("insert"),
+                update: record("update"),
+                remove: record("remove")
+            });
+        });
+        
+        beforeEach(function() {
+            events = [];
+        });
+        
+        it("should find and update a document", function() {
+            var doc = coll.findOneAndUpdate({ state: "ready" }, { $set: { state: "running" } }, { sort: { priority: -1 } });
+            
+            expect(doc.name).to.be.equal("job2");
+            expect(doc.state).to.be.equal("ready");
+            expect(coll.findOne({ _id: "2" }).state).to.be.equal("running");
+            expect(events).to.be.eql(["update"]);
+            
+            doc = coll.findOneAndUpdate(
+                {
+                    state: "ready"
+                }, {
+                    $inc: { priority: 10 }
+                }, {
+                    sort: { priority: 1 },
+                    projection: { name: 1, priority: 1 },
+                    returnDocument: "after"
+                }
+            );
+            
+            expect(doc).to.be.eql({ _id: "3", name: "job3", priority: 11 });
+            
+            expect(coll.findOneAndUpdate({ state: "done" }, { $set: { state: "ready" } })).to.be.null;
+            expect(events).to.be.eql(["update", "update"]);
+            
+            coll.findOneAndUpdate({ _id: "1" }, [{ $set: { double: { $multiply: ["$priority", 2] } } }], function(error, updated) {
+                expect(error).to.not.exist;
+                expect(updated.double).to.not.exist;
+            });
+            
+            expect(coll.findOne({ _id: "1" }).double).to.be.equal(4);
+        });
+        
+        it("should find and update a document with upsert", function() {
+            var doc = coll.findOneAndUpdate({ name: "counter" }, { $inc: { value: 1 } }, { upsert: true });
+            
+            expect(doc).to.be.null;
+            expect(events).to.be.eql(["insert"]);
+            
+            doc = coll.findOneAndUpdate({ name: "counter" }, { $inc: { value: 1 } }, { upsert: true, returnDocument: "after" });
+            
+            expect(doc.value).to.be.equal(2);
+            
+            doc = coll.findOneAndUpdate({ name: "other" }, { $inc: { value: 1 } }, { upsert: true, returnDocument: "after", projection: { value: 1, _id: -1 } });
+            
+            expect(doc).to.be.eql({ value: 1 });
+            expect(events).to.be.eql(["insert", "update", "insert"]);
+        });
+        
+        it("should find and replace a document", function() {
+            var doc = coll.findOneAndReplace({ name: "job3" }, { name: "job3", state: "done" }, { returnDocument: "after" });
+            
+            expect(doc._id).to.be.equal("3");
+            expect(doc.state).to.be.equal("done");
+            expect(doc.priority).to.not.exist;
+            expect(events).to.be.eql(["update"]);
+            
+            doc = coll.findOneAndReplace({ name: "job4" }, { name: "job4", state: "ready" }, { upsert: true, returnDocument: "after" });
+            
+            expect(doc.name).to.be.equal("job4");
+            expect(coll.findOne({ name: "job4" })).to.exist;
+        });
+        
+        it("should find and delete a document", function() {
+            var doc = coll.findOneAndDelete({ name: /^job/ }, { sort: { name: -1 }, projection: { name: 1 } });
+            
+            expect(doc.name).to.be.equal("job4");
+            expect(doc.state).to.not.exist;
+            expect(coll.findOne({ name: "job4" })).to.not.exist;
+            expect(events).to.be.eql(["remove"]);
+            
+            coll.findOneAndDelete({ name: "job3" }, function(error, removed) {
+                expect(error).to.not.exist;
+                expect(removed._id).to.be.equal("3");
+            });
+            
+            expect(coll.findOneAndDelete({ name: "job3" })).to.be.null;
+            expect(events).to.be.eql(["remove", "remove"]);
+        });
+        
+        it("should fail with invalid find and modify operations", function() {
+            expect(function() { coll.findOneAndUpdate({ _id: "1" }, { name: "job" }); }).to.throw(Error);
+            expect(function() { coll.findOneAndUpdate({ _id: "1" }); }).to.throw(Error);
+            expect(function() { coll.findOneAndReplace({ _id: "1" }, { $set: { name: "job" } }); }).to.throw(Error);
+            expect(function() { coll.findOneAndUpdate({ _id: "1" }, { $set: { name: "job" } }, { returnDocument: "now" }); }).to.throw(Error);
+            
+            expect(coll.findOne({ _id: "1" }).name).to.be.equal("job1");
+        });
+    });
+    
+    describe("#Indexes", function() {
+        it("should create an index over the existing documents", function() {
+            var coll = db.collection("coll_indexes_1");
+            
+            coll.insert({ name: "b", age: 22 }, { chain: true })
+                .insert({ name: "a", age: 25 }, { chain: true })
+                .insert({ name: "c" });
+            
+            var name = coll.createIndex({ age: 1 });
+            
+            expect(name).to.be.equal("age_1");
+            expect(coll._indexes.age_1.entries).to.have.length(3);
+            
+            // Missing fields are indexed first
+            expect(coll._indexes.age_1.entries[0].doc.name).to.be.equal("c");
+            expect(coll._indexes.age_1.entries[1].doc.name).to.be.equal("b");
+            expect(coll._indexes.age_1.entries[2].doc.name).to.be.equal("a");
+            
+            // Ensuring an existing index does nothing
+            expect(coll.ensureIndex("age")).to.be.equal("age_1");
+            expect(coll.indexes()).to.have.length(1);
+        });
+        
+        it("should keep the indexes updated when inserting, updating and removing", function() {
+            var coll = db.collection("coll_indexes_2");
+            
+            coll.createIndex({ age: -1, name: 1 });
+            
+            coll.insert({ name: "b", age: 22 }, { chain: true })
+                .insert({ name: "a", age: 22 }, { chain: true })
+                .insert({ name: "c", age: 30 });
+            
+            var index = coll._indexes["age_-1_name_1"];
+            
+            expect(_.map(index.entries, "key")).to.be.eql([[30, "c"], [22, "a"], [22, "b"]]);
+            
+            coll.update({ name: "a" }, { $set: { age: 40 } });
+            
+            expect(_.map(index.entries, "key")).to.be.eql([[40, "a"], [30, "c"], [22, "b"]]);
+            
+            coll.remove({ age: { $gt: 25 } });
+            
+            expect(_.map(index.entries, "key")).to.be.eql([[22, "b"]]);
+            expect(index.entries[0].doc).to.be.equal(coll.docs[0]);
+            
+            coll.drop();
+            
+            expect(index.entries).to.have.length(0);
+            expect(coll.indexes()).to.have.length(1);
+        });
+        
+        it("should index every element of an array and nested fields", function() {
+            var coll = db.collection("coll_indexes_3");
+            
+            coll.createIndex("tags");
+            coll.createIndex("address.city");
+            
+            coll.insert({ tags: ["a", "b", "a"], address: { city: "Madrid" } }, { chain: true })
+                .insert({ tags: [], address: [{ city: "Paris" }, { city: "Rome" }] });
+            
+            expect(_.map(coll._indexes.tags_1.entries, "key")).to.be.eql([[undefined], ["a"], ["b"]]);
+            expect(_.map(coll._indexes["address.city_1"].entries, "key")).to.be.eql([["Madrid"], ["Paris"], ["Rome"]]);
+            
+            expect(coll._indexes.tags_1.multikey).to.be.true;
+        });
+        
+        it("should not index documents without the fields on sparse indexes", function() {
+            var coll = db.collection("coll_indexes_4");
+            
+            coll.createIndex({ email: 1 }, { sparse: true, name: "by_email" });
+            
+            coll.insert({ email: "a@a.com" }, { chain: true })
+                .insert({ name: "no email" });
+            
+            expect(coll._indexes.by_email.entries).to.have.length(1);
+            expect(coll.indexes()[0]).to.be.eql({
+                v: 1,
+                key: { email: 1 },
+                name: "by_email",
+                sparse: true,
+                ns: TEST_DDBB + ".coll_indexes_4"
+            });
+        });
+        
+        it("should drop and rebuild the indexes", function() {
+            var coll = db.collection("coll_indexes_5");
+            
+            coll.insert({ name: "a", age: 2 });
+            
+            coll.createIndex("name");
+            coll.createIndex("age");
+            
+            coll._indexes.age_1.clear();
+            
+            expect(coll.reIndex()).to.be.true;
+            expect(coll._indexes.age_1.entries).to.have.length(1);
+            
+            expect(coll.dropIndex({ name: 1 })).to.be.true;
+            expect(coll.indexInformation()).to.be.eql({ age_1: [["age", 1]] });
+            
+            coll.dropIndex("*");
+            expect(coll.indexes()).to.be.eql([]);
+        });
+        
+        it("should fail with invalid indexes", function() {
+            var coll = db.collection("coll_indexes_6");
+            
+            coll.createIndex("field1");
+            coll.createIndex(["field2", "field3"]);
+            
+            expect(function() { coll.createIndex(); }).to.throw(Error);
+            expect(function() { coll.createIndex({}); }).to.throw(Error);
+            expect(function() { coll.createIndex({ field1: 5 }); }).to.throw(Error);
+            expect(function() { coll.createIndex("field4", { name: "field1_1" }); }).to.throw(Error);
+            expect(function() { coll.dropIndex("unknown"); }).to.throw(Error);
+            
+            // Parallel arrays
+            expect(function() { coll.insert({ field2: [1, 2], field3: [3, 4] }); }).to.throw(Error);
+            expect(coll.docs).to.have.length(0);
+        });
+        
+        it("should reject duplicated keys on unique indexes", function() {
+            var coll = db.collection("coll_indexes_7");
+            
+            coll.createIndex({ email: 1 }, { unique: true });
+            
+            coll.insert({ email: "a@a.com", name: "a" }, { chain: true })
+                .insert({ email: "b@b.com", name: "b" });
+            
+            var error = null;
+            try {
+                coll.insert({ email: "a@a.com", name: "c" });
+            } catch (err) {
+                error = err;
+            }
+            
+            expect(error).to.be.instanceof(Error);
+            expect(error.code).to.be.equal(11000);
+            expect(error.index).to.be.equal("email_1");
+            expect(error.keyValue).to.be.eql({ email: "a@a.com" });
+            expect(coll.docs).to.have.length(2);
+            
+            // Stops at the first duplicate
+            expect(function() { coll.bulkInsert([{ email: "c@c.com" }, { email: "b@b.com" }, { email: "d@d.com" }]); }).to.throw(Error);
+            expect(coll.docs).to.have.length(3);
+            
+            // Update
+            expect(function() { coll.update({ name: "b" }, { $set: { email: "a@a.com" } }); }).to.throw(Error);
+            expect(coll.findOne({ name: "b" }).email).to.be.equal("b@b.com");
+            expect(coll.find({ email: "a@a.com" }).count()).to.be.equal(1);
+            
+            // Updating the document with its own key
+            coll.update({ name: "b" }, { $set: { email: "b@b.com", age: 5 } });
+            expect(coll.findOne({ name: "b" }).age).to.be.equal(5);
+            
+            // Upsert
+            expect(function() { coll.update({ name: "z" }, { email: "c@c.com" }, { upsert: true }); }).to.throw(Error);
+            expect(coll.docs).to.have.length(3);
+            
+            // A missing field is a null key
+            coll.insert({ name: "no email" });
+            expect(function() { coll.insert({ name: "null email", email: null }); }).to.throw(Error);
+        });
+        
+        it("should reject duplicated ids", function() {
+            var coll = db.collection("coll_indexes_12");
+            
+            coll.insert({ _id: 1, name: "a" });
+            
+            var error = null;
+            try {
+                coll.insert({ _id: "1", name: "b" });
+            } catch (err) {
+                error = err;
+            }
+            
+            expect(error).to.be.instanceof(Error);
+            expect(error.code).to.be.equal(11000);
+            expect(error.index).to.be.equal("_id_");
+            expect(error.keyValue).to.be.eql({ _id: "1" });
+            expect(coll.docs).to.have.length(1);
+            expect(coll.findOne({ _id: "1" }).name).to.be.equal("a");
+            
+            // Stops at the first duplicate
+            expect(function() { coll.bulkInsert([{ _id: 2 }, { _id: 1 }, { _id: 3 }]); }).to.throw(Error);
+            expect(coll.docs).to.have.length(2);
+            
+            // Upsert
+            expect(function() { coll.update({ name: "z" }, { _id: 2, name: "z" }, { upsert: true }); }).to.throw(Error);
+            expect(coll.docs).to.have.length(2);
+            
+            // Removed ids can be used again
+            coll.remove({ _id: "2" });
+            coll.insert({ _id: 2, name: "c" });
+            expect(coll.findOne({ _id: "2" }).name).to.be.equal("c");
+        });
+        
+        it("should allow missing fields on unique sparse indexes", function() {
+            var coll = db.collection("coll_indexes_8");
+            
+            coll.createIndex({ nick: 1 }, { unique: true, sparse: true });
+            
+            coll.insert({ name: "a" }, { chain: true })
+                .insert({ name: "b" }, { chain: true })
+                .insert({ name: "c", nick: "c" });
+            
+            expect(coll.docs).to.have.length(3);
+            expect(function() { coll.insert({ nick: "c" }); }).to.throw(Error);
+            
+            // Multikey
+            coll.createIndex("tags", { unique: true, sparse: true });
+            coll.insert({ name: "d", tags: ["x", "y"] });
+            
+            expect(function() { coll.insert({ name: "e", tags: ["z", "y"] }); }).to.throw(Error);
+        });
+        
+        it("should create unique indexes over duplicated keys only when dropping them", function() {
+            var coll = db.collection("coll_indexes_9");
+            
+            coll.insert({ name: "a", age: 1 }, { chain: true })
+                .insert({ name: "b", age: 2 }, { chain: true })
+                .insert({ name: "c", age: 1 }, { chain: true })
+                .insert({ name: "d", age: 1 });
+            
+            expect(function() { coll.createIndex("age", { unique: true }); }).to.throw(Error);
+            expect(coll.indexes()).to.be.eql([]);
+            expect(coll.docs).to.have.length(4);
+            
+            var removed = null;
+            db.addStore({
+                remove: function(args) {
+                    if (args.collection.name === "coll_indexes_9") removed = args.docs;
+                }
+            });
+            
+            coll.createIndex("age", { unique: true, dropDups: true });
+            
+            expect(coll.indexInformation()).to.be.eql({ age_1: [["age", 1]] });
+            expect(_.map(coll.docs, "name")).to.be.eql(["a", "b"]);
+            expect(_.map(removed, "name")).to.be.eql(["c", "d"]);
+            expect(coll.findOne({ name: "b" })).to.exist;
+        });
+        
+        it("should expire the documents of TTL indexes", function() {
+            var coll = db.collection("coll_indexes_10");
+            var now = new Date(2016, 5, 15, 10, 0, 0);
+            
+            coll.clock = function() { return now.getTime(); };
+            
+            coll.createIndex({ createdAt: -1 }, { expireAfterSeconds: 3600 });
+            
+            expect(coll.indexes()[0].expireAfterSeconds).to.be.equal(3600);
+            
+            coll.insert({ name: "a", createdAt: new Date(2016, 5, 15, 8, 0, 0) }, { chain: true })
+                .insert({ name: "b", createdAt: new Date(2016, 5, 15, 9, 30, 0) }, { chain: true })
+                .insert({ name: "c", createdAt: [new Date(2016, 5, 15, 9, 45, 0), new Date(2016, 5, 14, 9, 0, 0)] }, { chain: true })
+                .insert({ name: "d", createdAt: "2016-06-14" }, { chain: true })
+                .insert({ name: "e" });
+            
+            var removed = null;
+            db.addStore({
+                remove: function(args) {
+                    if (args.collection.name === "coll_indexes_10") removed = args.docs;
+                }
+            });
+            
+            var expired = coll.expire();
+            
+            expect(_.map(expired, "name").sort()).to.be.eql(["a", "c"]);
+            expect(_.map(removed, "name").sort()).to.be.eql(["a", "c"]);
+            expect(_.map(coll.docs, "name")).to.be.eql(["b", "d", "e"]);
+            
+            now = new Date(2016, 5, 15, 10, 30, 0);
+            
+            coll.expire(function(error, docs) {
+                expect(error).to.not.exist;
+                expect(_.map(docs, "name")).to.be.eql(["b"]);
+            });
+            
+            expect(coll.expire()).to.be.eql([]);
+            expect(coll.find({ name: "d" }).count()).to.be.equal(1);
+        });
+        
+        it("should fail with invalid TTL indexes", function() {
+            var coll = db.collection("coll_indexes_11");
+            
+            expect(function() { coll.createIndex("date", { expireAfterSeconds: -1 }); }).to.throw(Error);
+            expect(function() { coll.createIndex("date", { expireAfterSeconds: "1" }); }).to.throw(Error);
+            expect(function() { coll.createIndex({ date: 1, name: 1 }, { expireAfterSeconds: 10 }); }).to.throw(Error);
+            expect(coll.indexes()).to.be.eql([]);
+        });
+    });
+    
+    describe("#Text Search", function() {
+        var coll = null;
+        
+        before(function() {
+            coll = db.collection("coll_text_1");
+            
+            coll.insert({ _id: 1, title: "Running shoes", body: "The best shoes for runners who run daily" }, { chain: true })
+                .insert({ _id: 2, title: "Coffee shop", body: "A cozy café serving coffee and cakes" }, { chain: true })
+                .insert({ _id: 3, title: "Cafe review", body: "The Coffee was fine, but the shop was noisy" }, { chain: true })
+                .insert({ _id: 4, title: "Notes", body: "running running", language: "none" }, { chain: true })
+                .insert({ _id: 5, title: 5 });
+            
+            coll.createIndex({ title: "text", body: "text" }, { weights: { title: 10 } });
+        });
+        
+        it("should create a text index", function() {
+            var index = coll.indexes()[0];
+            
+            expect(index.name).to.be.equal("title_text_body_text");
+            expect(index.key).to.be.eql({ _fts: "text", _ftsx: 1 });
+            expect(index.weights).to.be.eql({ title: 10, body: 1 });
+            expect(index.default_language).to.be.equal("english");
+            expect(index.language_override).to.be.equal("language");
+            
+            expect(function() { coll.createIndex({ body: "text" }); }).to.throw(Error);
+            expect(function() { db.collection("coll_text_2").createIndex({ title: "text", date: 1 }); }).to.throw(Error);
+            expect(function() { db.collection("coll_text_2").createIndex({ title: "text" }, { default_language: "klingon" }); }).to.throw(Error);
+            expect(function() { db.collection("coll_text_2").find({ $text: { $search: "coffee" } }).fetch(); }).to.throw(Error);
+        });
+        
+        it("should search the stemmed terms, without the stop words", function() {
+            expect(_.map(coll.find({ $text: { $search: "run" } }).fetch(), "_id")).to.be.eql(["1"]);
+            expect(_.map(coll.find({ $text: { $search: "RUNNING" } }).fetch(), "_id")).to.be.eql(["1"]);
+            expect(_.map(coll.find({ $text: { $search: "running", $language: "none" } }).fetch(), "_id")).to.be.eql(["4"]);
+            expect(_.map(coll.find({ $text: { $search: "cakes shoe" } }).fetch(), "_id").sort()).to.be.eql(["1", "2"]);
+            expect(coll.find({ $text: { $search: "the was" } }).count()).to.be.equal(0);
+            
+            expect(_.map(coll.find({ $text: { $search: "coffee" }, _id: { $gt: "2" } }).fetch(), "_id")).to.be.eql(["3"]);
+        });
+        
+        it("should search inside logical operators", function() {
+            expect(_.map(coll.find({ $and: [{ $text: { $search: "coffee" } }, { _id: { $gt: "2" } }] }).fetch(), "_id")).to.be.eql(["3"]);
+            expect(_.map(coll.find({ $or: [{ $text: { $search: "run" } }, { title: "Notes" }] }).fetch(), "_id")).to.be.eql(["1", "4"]);
+            
+            expect(function() { db.collection("coll_text_2").find({ $or: [{ $text: { $search: "coffee" } }, { _id: 1 }] }).fetch(); }).to.throw(Error);
+        });
+        
+        it("should search phrases and negated terms", function() {
+            expect(_.map(coll.find({ $text: { $search: "\"coffee shop\"" } }).fetch(), "_id")).to.be.eql(["2"]);
+            expect(_.map(coll.find({ $text: { $search: "coffee -cakes" } }).fetch(), "_id")).to.be.eql(["3"]);
+            expect(_.map(coll.find({ $text: { $search: "coffee -\"coffee shop\"" } }).fetch(), "_id")).to.be.eql(["3"]);
+            expect(coll.find({ $text: { $search: "-coffee" } }).count()).to.be.equal(0);
+        });
+        
+        it("should search with case and diacritics sensitivity", function() {
+            expect(_.map(coll.find({ $text: { $search: "cafe" } }).fetch(), "_id")).to.be.eql(["2", "3"]);
+            expect(_.map(coll.find({ $text: { $search: "cafe", $diacriticSensitive: true } }).fetch(), "_id")).to.be.eql(["3"]);
+            expect(_.map(coll.find({ $text: { $search: "café", $diacriticSensitive: true } }).fetch(), "_id")).to.be.eql(["2"]);
+            expect(_.map(coll.find({ $text: { $search: "Coffee", $caseSensitive: true } }).fetch(), "_id")).to.be.eql(["2", "3"]);
+            expect(_.map(coll.find({ $text: { $search: "coffee", $caseSensitive: true } }).fetch(), "_id")).to.be.eql(["2"]);
+        });
+        
+        it("should project and sort by the text score", function() {
+            var docs = coll.find(
+                { $text: { $search: "coffee shop" } },
+                { title: 1, score: { $meta: "textScore" } },
+                { sort: { score: { $meta: "textScore" } } }
+            ).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["2", "3"]);
+            expect(_.keys(docs[0]).sort()).to.be.eql(["_id", "score", "title"]);
+            expect(docs[0].score).to.be.above(docs[1].score);
+            
+            // Higher weights, higher scores
+            var weighted = coll.find({ $text: { $search: "cafe" } }, { score: { $meta: "textScore" } }).sort({ score: { $meta: "textScore" } }).fetch();
+            
+            expect(_.map(weighted, "_id")).to.be.eql(["3", "2"]);
+            expect(weighted[0].body).to.exist;
+            
+            expect(function() { coll.find({ title: "Notes" }, { score: { $meta: "textScore" } }).fetch(); }).to.throw(Error);
+        });
+        
+        it("should explain the text search", function() {
+            var plan = coll.find({ $text: { $search: "coffee -cakes" } }).explain().queryPlanner.winningPlan;
+            
+            expect(plan.stage).to.be.equal("TEXT");
+            expect(plan.indexName).to.be.equal("title_text_body_text");
+            expect(plan.parsedTextQuery).to.be.eql({ terms: ["coffe"], negatedTerms: ["cake"], phrases: [], negatedPhrases: [] });
+            expect(plan.inputStage.inputStage.stage).to.be.equal("IDXSCAN");
+        });
+    });
+    
+    describe("#Geospatial", function() {
+        var coll = null;
+        var timesSquare = { type: "Point", coordinates: [-73.9855, 40.758] };
+        
+        before(function() {
+            coll = db.collection("coll_geo_1");
+            
+            coll.insert({ _id: 1, name: "Central Park", location: { type: "Point", coordinates: [-73.97, 40.77] } }, { chain: true })
+                .insert({ _id: 2, name: "Times Square", location: timesSquare }, { chain: true })
+                .insert({ _id: 3, name: "Brooklyn Bridge", location: { type: "Point", coordinates: [-73.9969, 40.7061] } }, { chain: true })
+                .insert({ _id: 4, name: "Statue of Liberty", location: [-74.0445, 40.6892] }, { chain: true })
+                .insert({ _id: 5, name: "Broadway", location: { type: "LineString", coordinates: [[-73.99, 40.73], [-73.98, 40.74]] } }, { chain: true })
+                .insert({ _id: 6, name: "Harlem", location: { type: "Polygon", coordinates: [[[-73.96, 40.8], [-73.94, 40.8], [-73.94, 40.82], [-73.96, 40.82], [-73.96, 40.8]]] } }, { chain: true })
+                .insert({ _id: 7, name: "Nowhere" });
+            
+            coll.createIndex({ location: "2dsphere" });
+        });
+        
+        it("should create a geospatial index", function() {
+            var index = coll.indexes()[0];
+            
+            expect(index.name).to.be.equal("location_2dsphere");
+            expect(index.key).to.be.eql({ location: "2dsphere" });
+            expect(index["2dsphereIndexVersion"]).to.be.equal(3);
+            
+            expect(function() { coll.insert({ _id: 8, location: { type: "Point", coordinates: [200, 0] } }); }).to.throw(Error);
+            expect(function() { coll.insert({ _id: 8, location: { type: "Polygon", coordinates: [[[0, 0], [1, 1], [1, 0]]] } }); }).to.throw(Error);
+            expect(coll.find().count()).to.be.equal(7);
+            
+            expect(function() { db.collection("coll_geo_2").createIndex({ location: "2dsphere", name: 1 }); }).to.throw(Error);
+            expect(function() { db.collection("coll_geo_2").createIndex({ location: "2d" }, { min: 10, max: 0 }); }).to.throw(Error);
+            expect(function() { db.collection("coll_geo_2").createIndex({ location: "2d" }, { bits: 40 }); }).to.throw(Error);
+        });
+        
+        it("should find the nearest documents first", function() {
+            var docs = coll.find({ location: { $near: { $geometry: timesSquare, $maxDistance: 2500 } } }).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["2", "1", "5"]);
+            
+            // The distances of the legacy coordinates are in radians on the sphere
+            docs = coll.find({ location: { $nearSphere: [-73.9855, 40.758], $minDistance: 1000 / 6378100, $maxDistance: 6000 / 6378100 } }).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["1", "5", "6", "3"]);
+            
+            // Sorting overrides the distance order
+            docs = coll.find({ location: { $near: { $geometry: timesSquare } } }, null, { sort: { name: 1 } }).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["5", "3", "1", "6", "4", "2"]);
+            
+            expect(function() { db.collection("coll_geo_2").find({ location: { $near: [0, 0] } }).fetch(); }).to.throw(Error);
+            expect(function() { coll.find({ location: { $near: { $geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] } } } }).fetch(); }).to.throw(Error);
+        });
+        
+        it("should project the distance of the nearest documents", function() {
+            var docs = coll.find({ location: { $near: { $geometry: timesSquare, $maxDistance: 2000 } } }, { name: 1, distance: { $meta: "geoNearDistance" } }).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["2", "1"]);
+            expect(docs[0].distance).to.be.equal(0);
+            expect(docs[1].distance).to.be.within(1850, 1900);
+            
+            expect(function() { coll.find({ name: "Harlem" }, { distance: { $meta: "geoNearDistance" } }).fetch(); }).to.throw(Error);
+        });
+        
+        it("should find the documents within a shape", function() {
+            var within = function(shape) {
+                return _.map(coll.find({ location: { $geoWithin: shape } }).fetch(), "_id").sort();
+            };
+            
+            expect(within({ $box: [[-74, 40.7], [-73.95, 40.78]] })).to.be.eql(["1", "2", "3", "5"]);
+            expect(within({ $centerSphere: [[-73.9855, 40.758], 5000 / 6378100] })).to.be.eql(["1", "2", "5"]);
+            expect(within({ $polygon: [[-73.97, 40.79], [-73.9, 40.79], [-73.9, 40.85], [-73.97, 40.85]] })).to.be.eql(["6"]);
+            expect(within({ $geometry: { type: "Polygon", coordinates: [[[-74.1, 40.6], [-73.9, 40.6], [-73.9, 40.76], [-74.1, 40.76], [-74.1, 40.6]]] } })).to.be.eql(["2", "3", "4", "5"]);
+            
+            // The whole line must be within the shape
+            expect(within({ $box: [[-74, 40.7], [-73.985, 40.76]] })).to.be.eql(["2", "3"]);
+            
+            expect(function() { within({ $sphere: [0, 0] }); }).to.throw(Error);
+        });
+        
+        it("should find the documents intersecting a geometry", function() {
+            var intersecting = function(geometry) {
+                return _.map(coll.find({ location: { $geoIntersects: { $geometry: geometry } } }).fetch(), "_id").sort();
+            };
+            
+            expect(intersecting({ type: "LineString", coordinates: [[-73.95, 40.79], [-73.95, 40.83]] })).to.be.eql(["6"]);
+            expect(intersecting({ type: "Polygon", coordinates: [[[-73.985, 40.735], [-73.975, 40.735], [-73.975, 40.745], [-73.985, 40.745], [-73.985, 40.735]]] })).to.be.eql(["5"]);
+            expect(intersecting(timesSquare)).to.be.eql(["2"]);
+            expect(intersecting({ type: "Point", coordinates: [-73.95, 40.81] })).to.be.eql(["6"]);
+        });
+        
+        it("should use the geospatial indexes", function() {
+            var plan = coll.find({ location: { $near: { $geometry: timesSquare, $maxDistance: 1000 } } }).explain().queryPlanner.winningPlan;
+            
+            expect(plan.stage).to.be.equal("GEO_NEAR_2DSPHERE");
+            expect(plan.indexName).to.be.equal("location_2dsphere");
+            expect(plan.inputStage.inputStage.stage).to.be.equal("IDXSCAN");
+            
+            var explain = coll.find({ location: { $geoWithin: { $box: [[-74, 40.7], [-73.95, 40.78]] } } }).explain();
+            
+            expect(explain.queryPlanner.winningPlan.inputStage.indexName).to.be.equal("location_2dsphere");
+            expect(explain.executionStats.totalKeysExamined).to.be.below(7);
+            expect(explain.executionStats.nReturned).to.be.equal(4);
+        });
+        
+        it("should query the legacy coordinates of a 2d index", function() {
+            var coll2d = db.collection("coll_geo_3");
+            
+            coll2d.insert({ _id: 1, pos: [1, 1] }, { chain: true })
+                .insert({ _id: 2, pos: [3, 4] }, { chain: true })
+                .insert({ _id: 3, pos: { x: 8, y: 8 } }, { chain: true })
+                .insert({ _id: 4, pos: [[9, 0], [0, 9]] });
+            
+            coll2d.createIndex({ pos: "2d" }, { min: 0, max: 10 });
+            
+            expect(coll2d.indexes()[0].min).to.be.equal(0);
+            expect(function() { coll2d.insert({ _id: 5, pos: [11, 0] }); }).to.throw(Error);
+            
+            var docs = coll2d.find({ pos: { $near: [0, 0], $maxDistance: 9 } }, { distance: { $meta: "geoNearDistance" } }).fetch();
+            
+            expect(_.map(docs, "_id")).to.be.eql(["1", "2", "4"]);
+            expect(_.map(docs, "distance")).to.be.eql([Math.sqrt(2), 5, 9]);
+            
+            expect(_.map(coll2d.find({ pos: { $geoWithin: { $center: [[0, 0], 5] } } }).fetch(), "_id").sort()).to.be.eql(["1", "2"]);
+            expect(_.map(coll2d.find({ pos: { $geoWithin: { $box: [[2, 2], [10, 10]] } } }).fetch(), "_id").sort()).to.be.eql(["2", "3"]);
+            
+            var plan = coll2d.find({ pos: { $near: [0, 0] } }).explain().queryPlanner.winningPlan;
+            
+            expect(plan.stage).to.be.equal("GEO_NEAR_2D");
+        });
+    });
+    
     describe("#Backups", function() {
         var ID = null;
         
@@ -10,11 +10,15 @@ var EventEmitter = require("../lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("../lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("../lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("../lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("../lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("../lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("../lib/TextSearch")(Logger, _);
+var Index = require("../lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("../lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("../lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 var TEST_DDBB = "test_database";
@@ -46,9 +50,9 @@ describe("Aggregation", function() {
         
         // it("should be able to instanciate", function() {
         //     var coll = new Collection(db, TEST_COLL);
-            
+        
         //     expect(coll).to.exist;
-            
+        
         //     expect(coll.name).to.be.equal(TEST_COLL);
         //     expect(coll.fullName).to.be.equal(db.databaseName + '.' + TEST_COLL);
         // });
@@ -147,6 +151,606 @@ describe("Aggregation", function() {
             expect(docs).to.have.length(1);
             expect(docs[0].aver_age).to.be.equal(23);
         });
+        
+        it("should be able to group with every accumulator", function() {
+            var coll = db.collection("coll_group_3");
+            
+            coll.insert({ _id: 1, team: 'a', name: 'aaaa', stats: { score: 2 }, tags: ['x'], info: { city: 'Madrid' } }, {chain: true})
+                .insert({ _id: 2, team: 'b', name: 'bbbb', stats: { score: 4 }, tags: ['y'], info: { zip: 28001 } }, {chain: true})
+                .insert({ _id: 3, team: 'a', name: 'cccc', stats: { score: 4 }, tags: ['x'], info: { city: 'Paris', zip: 75001 } }, {chain: true})
+                .insert({ _id: 4, team: 'a', name: 'dddd', stats: { score: 'n/a' }, tags: [] }, {chain: true})
+                .insert({ _id: 5, team: 'b', name: 'eeee', stats: {}, tags: ['y', 'z'] });
+            
+            var docs = coll.aggregate([{
+                $group: {
+                    _id: '$team',
+                    count: { $count: {} },
+                    total: { $sum: '$stats.score' },
+                    average: { $avg: '$stats.score' },
+                    min: { $min: '$stats.score' },
+                    max: { $max: '$stats.score' },
+                    first: { $first: '$name' },
+                    last: { $last: '$stats.score' },
+                    names: { $push: '$name' },
+                    tags: { $addToSet: '$tags' },
+                    pop: { $stdDevPop: '$stats.score' },
+                    samp: { $stdDevSamp: '$stats.score' },
+                    info: { $mergeObjects: '$info' }
+                }
+            }]);
+            
+            expect(docs).to.be.eql([{
+                _id: 'a',
+                count: 3,
+                total: 6,
+                average: 3,
+                min: 2,
+                max: 'n/a',
+                first: 'aaaa',
+                last: 'n/a',
+                names: ['aaaa', 'cccc', 'dddd'],
+                tags: [['x'], []],
+                pop: 1,
+                samp: Math.sqrt(2),
+                info: { city: 'Paris', zip: 75001 }
+            }, {
+                _id: 'b',
+                count: 2,
+                total: 4,
+                average: 4,
+                min: 4,
+                max: 4,
+                first: 'bbbb',
+                last: null,
+                names: ['bbbb', 'eeee'],
+                tags: [['y'], ['y', 'z']],
+                pop: 0,
+                samp: null,
+                info: { zip: 28001 }
+            }]);
+        });
+        
+        it("should be able to group by expressions", function() {
+            var coll = db.collection("coll_group_3");
+            
+            var docs = coll.aggregate([{
+                $group: {
+                    _id: { team: '$team', high: { $gte: ['$stats.score', 4] } },
+                    names: { $push: { name: '$name', tagged: { $in: ['x', '$tags'] } } },
+                    count: { $sum: 1 }
+                }
+            }]);
+            
+            expect(docs).to.be.eql([
+                { _id: { team: 'a', high: false }, names: [{ name: 'aaaa', tagged: true }], count: 1 },
+                { _id: { team: 'b', high: true }, names: [{ name: 'bbbb', tagged: false }], count: 1 },
+                { _id: { team: 'a', high: true }, names: [{ name: 'cccc', tagged: true }, { name: 'dddd', tagged: false }], count: 2 },
+                { _id: { team: 'b', high: false }, names: [{ name: 'eeee', tagged: false }], count: 1 }
+            ]);
+            
+            docs = coll.aggregate([{ $group: { _id: '$missing', count: { $sum: 1 } } }]);
+            
+            expect(docs).to.be.eql([{ _id: null, count: 5 }]);
+        });
+        
+        it("should fail with invalid accumulators", function() {
+            var coll = db.collection("coll_group_3");
+            
+            expect(function() { coll.aggregate([{ $group: { count: { $sum: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, count: { $total: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, count: 1 } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, count: { $sum: 1, $avg: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, count: { $sum: ['$a', '$b'] } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, count: { $count: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, 'a.b': { $sum: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $group: { _id: null, info: { $mergeObjects: '$name' } } }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Project", function() {
+        var coll = null;
+        
+        before(function() {
+            coll = db.collection("coll_project_1");
+            
+            coll.insert({
+                _id: 1,
+                name: 'Ada Lovelace',
+                born: new Date(Date.UTC(1815, 11, 10)),
+                stats: { score: 7, level: '3' },
+                items: [{ sku: 'a', qty: 2, price: 10 }, { sku: 'b', qty: 1, price: 4.5 }, 'loose']
+            }, {chain: true})
+            .insert({
+                _id: 2,
+                name: 'Alan Turing',
+                born: new Date(Date.UTC(1912, 5, 23)),
+                stats: { score: 3 },
+                items: []
+            });
+        });
+        
+        it("should be able to include and exclude fields", function() {
+            var docs = coll.aggregate([{ $project: { name: 1, 'stats.score': 1, items: { sku: true } } }]);
+            
+            expect(docs[0]).to.be.eql({ _id: '1', name: 'Ada Lovelace', stats: { score: 7 }, items: [{ sku: 'a' }, { sku: 'b' }] });
+            expect(docs[1]).to.be.eql({ _id: '2', name: 'Alan Turing', stats: { score: 3 }, items: [] });
+            
+            docs = coll.aggregate([{ $project: { _id: 0, born: 0, timestamp: 0, items: 0, stats: { level: 0 } } }]);
+            
+            expect(docs).to.be.eql([{ name: 'Ada Lovelace', stats: { score: 7 } }, { name: 'Alan Turing', stats: { score: 3 } }]);
+            
+            expect(coll.aggregate([{ $project: { _id: 1 } }])).to.be.eql([{ _id: '1' }, { _id: '2' }]);
+            
+            // Only "_id" can be excluded in an inclusion projection
+            expect(function() { coll.aggregate([{ $project: { name: 1, born: 0 } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $project: { year: { $year: '$born' }, items: false } }]); }).to.throw(Error);
+            
+            // The documents of the collection are not modified
+            expect(coll.docs[0].items).to.have.length(3);
+        });
+        
+        it("should be able to calculate fields with expressions", function() {
+            var docs = coll.aggregate([{ $match: { _id: 1 } }, {
+                $project: {
+                    _id: 0,
+                    first: { $arrayElemAt: [{ $split: ['$name', ' '] }, 0] },
+                    initials: { $concat: [{ $substr: ['$name', 0, 1] }, { $toUpper: { $substr: ['$name', 4, 1] } }] },
+                    lower: { $toLower: '$name' },
+                    year: { $year: '$born' },
+                    month: { $month: '$born' },
+                    day: { $dayOfMonth: { date: '$born' } },
+                    date: { $dateToString: { format: '%d/%m/%Y', date: '$born' } },
+                    total: { $add: ['$stats.score', { $multiply: [2, 3] }, { $subtract: [10, { $divide: [9, 3] }] }, { $mod: [7, 4] }] },
+                    level: { $toInt: '$stats.level' },
+                    label: { $toString: '$stats.score' },
+                    converted: { $convert: { input: '$name', to: 'int', onError: -1 } },
+                    none: { $convert: { input: '$missing', to: 'int', onNull: 0 } },
+                    grade: { $cond: { if: { $gte: ['$stats.score', 5] }, then: 'high', else: 'low' } },
+                    kind: { $switch: { branches: [{ case: { $eq: ['$stats.score', 3] }, then: 'three' }], default: 'other' } },
+                    nick: { $ifNull: ['$nick', '$missing', 'none'] },
+                    count: { $size: '$items' },
+                    cheap: { $filter: { input: '$items', as: 'item', cond: { $lt: ['$$item.price', 5] } } },
+                    subtotals: { $map: { input: { $slice: ['$items', 2] }, in: { $multiply: ['$$this.qty', '$$this.price'] } } },
+                    last: { $slice: ['$items', -1] },
+                    missing: '$missing',
+                    literal: { $literal: '$name' }
+                }
+            }]);
+            
+            expect(docs).to.be.eql([{
+                first: 'Ada',
+                initials: 'AL',
+                lower: 'ada lovelace',
+                year: 1815,
+                month: 12,
+                day: 10,
+                date: '10/12/1815',
+                total: 23,
+                level: 3,
+                label: '7',
+                converted: -1,
+                none: 0,
+                grade: 'high',
+                kind: 'other',
+                nick: 'none',
+                count: 3,
+                cheap: [{ sku: 'b', qty: 1, price: 4.5 }, 'loose'],
+                subtotals: [20, 4.5],
+                last: ['loose'],
+                literal: '$name'
+            }]);
+        });
+        
+        it("should be able to use the dates in expressions", function() {
+            var docs = coll.aggregate([{ $match: { _id: 2 } }, {
+                $project: {
+                    later: { $add: ['$born', 86400000] },
+                    days: { $divide: [{ $subtract: [new Date(Date.UTC(1912, 5, 30)), '$born'] }, 86400000] },
+                    iso: { $toString: '$born' },
+                    date: { $toDate: '1912-06-23T00:00:00.000Z' }
+                }
+            }]);
+            
+            expect(docs[0].later).to.be.eql(new Date(Date.UTC(1912, 5, 24)));
+            expect(docs[0].days).to.be.equal(7);
+            expect(docs[0].iso).to.be.equal('1912-06-23T00:00:00.000Z');
+            expect(docs[0].date).to.be.eql(new Date(Date.UTC(1912, 5, 23)));
+        });
+        
+        it("should fail with invalid expressions", function() {
+            var project = function(expression) {
+                return function() {
+                    coll.aggregate([{ $project: { value: expression } }]);
+                };
+            };
+            
+            expect(project({ $add: ['$name', 1] })).to.throw(Error);
+            expect(project({ $divide: [1, 0] })).to.throw(Error);
+            expect(project({ $concat: ['$name', 1] })).to.throw(Error);
+            expect(project({ $size: '$name' })).to.throw(Error);
+            expect(project({ $switch: { branches: [] } })).to.throw(Error);
+            expect(project({ $toInt: '$name' })).to.throw(Error);
+            expect(project({ $convert: { input: 1, to: 'color' } })).to.throw(Error);
+            expect(project({ $map: { input: '$items', as: 'Item', in: 1 } })).to.throw(Error);
+            expect(project({ $dateToString: { format: '%Q', date: '$born' } })).to.throw(Error);
+            expect(project({ $unknown: 1 })).to.throw(Error);
+            expect(project({})).to.throw(Error);
+            
+            expect(function() { coll.aggregate([{ $project: {} }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#AddFields", function() {
+        var coll = null;
+        
+        before(function() {
+            coll = db.collection("coll_add_fields_1");
+            
+            coll.insert({ _id: 1, name: 'aaaa', stats: { score: 2, level: 1 }, items: [{ qty: 2 }, 3] }, {chain: true})
+                .insert({ _id: 2, name: 'bbbb', stats: { score: 5 }, items: [] });
+        });
+        
+        it("should be able to add fields ($addFields and $set)", function() {
+            var docs = coll.aggregate([{
+                $addFields: {
+                    double: { $multiply: ['$stats.score', 2] },
+                    'stats.level': { $ifNull: ['$stats.level', 0] },
+                    name: { $toUpper: '$name' },
+                    'items.checked': true
+                }
+            }, {
+                $set: { stats: { total: { $add: ['$double', '$stats.level'] } }, missing: '$missing' }
+            }]);
+            
+            expect(_.map(docs, doc => _.omit(doc, 'timestamp'))).to.be.eql([{
+                _id: '1',
+                name: 'AAAA',
+                double: 4,
+                stats: { score: 2, level: 1, total: 5 },
+                items: [{ qty: 2, checked: true }, { checked: true }]
+            }, {
+                _id: '2',
+                name: 'BBBB',
+                double: 10,
+                stats: { score: 5, level: 0, total: 10 },
+                items: []
+            }]);
+            
+            // The documents of the collection are not modified
+            expect(coll.docs[0].name).to.be.equal('aaaa');
+            
+            expect(function() { coll.aggregate([{ $addFields: {} }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $set: { $name: 1 } }]); }).to.throw(Error);
+        });
+        
+        it("should be able to remove fields ($unset)", function() {
+            var docs = coll.aggregate([{ $unset: ['timestamp', 'stats.level', 'items.qty'] }]);
+            
+            expect(docs[0]).to.be.eql({ _id: '1', name: 'aaaa', stats: { score: 2 }, items: [{}, 3] });
+            
+            docs = coll.aggregate([{ $unset: 'stats' }, { $project: { stats: 1 } }]);
+            
+            expect(docs).to.be.eql([{ _id: '1' }, { _id: '2' }]);
+            
+            expect(function() { coll.aggregate([{ $unset: [] }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $unset: '$name' }]); }).to.throw(Error);
+        });
+        
+        it("should be able to replace the documents ($replaceRoot and $replaceWith)", function() {
+            var docs = coll.aggregate([{ $replaceRoot: { newRoot: '$stats' } }]);
+            
+            expect(docs).to.be.eql([{ score: 2, level: 1 }, { score: 5 }]);
+            
+            docs = coll.aggregate([{ $replaceWith: { name: '$name', score: '$stats.score', count: { $size: '$items' } } }]);
+            
+            expect(docs).to.be.eql([{ name: 'aaaa', score: 2, count: 2 }, { name: 'bbbb', score: 5, count: 0 }]);
+            
+            expect(function() { coll.aggregate([{ $replaceRoot: '$stats' }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $replaceWith: '$name' }]); }).to.throw(/must evaluate to an object/);
+            expect(function() { coll.aggregate([{ $replaceRoot: { newRoot: '$missing' } }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#GraphLookup", function() {
+        var employees = null;
+        
+        before(function() {
+            employees = db.collection("coll_graph_employees");
+            
+            employees.insert({ _id: 1, name: 'Dev', title: 'ceo' }, {chain: true})
+                .insert({ _id: 2, name: 'Eliot', title: 'cto', reportsTo: 'Dev' }, {chain: true})
+                .insert({ _id: 3, name: 'Ron', title: 'vp', reportsTo: 'Eliot' }, {chain: true})
+                .insert({ _id: 4, name: 'Andrew', title: 'engineer', reportsTo: 'Eliot' }, {chain: true})
+                .insert({ _id: 5, name: 'Asya', title: 'engineer', reportsTo: 'Ron' }, {chain: true})
+                .insert({ _id: 6, name: 'Dan', title: 'intern', reportsTo: 'Andrew' });
+            
+            db.collection("coll_graph_loops")
+                .insert({ _id: 1, name: 'a', next: ['b', 'c'] }, {chain: true})
+                .insert({ _id: 2, name: 'b', next: 'a' }, {chain: true})
+                .insert({ _id: 3, name: 'c' });
+        });
+        
+        it("should be able to follow the documents recursively", function() {
+            var docs = employees.aggregate([{ $match: { name: 'Dan' } }, {
+                $graphLookup: {
+                    from: 'coll_graph_employees',
+                    startWith: '$reportsTo',
+                    connectFromField: 'reportsTo',
+                    connectToField: 'name',
+                    as: 'chain',
+                    depthField: 'level'
+                }
+            }]);
+            
+            expect(_.map(docs[0].chain, doc => [doc.name, doc.level])).to.be.eql([['Andrew', 0], ['Eliot', 1], ['Dev', 2]]);
+            
+            // The collection is not modified
+            expect(employees.findOne({ name: 'Andrew' }).level).to.not.exist;
+        });
+        
+        it("should be able to limit the search", function() {
+            var docs = employees.aggregate([{ $match: { name: 'Dev' } }, {
+                $graphLookup: {
+                    from: 'coll_graph_employees',
+                    startWith: '$name',
+                    connectFromField: 'name',
+                    connectToField: 'reportsTo',
+                    as: 'reports',
+                    maxDepth: 1
+                }
+            }]);
+            
+            expect(_.map(docs[0].reports, 'name').sort()).to.be.eql(['Andrew', 'Eliot', 'Ron']);
+            
+            docs = employees.aggregate([{ $match: { name: 'Dev' } }, {
+                $graphLookup: {
+                    from: 'coll_graph_employees',
+                    startWith: '$name',
+                    connectFromField: 'name',
+                    connectToField: 'reportsTo',
+                    as: 'reports',
+                    restrictSearchWithMatch: { title: { $ne: 'vp' } }
+                }
+            }]);
+            
+            expect(_.map(docs[0].reports, 'name').sort()).to.be.eql(['Andrew', 'Dan', 'Eliot']);
+        });
+        
+        it("should not follow the documents already reached", function() {
+            var docs = db.collection("coll_graph_loops").aggregate([{ $match: { name: 'a' } }, {
+                $graphLookup: {
+                    from: 'coll_graph_loops',
+                    startWith: '$next',
+                    connectFromField: 'next',
+                    connectToField: 'name',
+                    as: 'path',
+                    depthField: 'depth'
+                }
+            }]);
+            
+            expect(_.map(docs[0].path, doc => [doc.name, doc.depth])).to.be.eql([['b', 0], ['c', 0], ['a', 1]]);
+            
+            docs = employees.aggregate([{ $match: { name: 'Dan' } }, {
+                $graphLookup: { from: 'coll_graph_missing', startWith: '$reportsTo', connectFromField: 'reportsTo', connectToField: 'name', as: 'chain' }
+            }]);
+            
+            expect(docs[0].chain).to.be.eql([]);
+        });
+        
+        it("should fail with an invalid $graphLookup", function() {
+            var graphLookup = function(options) {
+                return function() {
+                    employees.aggregate([{
+                        $graphLookup: _.assign({
+                            from: 'coll_graph_employees',
+                            startWith: '$reportsTo',
+                            connectFromField: 'reportsTo',
+                            connectToField: 'name',
+                            as: 'chain'
+                        }, options)
+                    }]);
+                };
+            };
+            
+            expect(graphLookup({})).to.not.throw(Error);
+            expect(graphLookup({ from: null })).to.throw(Error);
+            expect(graphLookup({ connectToField: '$name' })).to.throw(Error);
+            expect(graphLookup({ as: 1 })).to.throw(Error);
+            expect(graphLookup({ maxDepth: -1 })).to.throw(Error);
+            expect(graphLookup({ depthField: '$level' })).to.throw(Error);
+            expect(graphLookup({ restrictSearchWithMatch: 'vp' })).to.throw(Error);
+            expect(function() { employees.aggregate([{ $graphLookup: 'coll_graph_employees' }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Redact", function() {
+        var coll = null;
+        
+        before(function() {
+            coll = db.collection("coll_redact_1");
+            
+            coll.insert({
+                _id: 1,
+                title: 'Report',
+                level: 1,
+                summary: { level: 1, text: 'public', notes: null },
+                sections: [
+                    { level: 1, text: 'intro', parts: [{ level: 2, text: 'draft' }, { level: 1, text: 'final' }] },
+                    { level: 3, text: 'secret' },
+                    'appendix'
+                ],
+                owner: { level: 3, name: 'aaaa' }
+            }, {chain: true})
+            .insert({ _id: 2, title: 'Plan', level: 3 }, {chain: true})
+            .insert({ _id: 3, title: 'Memo', level: 2, body: { text: 'memo' } });
+        });
+        
+        it("should be able to restrict the contents of the documents", function() {
+            var docs = coll.aggregate([{
+                $redact: { $cond: { if: { $lte: ['$level', 1] }, then: '$$DESCEND', else: '$$PRUNE' } }
+            }, {
+                $project: { timestamp: 0 }
+            }]);
+            
+            expect(docs).to.be.eql([{
+                _id: '1',
+                title: 'Report',
+                level: 1,
+                summary: { level: 1, text: 'public', notes: null },
+                sections: [{ level: 1, text: 'intro', parts: [{ level: 1, text: 'final' }] }, 'appendix']
+            }]);
+        });
+        
+        it("should be able to keep whole documents", function() {
+            var docs = coll.aggregate([{
+                $redact: {
+                    $switch: {
+                        branches: [
+                            { case: { $eq: ['$level', 2] }, then: '$$KEEP' },
+                            { case: { $eq: ['$$ROOT.level', 1] }, then: { $cond: [{ $gte: ['$level', 3] }, '$$PRUNE', '$$DESCEND'] } }
+                        ],
+                        default: '$$PRUNE'
+                    }
+                }
+            }]);
+            
+            expect(_.map(docs, '_id')).to.be.eql(['1', '3']);
+            
+            // The subdocuments of a kept document are not checked
+            expect(docs[1].body).to.be.eql({ text: 'memo' });
+            
+            expect(docs[0].owner).to.not.exist;
+            expect(docs[0].sections[0].parts).to.be.eql([{ level: 2, text: 'draft' }, { level: 1, text: 'final' }]);
+            
+            expect(function() { coll.aggregate([{ $redact: 'keep' }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Facets", function() {
+        var coll = null;
+        
+        before(function() {
+            coll = db.collection("coll_facet_1");
+            
+            coll.insert({ _id: 1, category: 'books', price: 8 }, {chain: true})
+                .insert({ _id: 2, category: 'music', price: 15 }, {chain: true})
+                .insert({ _id: 3, category: 'books', price: 22 }, {chain: true})
+                .insert({ _id: 4, category: 'games', price: 60 }, {chain: true})
+                .insert({ _id: 5, category: 'books', price: 12 }, {chain: true})
+                .insert({ _id: 6, category: 'music', price: 3 }, {chain: true})
+                .insert({ _id: 7, category: 'toys' });
+        });
+        
+        it("should be able to count by a value ($sortByCount)", function() {
+            var docs = coll.aggregate([{ $sortByCount: '$category' }]);
+            
+            expect(docs).to.be.eql([
+                { _id: 'books', count: 3 },
+                { _id: 'music', count: 2 },
+                { _id: 'games', count: 1 },
+                { _id: 'toys', count: 1 }
+            ]);
+            
+            docs = coll.aggregate([{ $sortByCount: { $gt: ['$price', 10] } }]);
+            
+            expect(docs).to.be.eql([{ _id: true, count: 4 }, { _id: false, count: 3 }]);
+            
+            expect(function() { coll.aggregate([{ $sortByCount: 'category' }]); }).to.throw(Error);
+        });
+        
+        it("should be able to group in buckets ($bucket)", function() {
+            var docs = coll.aggregate([{
+                $bucket: {
+                    groupBy: '$price',
+                    boundaries: [0, 10, 20, 50],
+                    default: 'other',
+                    output: { count: { $sum: 1 }, categories: { $addToSet: '$category' } }
+                }
+            }]);
+            
+            expect(docs).to.be.eql([
+                { _id: 0, count: 2, categories: ['books', 'music'] },
+                { _id: 10, count: 2, categories: ['music', 'books'] },
+                { _id: 20, count: 1, categories: ['books'] },
+                { _id: 'other', count: 2, categories: ['games', 'toys'] }
+            ]);
+            
+            docs = coll.aggregate([{ $match: { price: { $gte: 0, $lt: 20 } } }, { $bucket: { groupBy: '$price', boundaries: [0, 10, 20, 50] } }]);
+            
+            expect(docs).to.be.eql([{ _id: 0, count: 2 }, { _id: 10, count: 2 }]);
+            
+            expect(function() { coll.aggregate([{ $bucket: { groupBy: '$price', boundaries: [0, 100] } }]); }).to.throw(/no default/);
+            expect(function() { coll.aggregate([{ $bucket: { groupBy: '$price', boundaries: [0] } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucket: { groupBy: '$price', boundaries: [10, 0] } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucket: { groupBy: '$price', boundaries: [0, 'a'] } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucket: { groupBy: '$price', boundaries: [0, 100], default: 50 } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucket: { boundaries: [0, 100] } }]); }).to.throw(Error);
+        });
+        
+        it("should be able to group in a number of buckets ($bucketAuto)", function() {
+            var docs = coll.aggregate([
+                { $match: { price: { $exists: true } } },
+                { $bucketAuto: { groupBy: '$price', buckets: 3, output: { prices: { $push: '$price' } } } }
+            ]);
+            
+            expect(docs).to.be.eql([
+                { _id: { min: 3, max: 12 }, prices: [3, 8] },
+                { _id: { min: 12, max: 22 }, prices: [12, 15] },
+                { _id: { min: 22, max: 60 }, prices: [22, 60] }
+            ]);
+            
+            docs = coll.aggregate([{ $bucketAuto: { groupBy: '$category', buckets: 3 } }]);
+            
+            // The documents with the same value go in the same bucket
+            expect(docs).to.be.eql([
+                { _id: { min: 'books', max: 'games' }, count: 3 },
+                { _id: { min: 'games', max: 'toys' }, count: 3 },
+                { _id: { min: 'toys', max: 'toys' }, count: 1 }
+            ]);
+            
+            docs = coll.aggregate([
+                { $match: { price: { $exists: true } } },
+                { $bucketAuto: { groupBy: '$price', buckets: 3, granularity: 'R5' } }
+            ]);
+            
+            expect(docs).to.be.eql([
+                { _id: { min: 2.5, max: 10 }, count: 2 },
+                { _id: { min: 10, max: 16 }, count: 2 },
+                { _id: { min: 16, max: 63 }, count: 2 }
+            ]);
+            
+            docs = coll.aggregate([
+                { $match: { price: { $exists: true } } },
+                { $bucketAuto: { groupBy: '$price', buckets: 2, granularity: 'POWERSOF2' } }
+            ]);
+            
+            expect(docs).to.be.eql([{ _id: { min: 2, max: 16 }, count: 4 }, { _id: { min: 16, max: 64 }, count: 2 }]);
+            
+            expect(function() { coll.aggregate([{ $bucketAuto: { groupBy: '$price', buckets: 0 } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucketAuto: { groupBy: '$price', buckets: 2, granularity: 'R7' } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $bucketAuto: { groupBy: '$category', buckets: 2, granularity: 'E12' } }]); }).to.throw(Error);
+        });
+        
+        it("should be able to run several pipelines ($facet)", function() {
+            var docs = coll.aggregate([{ $match: { price: { $exists: true } } }, {
+                $facet: {
+                    categories: [{ $sortByCount: '$category' }, { $limit: 2 }],
+                    prices: [{ $bucket: { groupBy: '$price', boundaries: [0, 20, 100] } }],
+                    cheapest: [{ $sort: { price: 1 } }, { $limit: 1 }, { $project: { price: 1 } }]
+                }
+            }]);
+            
+            expect(docs).to.be.eql([{
+                categories: [{ _id: 'books', count: 3 }, { _id: 'music', count: 2 }],
+                prices: [{ _id: 0, count: 4 }, { _id: 20, count: 2 }],
+                cheapest: [{ _id: '6', price: 3 }]
+            }]);
+            
+            expect(function() { coll.aggregate([{ $facet: {} }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $facet: { a: { $limit: 1 } } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $facet: { a: [{ $facet: { b: [] } }] } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $facet: { a: [{ $out: 'coll_facet_2' }] } }]); }).to.throw(Error);
+        });
     });
     
     describe("#Match", function() {
@@ -191,6 +795,26 @@ describe("Aggregation", function() {
             expect(docs).to.be.instanceof(Array);
             expect(docs).to.have.length(3);
         });
+        
+        it("should be able to match with a text search", function() {
+            var coll = db.collection("coll_match_2");
+            
+            coll.insert({ _id: 1, title: "Running shoes", price: 50 }, { chain: true })
+                .insert({ _id: 2, title: "Coffee shop", price: 5 }, { chain: true })
+                .insert({ _id: 3, title: "Trail running", price: 80 });
+            
+            coll.createIndex({ title: "text" });
+            
+            var docs = coll.aggregate([
+                { $match: { $text: { $search: "run" } } },
+                { $sort: { price: -1 } },
+                { $project: { title: 1 } }
+            ]);
+            
+            expect(docs).to.be.eql([{ _id: "3", title: "Trail running" }, { _id: "1", title: "Running shoes" }]);
+            
+            expect(function() { db.collection("coll_match_3").aggregate([{ $match: { $text: { $search: "run" } } }]); }).to.throw(Error);
+        });
     });
     
     describe("#Sort", function() {
@@ -235,6 +859,554 @@ describe("Aggregation", function() {
         });
     });
     
+    describe("#Limit", function() {
+        it("should be able to limit the documents", function() {
+            var coll = db.collection("coll_limit_1");
+            
+            for (let i = 0; i < 20; i++) {
+                coll.insert({ _id: 1100 + i, age: 20 + (i % 5) });
+            }
+            
+            var docs = coll.aggregate([{
+                $match: {
+                    age: {
+                        $gte: 21
+                    }
+                }
+            }, {
+                $limit: 10
+            }]);
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(docs).to.have.length(10);
+            
+            docs = coll.aggregate([{ $limit: 50 }]);
+            
+            expect(docs).to.have.length(20);
+            
+            expect(function() { coll.aggregate([{ $limit: 0 }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $limit: 1.5 }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Skip", function() {
+        it("should be able to skip documents", function() {
+            var coll = db.collection("coll_limit_1");
+            
+            var docs = coll.aggregate([{
+                $match: {
+                    age: {
+                        $gte: 21
+                    }
+                }
+            }, {
+                $sort: {
+                    _id: 1
+                }
+            }, {
+                $skip: 10
+            }, {
+                $limit: 3
+            }]);
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(_.map(docs, '_id')).to.be.eql(['1113', '1114', '1116']);
+            
+            expect(coll.aggregate([{ $skip: 20 }])).to.have.length(0);
+            
+            expect(function() { coll.aggregate([{ $skip: -1 }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Unwind", function() {
+        it("should be able to unwind an array field", function() {
+            var coll = db.collection("coll_unwind_1");
+            
+            coll.insert({
+                _id: 1111,
+                order: { lines: [{ item: 'aaaa', qty: 2 }, { item: 'bbbb', qty: 1 }] },
+                sizes: ['S', 'M', 'L']
+            }, {chain: true})
+            .insert({
+                _id: 1112,
+                order: { lines: [] },
+                sizes: 'M'
+            }, {chain: true})
+            .insert({
+                _id: 1113,
+                order: { lines: null },
+                sizes: []
+            }, {chain: true})
+            .insert({
+                _id: 1114
+            });
+            
+            var docs = coll.aggregate([{
+                $unwind: '$sizes'
+            }]);
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(_.map(docs, '_id')).to.be.eql(['1111', '1111', '1111', '1112']);
+            expect(_.map(docs, 'sizes')).to.be.eql(['S', 'M', 'L', 'M']);
+            
+            // The collection is not modified
+            expect(coll.findOne({ _id: 1111 }).sizes).to.be.eql(['S', 'M', 'L']);
+            
+            docs = coll.aggregate([{
+                $unwind: {
+                    path: '$order.lines',
+                    includeArrayIndex: 'line',
+                    preserveNullAndEmptyArrays: true
+                }
+            }]);
+            
+            expect(_.map(docs, function(doc) { return _.pick(doc, ['_id', 'order', 'line']); })).to.be.eql([
+                { _id: '1111', order: { lines: { item: 'aaaa', qty: 2 } }, line: 0 },
+                { _id: '1111', order: { lines: { item: 'bbbb', qty: 1 } }, line: 1 },
+                { _id: '1112', order: {}, line: null },
+                { _id: '1113', order: { lines: null }, line: null },
+                { _id: '1114', line: null }
+            ]);
+            
+            expect(function() { coll.aggregate([{ $unwind: 'sizes' }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $unwind: { path: '$sizes', includeArrayIndex: '$index' } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $unwind: { path: '$sizes', preserveNull: true } }]); }).to.throw(Error);
+        });
+    });
+    
+    describe("#Lookup", function() {
+        var orders = null;
+        
+        before(function() {
+            db.collection("coll_lookup_customers")
+                .insert({ _id: 1, name: 'aaaa', tier: 'gold' }, {chain: true})
+                .insert({ _id: 2, name: 'bbbb', tier: 'silver' }, {chain: true})
+                .insert({ _id: 3, name: 'cccc', tier: 'gold' });
+            
+            orders = db.collection("coll_lookup_orders");
+            
+            orders.insert({ _id: 1111, customer: 1, total: 10 }, {chain: true})
+                .insert({ _id: 1112, customer: 2, total: 50 }, {chain: true})
+                .insert({ _id: 1113, customer: 1, total: 30 }, {chain: true})
+                .insert({ _id: 1114, customer: [2, 3], total: 5 }, {chain: true})
+                .insert({ _id: 1115, total: 1 });
+        });
+        
+        it("should be able to join by equality", function() {
+            var docs = orders.aggregate([{
+                $lookup: {
+                    from: 'coll_lookup_customers',
+                    localField: 'customer',
+                    foreignField: '_id',
+                    as: 'buyer'
+                }
+            }]);
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(docs).to.have.length(5);
+            
+            expect(_.map(docs[0].buyer, 'name')).to.be.eql(['aaaa']);
+            expect(_.map(docs[1].buyer, 'name')).to.be.eql(['bbbb']);
+            expect(_.map(docs[3].buyer, 'name')).to.be.eql(['bbbb', 'cccc']);
+            expect(docs[4].buyer).to.be.eql([]);
+            
+            // The collections are not modified
+            expect(orders.findOne({ _id: 1111 }).buyer).to.not.exist;
+            
+            // A missing collection has nothing to join
+            docs = orders.aggregate([{ $lookup: { from: 'coll_lookup_none', localField: 'customer', foreignField: '_id', as: 'buyer' } }]);
+            
+            expect(_.map(docs, 'buyer')).to.be.eql([[], [], [], [], []]);
+            expect(db.collection("coll_lookup_customers").db).to.be.equal(db);
+        });
+        
+        it("should use the indexes of the foreign field", function() {
+            var customers = db.collection("coll_lookup_customers");
+            
+            customers.createIndex({ tier: 1 });
+            
+            var docs = db.collection("coll_lookup_tiers").insert({ _id: 'gold' }, {chain: true}).insert({ _id: 'bronze' }, {chain: true})
+                .aggregate([{ $lookup: { from: 'coll_lookup_customers', localField: '_id', foreignField: 'tier', as: 'customers' } }]);
+            
+            expect(_.map(docs[0].customers, '_id')).to.be.eql(['1', '3']);
+            expect(docs[1].customers).to.be.eql([]);
+            
+            expect(customers.find({ tier: 'gold' }).explain().queryPlanner.winningPlan.inputStage.indexName).to.be.equal('tier_1');
+        });
+        
+        it("should be able to join with a pipeline and variables", function() {
+            var docs = orders.aggregate([{
+                $match: { _id: { $in: ['1111', '1112'] } }
+            }, {
+                $lookup: {
+                    from: 'coll_lookup_orders',
+                    let: { buyer: '$customer', amount: '$total' },
+                    pipeline: [{
+                        $match: {
+                            $expr: {
+                                $and: [{ $eq: ['$customer', '$$buyer'] }, { $gt: ['$total', '$$amount'] }]
+                            }
+                        }
+                    }, {
+                        $project: { total: 1 }
+                    }],
+                    as: 'bigger'
+                }
+            }]);
+            
+            expect(_.map(docs, '_id')).to.be.eql(['1111', '1112']);
+            expect(docs[0].bigger).to.be.eql([{ _id: '1113', total: 30 }]);
+            expect(docs[1].bigger).to.be.eql([]);
+            
+            // Equality and pipeline together
+            docs = orders.aggregate([{
+                $match: { _id: '1111' }
+            }, {
+                $lookup: {
+                    from: 'coll_lookup_customers',
+                    localField: 'customer',
+                    foreignField: '_id',
+                    pipeline: [{ $project: { name: 1 } }],
+                    as: 'buyer'
+                }
+            }]);
+            
+            expect(docs[0].buyer).to.be.eql([{ _id: '1', name: 'aaaa' }]);
+        });
+        
+        it("should fail with invalid lookups", function() {
+            expect(function() { orders.aggregate([{ $lookup: { localField: 'customer', foreignField: '_id', as: 'buyer' } }]); }).to.throw(Error);
+            expect(function() { orders.aggregate([{ $lookup: { from: 'coll_lookup_customers', localField: 'customer', as: 'buyer' } }]); }).to.throw(Error);
+            expect(function() { orders.aggregate([{ $lookup: { from: 'coll_lookup_customers', pipeline: [] } }]); }).to.throw(Error);
+            expect(function() { orders.aggregate([{ $lookup: { from: 'coll_lookup_customers', let: { Buyer: '$customer' }, pipeline: [], as: 'buyer' } }]); }).to.throw(Error);
+            expect(function() { orders.aggregate([{ $lookup: { from: 'coll_lookup_customers', pipeline: [{ $unknown: {} }], as: 'buyer' } }]); }).to.throw(Error);
+            
+            // The variables must be defined
+            expect(function() {
+                orders.aggregate([{ $lookup: { from: 'coll_lookup_customers', pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$buyer'] } } }], as: 'buyer' } }]);
+            }).to.throw(Error);
+        });
+    });
+    
+    describe("#Sample", function() {
+        it("should be able to pick random documents", function() {
+            var coll = db.collection("coll_limit_1");
+            
+            var docs = coll.aggregate([{
+                $sample: {
+                    size: 5
+                }
+            }], { seed: 42 });
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(docs).to.have.length(5);
+            expect(_.uniq(_.map(docs, '_id'))).to.have.length(5);
+            
+            // The same seed picks the same documents
+            var again = coll.aggregate([{ $sample: { size: 5 } }], { seed: 42 });
+            
+            expect(_.map(again, '_id')).to.be.eql(_.map(docs, '_id'));
+            
+            var other = coll.aggregate([{ $sample: { size: 5 } }], { seed: 7 });
+            
+            expect(_.map(other, '_id')).to.not.be.eql(_.map(docs, '_id'));
+            
+            // Never more documents than there are
+            docs = coll.aggregate([{ $match: { age: 20 } }, { $sample: { size: 10 } }]);
+            
+            expect(_.map(docs, '_id').sort()).to.be.eql(['1100', '1105', '1110', '1115']);
+            
+            expect(function() { coll.aggregate([{ $sample: {} }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $sample: { size: -1 } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $sample: { size: 1 } }], { seed: 'abc' }); }).to.throw(Error);
+        });
+    });
+    
+    describe("#GeoNear", function() {
+        it("should be able to sort documents by distance", function() {
+            var coll = db.collection("coll_geonear_1");
+            
+            coll.insert({
+                _id: 1111,
+                name: 'aaaa',
+                location: [0, 3]
+            }, {chain: true})
+            .insert({
+                _id: 1112,
+                name: 'bbbb',
+                location: [0, 1]
+            }, {chain: true})
+            .insert({
+                _id: 1113,
+                name: 'cccc',
+                location: [0, 2]
+            }, {chain: true})
+            .insert({
+                _id: 1114,
+                name: 'dddd'
+            });
+            
+            coll.createIndex({ location: '2d' });
+            
+            var docs = coll.aggregate([{
+                $geoNear: {
+                    near: [0, 0],
+                    distanceField: 'dist.calculated',
+                    maxDistance: 2.5,
+                    distanceMultiplier: 10,
+                    includeLocs: 'dist.location'
+                }
+            }]);
+            
+            expect(docs).to.exist;
+            expect(docs).to.be.instanceof(Array);
+            expect(docs).to.have.length(2);
+            
+            expect(docs[0].name).to.be.equal('bbbb');
+            expect(docs[0].dist).to.be.eql({ calculated: 10, location: [0, 1] });
+            expect(docs[1].dist.calculated).to.be.equal(20);
+            
+            docs = coll.aggregate([{
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [0, 0] },
+                    distanceField: 'distance',
+                    query: { name: { $ne: 'bbbb' } }
+                }
+            }, {
+                $project: { name: 1, distance: 1 }
+            }]);
+            
+            expect(_.map(docs, 'name')).to.be.eql(['cccc', 'aaaa']);
+            expect(docs[0].distance).to.be.within(222000, 223000);
+            
+            expect(function() {
+                coll.aggregate([{ $match: { name: 'aaaa' } }, { $geoNear: { near: [0, 0], distanceField: 'distance' } }]);
+            }).to.throw(Error);
+            
+            expect(function() {
+                coll.aggregate([{ $geoNear: { near: [0, 0] } }]);
+            }).to.throw(Error);
+        });
+    });
+    
+    describe("#Out", function() {
+        var coll = null;
+        var events = [];
+        
+        before(function() {
+            coll = db.collection("coll_out_1");
+            
+            coll.insert({ _id: 1, name: 'aaaa', age: 22 }, {chain: true})
+                .insert({ _id: 2, name: 'bbbb', age: 23 }, {chain: true})
+                .insert({ _id: 3, name: 'cccc', age: 22 }, {chain: true})
+                .insert({ _id: 4, name: 'dddd', age: 25 });
+            
+            db.addStore({
+                insert: function(args) {
+                    if (args.collection.name === "coll_out_summary") events.push(['insert', args.doc._id]);
+                },
+                remove: function(args) {
+                    if (args.collection.name === "coll_out_summary") events.push(['remove', _.map(args.docs, '_id')]);
+                }
+            });
+        });
+        
+        it("should be able to write the documents into a collection", function() {
+            var docs = coll.aggregate([
+                { $group: { _id: '$age', total: { $sum: 1 } } },
+                { $sort: { _id: 1 } },
+                { $out: 'coll_out_summary' }
+            ]);
+            
+            expect(docs).to.be.eql([]);
+            
+            var summary = db.collection("coll_out_summary");
+            
+            expect(_.map(summary.docs, doc => _.pick(doc, ['_id', 'total']))).to.be.eql([
+                { _id: '22', total: 2 },
+                { _id: '23', total: 1 },
+                { _id: '25', total: 1 }
+            ]);
+            expect(events).to.be.eql([['insert', '22'], ['insert', '23'], ['insert', '25']]);
+        });
+        
+        it("should replace the documents of the collection", function() {
+            events = [];
+            
+            coll.aggregate([
+                { $match: { age: 22 } },
+                { $project: { name: 1 } },
+                { $out: { db: TEST_DDBB, coll: 'coll_out_summary' } }
+            ]);
+            
+            var summary = db.collection("coll_out_summary");
+            
+            expect(_.map(summary.docs, 'name')).to.be.eql(['aaaa', 'cccc']);
+            expect(events).to.be.eql([
+                ['remove', ['22']], ['remove', ['23']], ['remove', ['25']],
+                ['insert', '1'], ['insert', '3']
+            ]);
+        });
+        
+        it("should leave the collection untouched when a document can not be written", function() {
+            var summary = db.collection("coll_out_summary");
+            
+            summary.createIndex('name', { unique: true });
+            events = [];
+            
+            // The documents without a name are duplicated
+            expect(function() {
+                coll.aggregate([{ $project: { age: 1 } }, { $out: 'coll_out_summary' }]);
+            }).to.throw(/E11000 duplicate key error collection: test_database.coll_out_summary index: name_1/);
+            
+            expect(function() {
+                coll.aggregate([
+                    { $lookup: { from: 'coll_out_1', localField: 'age', foreignField: 'age', as: 'same' } },
+                    { $unwind: '$same' },
+                    { $out: 'coll_out_summary' }
+                ]);
+            }).to.throw(/index: _id_/);
+            
+            expect(_.map(summary.docs, 'name')).to.be.eql(['aaaa', 'cccc']);
+            expect(events).to.be.eql([]);
+        });
+        
+        it("should fail with an invalid $out", function() {
+            expect(function() {
+                coll.aggregate([{ $out: 'coll_out_summary' }, { $match: {} }]);
+            }).to.throw(/final stage/);
+            
+            expect(function() {
+                coll.aggregate([{ $out: { db: 'other_database', coll: 'coll_out_summary' } }]);
+            }).to.throw(Error);
+            
+            expect(function() {
+                coll.aggregate([{ $out: 1 }]);
+            }).to.throw(Error);
+            
+            expect(function() {
+                coll.aggregate([{ $lookup: { from: 'coll_out_summary', pipeline: [{ $out: 'coll_out_2' }], as: 'summary' } }]);
+            }).to.throw(Error);
+        });
+    });
+    
+    describe("#Merge", function() {
+        var coll = null;
+        var target = null;
+        
+        beforeEach(function() {
+            coll = db.collection("coll_merge_1");
+            target = db.collection("coll_merge_target");
+            
+            coll.drop();
+            target.drop({ dropIndexes: true });
+            
+            coll.insert({ _id: 1, name: 'aaaa', age: 22 }, {chain: true})
+                .insert({ _id: 2, name: 'bbbb', age: 23 }, {chain: true})
+                .insert({ _id: 3, name: 'cccc', age: 24 });
+            
+            target.insert({ _id: 1, name: 'xxxx', city: 'Madrid' }, {chain: true})
+                .insert({ _id: 4, name: 'yyyy', city: 'Paris' });
+        });
+        
+        it("should merge and insert the documents by default", function() {
+            var docs = coll.aggregate([{ $project: { name: 1 } }, { $merge: 'coll_merge_target' }]);
+            
+            expect(docs).to.be.eql([]);
+            expect(_.map(target.docs, doc => _.pick(doc, ['_id', 'name', 'city']))).to.be.eql([
+                { _id: '1', name: 'aaaa', city: 'Madrid' },
+                { _id: '4', name: 'yyyy', city: 'Paris' },
+                { _id: '2', name: 'bbbb' },
+                { _id: '3', name: 'cccc' }
+            ]);
+        });
+        
+        it("should follow the whenMatched and whenNotMatched policies", function() {
+            var merge = function(whenMatched, whenNotMatched) {
+                target.drop();
+                target.insert({ _id: 1, name: 'xxxx', city: 'Madrid' });
+                
+                coll.aggregate([{ $project: { name: 1 } }, {
+                    $merge: { into: 'coll_merge_target', whenMatched: whenMatched, whenNotMatched: whenNotMatched }
+                }]);
+                
+                return _.map(target.docs, doc => _.pick(doc, ['_id', 'name', 'city']));
+            };
+            
+            expect(merge('replace', 'discard')).to.be.eql([{ _id: '1', name: 'aaaa' }]);
+            expect(merge('keepExisting', 'insert')).to.be.eql([
+                { _id: '1', name: 'xxxx', city: 'Madrid' },
+                { _id: '2', name: 'bbbb' },
+                { _id: '3', name: 'cccc' }
+            ]);
+            expect(merge('merge', 'discard')).to.be.eql([{ _id: '1', name: 'aaaa', city: 'Madrid' }]);
+            
+            // A document with only the "_id" replaces every field
+            target.drop();
+            target.insert({ _id: 1, name: 'xxxx', city: 'Madrid' });
+            
+            coll.aggregate([{ $match: { _id: '1' } }, { $project: { _id: 1 } }, { $merge: { into: 'coll_merge_target', whenMatched: 'replace' } }]);
+            
+            expect(_.map(target.docs, doc => _.pick(doc, ['_id', 'name', 'city']))).to.be.eql([{ _id: '1' }]);
+            
+            expect(function() { merge('fail', 'insert'); }).to.throw(Error);
+            expect(function() { merge('replace', 'fail'); }).to.throw(Error);
+        });
+        
+        it("should match the documents by the 'on' fields", function() {
+            var events = [];
+            
+            db.addStore({
+                insert: function(args) {
+                    if (args.collection.name === "coll_merge_target") events.push(['insert', args.doc.name]);
+                },
+                update: function(args) {
+                    if (args.collection.name === "coll_merge_target") events.push(['update', _.map(args.docs, 'name')]);
+                }
+            });
+            
+            expect(function() {
+                coll.aggregate([{ $project: { name: 1, age: 1 } }, { $merge: { into: 'coll_merge_target', on: 'name' } }]);
+            }).to.throw(/index/);
+            
+            target.createIndex('name', { unique: true });
+            
+            coll.aggregate([
+                { $match: { age: { $gt: 22 } } },
+                { $project: { name: 1, age: 1 } },
+                { $merge: { into: 'coll_merge_target', on: ['name'] } }
+            ]);
+            
+            coll.update({ name: 'cccc' }, { $set: { age: 30 } });
+            
+            coll.aggregate([
+                { $match: { name: 'cccc' } },
+                { $merge: { into: 'coll_merge_target', on: 'name', whenMatched: 'merge' } }
+            ]);
+            
+            expect(target.findOne({ name: 'cccc' }).age).to.be.equal(30);
+            expect(target.docs).to.have.length(4);
+            expect(events).to.be.eql([['insert', 'bbbb'], ['insert', 'cccc'], ['update', ['cccc']]]);
+            
+            expect(function() {
+                coll.aggregate([{ $project: { age: 1 } }, { $merge: { into: 'coll_merge_target', on: 'name' } }]);
+            }).to.throw(/missing/);
+        });
+        
+        it("should fail with an invalid $merge", function() {
+            expect(function() { coll.aggregate([{ $merge: {} }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $merge: { into: 'coll_merge_target', on: [] } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $merge: { into: 'coll_merge_target', whenMatched: 'insert' } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $merge: { into: 'coll_merge_target', whenNotMatched: 'merge' } }]); }).to.throw(Error);
+            expect(function() { coll.aggregate([{ $merge: 'coll_merge_target' }, { $limit: 1 }]); }).to.throw(/final stage/);
+        });
+    });
+    
     describe("#Mixed", function() {
         it("should be able to aggregate several stages", function() {
             var coll = db.collection("coll_mixed_1");
@@ -265,7 +1437,7 @@ describe("Aggregation", function() {
                 age: 23
             }, {chain: true})
             .insert({
-                _id: 1115,
+                _id: 1116,
                 name: 'abab',
                 age: 22
             });
@@ -289,8 +1461,7 @@ describe("Aggregation", function() {
                 }
             }, {
                 $project: {
-                    suma_total: '$total',
-                    total: -1
+                    suma_total: '$total'
                 }
             }]);
             
@@ -7,11 +7,15 @@ var EventEmitter = require("../lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("../lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("../lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("../lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("../lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("../lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("../lib/TextSearch")(Logger, _);
+var Index = require("../lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("../lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("../lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 var TEST_DDBB = "test_database";
@@ -222,9 +226,13 @@ describe("MongoPortable", function() {
         });
     });
     
-    describe.skip("#Indexes", function() {
+    describe("#Indexes", function() {
         before(function() {
             db = new MongoPortable(TEST_DDBB);
+            
+            db.collection(TEST_COLL)
+                .insert({ stringField: "first", numberField: 1 }, { chain: true })
+                .insert({ stringField: "second", numberField: 2 });
         });
         
         after(function() {
@@ -233,46 +241,182 @@ describe("MongoPortable", function() {
         });
         
         describe("- Creating", function() {
-            it("should be able to create an index", function() {
+            it("should be able to create an index", function(done) {
+                var name = db.createIndex(TEST_COLL, { stringField: 1 });
+                
+                expect(name).to.be.equal("stringField_1");
+                expect(db.collection(TEST_COLL)._indexes.stringField_1.entries).to.have.length(2);
                 
+                db.createIndex("new_collection", "field", { name: "my_index" }, function(error, name) {
+                    expect(error).to.not.exist;
+                    expect(name).to.be.equal("my_index");
+                    
+                    expect(db.collectionNames()).to.include("new_collection");
+                    
+                    done();
+                });
             });
             
             it("should be able to create an index (ensuring)", function() {
+                expect(db.ensureIndex(TEST_COLL, { numberField: -1 })).to.be.equal("numberField_-1");
+                expect(db.ensureIndex(TEST_COLL, { numberField: -1 })).to.be.equal("numberField_-1");
                 
+                expect(db.indexInformation(TEST_COLL, { full: true })).to.have.length(2);
             });
         });
         
-        describe("- Drop", function() {
-            it("should be able to drop an index", function() {
+        describe("- Reindex", function() {
+            it("should be able to reindex all the indexes", function() {
+                expect(db.reIndex(TEST_COLL)).to.be.true;
                 
+                expect(db.reIndex("unknown_collection")).to.be.false;
+            });
+        });
+        
+        describe("- Obtaining", function() {
+            it("should be able to obtain an index information", function(done) {
+                db.indexInformation(TEST_COLL, function(error, info) {
+                    expect(error).to.not.exist;
+                    
+                    expect(info).to.be.eql({
+                        "stringField_1": [["stringField", 1]],
+                        "numberField_-1": [["numberField", -1]]
+                    });
+                    
+                    done();
+                });
             });
             
-            it("should be able to drop all the indexes", function() {
+            it("should be able to obtain all indexes", function() {
+                var indexes = db.indexInformation(TEST_COLL, { full: true });
                 
+                expect(indexes[0]).to.be.eql({
+                    v: 1,
+                    key: { stringField: 1 },
+                    name: "stringField_1",
+                    ns: TEST_DDBB + "." + TEST_COLL
+                });
+                
+                expect(db.indexInformation("unknown_collection")).to.not.exist;
             });
         });
         
-        describe("- Reindex", function() {
-            it("should be able to reindex one index", function() {
+        describe("- Drop", function() {
+            it("should be able to drop an index", function(done) {
+                expect(db.dropIndex(TEST_COLL, "numberField_-1")).to.be.true;
+                expect(db.indexInformation(TEST_COLL)).to.have.all.keys("stringField_1");
                 
+                db.dropIndex("unknown_collection", "numberField_-1", function(error, dropped) {
+                    expect(error).to.exist;
+                    expect(dropped).to.be.false;
+                    
+                    done();
+                });
             });
             
-            it("should be able to reindex all the indexes", function() {
-                
+            it("should be able to drop all the indexes", function() {
+                expect(db.dropIndex(TEST_COLL, "*")).to.be.true;
+                expect(db.indexInformation(TEST_COLL)).to.be.eql({});
             });
         });
         
-        describe("- Obtaining", function() {
-            it("should be able to obtain an index", function() {
+        describe("- TTL", function() {
+            it("should remove the expired documents periodically", function(done) {
+                var ttlDb = new MongoPortable("test_ttl_database", { ttlMonitorSleepSecs: 0.01 });
+                var coll = ttlDb.collection("sessions", { clock: function() { return new Date(2016, 0, 1, 12, 0, 0); } });
+                
+                coll.createIndex({ lastAccess: 1 }, { expireAfterSeconds: 60 });
                 
+                coll.insert({ user: "old", lastAccess: new Date(2016, 0, 1, 11, 58, 0) }, { chain: true })
+                    .insert({ user: "new", lastAccess: new Date(2016, 0, 1, 11, 59, 30) });
+                
+                expect(ttlDb._ttlMonitor).to.exist;
+                
+                ttlDb.addStore({
+                    remove: function(args) {
+                        expect(args.collection.name).to.be.equal("sessions");
+                        expect(_.map(args.docs, "user")).to.be.eql(["old"]);
+                        expect(_.map(coll.docs, "user")).to.be.eql(["new"]);
+                        
+                        ttlDb.dropDatabase();
+                        
+                        expect(ttlDb._ttlMonitor).to.not.exist;
+                        
+                        done();
+                    }
+                });
             });
             
-            it("should be able to obtain an index information", function() {
+            it("should only run the monitor while there are TTL indexes", function() {
+                var ttlDb = new MongoPortable("test_ttl_database");
+                var coll = ttlDb.collection("sessions");
+                
+                expect(ttlDb._ttlMonitor).to.not.exist;
+                
+                coll.createIndex({ user: 1 });
+                
+                expect(ttlDb._ttlMonitor).to.not.exist;
+                
+                coll.createIndex({ lastAccess: 1 }, { expireAfterSeconds: 60 });
+                ttlDb.collection("logs").createIndex({ createdAt: 1 }, { expireAfterSeconds: 3600 });
+                
+                expect(ttlDb._ttlMonitor).to.exist;
+                
+                coll.dropIndex("lastAccess_1");
+                
+                expect(ttlDb._ttlMonitor).to.exist;
+                
+                ttlDb.dropCollection("logs");
+                
+                expect(ttlDb._ttlMonitor).to.not.exist;
+                
+                coll.createIndex({ lastAccess: 1 }, { expireAfterSeconds: 60 });
                 
+                expect(ttlDb._ttlMonitor).to.exist;
+                
+                coll.drop({ dropIndexes: true });
+                
+                expect(ttlDb._ttlMonitor).to.not.exist;
+                
+                ttlDb.dropDatabase();
             });
             
-            it("should be able to obtain all indexes", function() {
+            it("should not remove the expired documents when disabled", function() {
+                var ttlDb = new MongoPortable("test_ttl_database", { ttlMonitorSleepSecs: 0 });
+                
+                ttlDb.collection("sessions").createIndex({ lastAccess: 1 }, { expireAfterSeconds: 60 });
+                
+                expect(ttlDb._ttlMonitor).to.not.exist;
+                
+                ttlDb.dropDatabase();
+            });
+        });
+        
+        describe("- JavaScript", function() {
+            it("should run $where unless JavaScript is disabled", function() {
+                var jsDb = new MongoPortable("test_js_database");
+                var coll = jsDb.collection("accounts");
+                
+                coll.insert({ name: "a", credits: 5, debits: 5 }, { chain: true })
+                    .insert({ name: "b", credits: 5, debits: 3 });
+                
+                expect(_.map(coll.find({ $where: "this.credits > this.debits" }).fetch(), "name")).to.be.eql(["b"]);
+                
+                jsDb.dropDatabase();
+                
+                jsDb = new MongoPortable("test_js_database", { javascriptEnabled: false });
+                coll = jsDb.collection("accounts");
+                
+                coll.insert({ name: "a", credits: 5, debits: 5 });
+                
+                expect(function() { coll.find({ $where: "this.credits > this.debits" }); }).to.throw(Error);
+                expect(function() { coll.find({ $and: [{ name: "a" }, { $where: "true" }] }); }).to.throw(Error);
+                expect(function() { coll.remove({ $where: "true" }); }).to.throw(Error);
+                expect(function() { coll.aggregate([{ $match: { $where: "true" } }]); }).to.throw(Error);
+                
+                expect(coll.find({ name: "a" }).count()).to.be.equal(1);
                 
+                jsDb.dropDatabase();
             });
         });
     });
@@ -10,11 +10,15 @@ var EventEmitter = require("../lib/utils/EventEmitter")(Logger, _);
 var BinaryParserBuffer = require("../lib/BinaryParserBuffer")(Logger);
 var BinaryParser = require("../lib/BinaryParser")(BinaryParserBuffer, Logger);
 var ObjectId = require("../lib/ObjectId")(BinaryParser, Logger, _);
-var SelectorMatcher = require("../lib/SelectorMatcher")(Logger, _);
-var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Logger, _);
-var Cursor = require("../lib/Cursor")(Selector, Logger, _);
-var Aggregation = require("../lib/Aggregation")(Selector, Cursor, Logger, _);
-var Collection = require("../lib/Collection")(Aggregation, Cursor, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
+var Geometry = require("../lib/Geometry")(Logger, _);
+var SelectorMatcher = require("../lib/SelectorMatcher")(Geometry, Logger, _);
+var Expression = require("../lib/Expression")(SelectorMatcher, Logger, _);
+var Selector = require("../lib/Selector")(ObjectId, SelectorMatcher, Expression, Logger, _);
+var Cursor = require("../lib/Cursor")(Selector, SelectorMatcher, Logger, _);
+var Aggregation = require("../lib/Aggregation")(Selector, SelectorMatcher, Cursor, Expression, Logger, _);
+var TextSearch = require("../lib/TextSearch")(Logger, _);
+var Index = require("../lib/Index")(SelectorMatcher, TextSearch, Geometry, Logger, _);
+var Collection = require("../lib/Collection")(Aggregation, Cursor, Index, Selector, SelectorMatcher, ObjectId, EventEmitter, Logger, _);
 var MongoPortable = require("../lib/MongoPortable")(Collection, ObjectId, EventEmitter, Logger, _);
 
 /* Special test case for reaching 100% coverage, due to babel.js transforming */
@@ -41,26 +45,6 @@ describe("To be implement", function() {
         it("should not allow MongoPortable#fetchCollections ", function() {
             expect(db.fetchCollections ).to.throw(Error);
         });
-        
-        it("should not allow MongoPortable#createIndex", function() {
-            expect(db.createIndex).to.throw(Error);
-        });
-        
-        it("should not allow MongoPortable#ensureIndex", function() {
-            expect(db.ensureIndex).to.throw(Error);
-        });
-        
-        it("should not allow MongoPortable#dropIndex", function() {
-            expect(db.dropIndex).to.throw(Error);
-        });
-        
-        it("should not allow MongoPortable#reIndex", function() {
-            expect(db.reIndex).to.throw(Error);
-        });
-        
-        it("should not allow MongoPortable#indexInformation", function() {
-            expect(db.indexInformation).to.throw(Error);
-        });
     });
     
     describe("Selector", function() {
@@ -199,14 +183,6 @@ describe("To be implement", function() {
                 expect(new Cursor().comment).to.throw(Error);
             });
             
-            it("should not allow Cursor#explain", function() {
-                expect(new Cursor().explain).to.throw(Error);
-            });
-            
-            it("should not allow Cursor#hint", function() {
-                expect(new Cursor().hint).to.throw(Error);
-            });
-            
             it("should not allow Cursor#itcount", function() {
                 expect(new Cursor().itcount).to.throw(Error);
             });
@@ -219,14 +195,6 @@ describe("To be implement", function() {
                 expect(new Cursor().maxTimeMS).to.throw(Error);
             });
             
-            it("should not allow Cursor#max", function() {
-                expect(new Cursor().max).to.throw(Error);
-            });
-            
-            it("should not allow Cursor#min", function() {
-                expect(new Cursor().min).to.throw(Error);
-            });
-            
             it("should not allow Cursor#noCursorTimeout", function() {
                 expect(new Cursor().noCursorTimeout).to.throw(Error);
             });
@@ -273,11 +241,7 @@ describe("To be implement", function() {
         });
         
         describe("Collection", function() {
-            it("should not allow Collection#ensureIndex", function() {
-                expect(new Collection(new MongoPortable("DB"), "NEW").ensureIndex).to.throw(Error);
-            });
-            
-            it("should not allow the $bit operator", function() {
+            it("should not allow an invalid $bit operator", function() {
                 var thrown = false;
             
                 try {